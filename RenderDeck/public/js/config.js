@@ -9,6 +9,7 @@ export const CONFIG = {
     PREVIEW_SIZE: 512,
     MAX_SIZE: 4096,
     MIN_SIZE: 512,
+    DECAL_SIZE: 1024,
     ENCODING: 'sRGBEncoding'
   },
 
@@ -31,6 +32,26 @@ export const CONFIG = {
     PLASTIC: {
       roughness: 0.3,
       metalness: 0.05
+    },
+    MARBLE: {
+      roughness: 0.2,
+      metalness: 0.0
+    },
+    CARBON_FIBER: {
+      roughness: 0.35,
+      metalness: 0.1
+    },
+    FABRIC: {
+      roughness: 0.95,
+      metalness: 0.0
+    },
+    CONCRETE: {
+      roughness: 0.95,
+      metalness: 0.0
+    },
+    LEATHER: {
+      roughness: 0.6,
+      metalness: 0.0
     }
   },
 
@@ -39,8 +60,8 @@ export const CONFIG = {
     MAX_IMAGE_SIZE: 20 * 1024 * 1024, // 20MB
     MAX_MODEL_SIZE: 50 * 1024 * 1024, // 50MB
     MAX_IMAGE_DIMENSION: 8192,
-    ALLOWED_IMAGE_FORMATS: ['.png', '.jpg', '.jpeg', '.webp', '.gif'],
-    ALLOWED_MODEL_FORMATS: ['.obj', '.mtl']
+    ALLOWED_IMAGE_FORMATS: ['.png', '.jpg', '.jpeg', '.webp', '.gif', '.svg'],
+    ALLOWED_MODEL_FORMATS: ['.obj', '.mtl', '.gltf', '.glb', '.bin']
   },
 
   // UV Editor
@@ -69,7 +90,8 @@ export const CONFIG = {
     CAMERA_FAR: 2000,
     CAMERA_POSITION: { x: 0, y: 1, z: 5 },
     DEFAULT_ENV: 'Studio Kominka',
-    BACKGROUND_COLOR: 0x1a1a1a
+    BACKGROUND_COLOR: 0x1a1a1a,
+    ENV_MAX_BLUR: 0.25 // Environment blur at 100%, in radians
   },
 
   // Lighting
@@ -81,6 +103,19 @@ export const CONFIG = {
     SHADOW_CAMERA_SIZE: 10
   },
 
+  // Still Render (Tab 7)
+  RENDER: {
+    MAX_TILE_SIZE: 4096,     // Upper bound per tile; the GPU limit may be lower
+    MAX_OUTPUT_SIZE: 16384,  // Browser 2D canvas limit per side
+    DEFAULT_QUALITY: 0.92    // JPEG/WebP
+  },
+
+  // Undo/Redo
+  HISTORY: {
+    MAX_ENTRIES: 100,
+    COALESCE_MS: 600 // Edits to the same control closer than this merge
+  },
+
   // Controls
   CONTROLS: {
     DAMPING_ENABLED: true,
@@ -94,8 +129,8 @@ export const FEATURES = {
   ENABLE_CUSTOM_MODELS: true,
   ENABLE_MODEL_EXPORT: true,
   ENABLE_MODEL_IMPORT: true,
-  ENABLE_UNDO_REDO: false,
-  ENABLE_LAYER_ORDERING: false
+  ENABLE_UNDO_REDO: true,
+  ENABLE_LAYER_ORDERING: true
 };
 
 // Model Registry Paths
@@ -111,6 +146,8 @@ export const MODEL_PATHS = {
     obj: 'pen.obj',
     mtl: 'pen.mtl'  
   }
+  // glTF/GLB entries use `gltf` instead of `obj`/`mtl`, e.g.
+  // BOTTLE: { folder: 'bottle', gltf: 'bottle.glb' }
 };
 
 // Scene Environment Paths
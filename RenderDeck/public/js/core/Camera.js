@@ -10,13 +10,24 @@ export class CameraManager {
     this.container = container;
     
     const aspect = container.clientWidth / container.clientHeight;
-    this.camera = new THREE.PerspectiveCamera(
+    this.perspectiveCamera = new THREE.PerspectiveCamera(
       CONFIG.SCENE.CAMERA_FOV,
       aspect,
       CONFIG.SCENE.CAMERA_NEAR,
       CONFIG.SCENE.CAMERA_FAR
     );
 
+    // Frustum is sized from frustumHeight; zoom is left to OrbitControls
+    this.frustumHeight = 5;
+    this.orthographicCamera = new THREE.OrthographicCamera(
+      -this.frustumHeight * aspect / 2, this.frustumHeight * aspect / 2,
+      this.frustumHeight / 2, -this.frustumHeight / 2,
+      CONFIG.SCENE.CAMERA_NEAR,
+      CONFIG.SCENE.CAMERA_FAR
+    );
+
+    this.camera = this.perspectiveCamera;
+    this.transition = null; // Active animateTo() tween
     this.camera.position.set(
       CONFIG.SCENE.CAMERA_POSITION.x,
       CONFIG.SCENE.CAMERA_POSITION.y,
@@ -44,8 +55,76 @@ export class CameraManager {
   setupResizeListener() {
     window.addEventListener('resize', () => {
       const aspect = this.container.clientWidth / this.container.clientHeight;
-      this.camera.aspect = aspect;
-      this.camera.updateProjectionMatrix();
+      this.perspectiveCamera.aspect = aspect;
+      this.perspectiveCamera.updateProjectionMatrix();
+      this.updateOrthoFrustum();
+    });
+  }
+
+  /**
+   * Resize the orthographic frustum to frustumHeight at the current aspect
+   */
+  updateOrthoFrustum() {
+    const aspect = (this.container.clientWidth || 1) / (this.container.clientHeight || 1);
+    const halfH = this.frustumHeight / 2;
+    const cam = this.orthographicCamera;
+    cam.left = -halfH * aspect;
+    cam.right = halfH * aspect;
+    cam.top = halfH;
+    cam.bottom = -halfH;
+    cam.updateProjectionMatrix();
+  }
+
+  /**
+   * Swap between the perspective and orthographic camera, keeping the view.
+   * The ortho frustum matches what the perspective camera sees at the orbit
+   * target, so the product stays the same size on screen.
+   * @param {'perspective'|'orthographic'} type
+   */
+  setCameraType(type) {
+    const next = type === 'orthographic' ? this.orthographicCamera : this.perspectiveCamera;
+    if (next === this.camera) return;
+
+    const prev = this.camera;
+    const target = this.controls ? this.controls.target : new THREE.Vector3();
+    const distance = prev.position.distanceTo(target);
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov) / 2);
+
+    next.position.copy(prev.position);
+    next.quaternion.copy(prev.quaternion);
+    next.up.copy(prev.up);
+    next.near = prev.near;
+    next.far = prev.far;
+
+    if (next.isOrthographicCamera) {
+      this.frustumHeight = 2 * distance * tanHalfFov;
+      next.zoom = 1;
+      this.updateOrthoFrustum();
+    } else {
+      // Move back/forward so the perspective view covers the zoomed ortho height
+      const visibleHeight = this.frustumHeight / prev.zoom;
+      const dir = prev.position.clone().sub(target).normalize();
+      next.position.copy(target).addScaledVector(dir, visibleHeight / (2 * tanHalfFov));
+      next.updateProjectionMatrix();
+    }
+
+    this.camera = next;
+    if (this.controls) {
+      this.controls.object = next;
+      this.controls.update();
+    }
+  }
+
+  /**
+   * Set near/far on both cameras so a swap keeps the clipping range
+   * @param {number} near
+   * @param {number} far
+   */
+  setClipping(near, far) {
+    [this.perspectiveCamera, this.orthographicCamera].forEach(cam => {
+      if (near !== undefined) cam.near = near;
+      if (far !== undefined) cam.far = far;
+      cam.updateProjectionMatrix();
     });
   }
 
@@ -53,14 +132,64 @@ export class CameraManager {
    * Update controls (call in animation loop)
    */
   update() {
+    if (this.transition) this.stepTransition();
     if (this.controls) {
       this.controls.update();
     }
   }
 
   /**
-   * Get camera instance
-   * @returns {THREE.PerspectiveCamera}
+   * Smoothly move to a saved view
+   * @param {Object} view
+   * @param {THREE.Vector3} view.position
+   * @param {THREE.Vector3} view.target
+   * @param {number} [view.zoom] - Orthographic zoom
+   * @param {number} [view.fov] - Perspective vertical FOV
+   * @param {number} duration - Milliseconds
+   * @returns {Promise<void>} Resolves when the move finishes
+   */
+  animateTo(view, duration = 800) {
+    if (this.transition) this.transition.resolve();
+
+    const target = this.controls ? this.controls.target : new THREE.Vector3();
+    return new Promise(resolve => {
+      this.transition = {
+        start: performance.now(),
+        duration,
+        resolve,
+        fromPosition: this.camera.position.clone(),
+        toPosition: view.position.clone(),
+        fromTarget: target.clone(),
+        toTarget: view.target.clone(),
+        fromZoom: this.camera.zoom,
+        toZoom: view.zoom ?? this.camera.zoom,
+        fromFov: this.perspectiveCamera.fov,
+        toFov: view.fov ?? this.perspectiveCamera.fov,
+      };
+    });
+  }
+
+  stepTransition() {
+    const t = this.transition;
+    const k = Math.min(1, (performance.now() - t.start) / t.duration);
+    const e = k < 0.5 ? 4 * k * k * k : 1 - Math.pow(-2 * k + 2, 3) / 2; // easeInOutCubic
+
+    this.camera.position.lerpVectors(t.fromPosition, t.toPosition, e);
+    if (this.controls) this.controls.target.lerpVectors(t.fromTarget, t.toTarget, e);
+    this.camera.zoom = THREE.MathUtils.lerp(t.fromZoom, t.toZoom, e);
+    this.perspectiveCamera.fov = THREE.MathUtils.lerp(t.fromFov, t.toFov, e);
+    this.camera.updateProjectionMatrix();
+    if (this.camera !== this.perspectiveCamera) this.perspectiveCamera.updateProjectionMatrix();
+
+    if (k >= 1) {
+      this.transition = null;
+      t.resolve();
+    }
+  }
+
+  /**
+   * Get the active camera instance
+   * @returns {THREE.PerspectiveCamera|THREE.OrthographicCamera}
    */
   getCamera() {
     return this.camera;
@@ -87,16 +216,37 @@ export class CameraManager {
     
     // Calculate camera distance to fit object
     const maxDim = Math.max(size.x, size.y, size.z);
-    const fov = this.camera.fov * (Math.PI / 180);
+    const fov = this.perspectiveCamera.fov * (Math.PI / 180);
     let cameraZ = Math.abs(maxDim / 2 / Math.tan(fov / 2));
     cameraZ *= 2; // Add some padding
-    
+
+    if (this.camera.isOrthographicCamera) {
+      // Zoom-to-fit: the frustum covers the bounding box's projected extents
+      const aspect = (this.container.clientWidth || 1) / (this.container.clientHeight || 1);
+      this.frustumHeight = Math.max(size.y, size.x / aspect) * 1.2;
+      this.camera.zoom = 1;
+      this.updateOrthoFrustum();
+    }
+
     // Position camera
     this.camera.position.set(center.x, center.y, center.z + cameraZ);
     this.controls.target.copy(center);
     this.controls.update();
   }
 
+  /**
+   * Turntable: place the camera at an angle around the orbit target's
+   * vertical axis, looking at the target
+   * @param {THREE.Vector3} basePosition - Camera position at angle 0
+   * @param {number} angle - Radians
+   */
+  orbitTo(basePosition, angle) {
+    const target = this.controls ? this.controls.target : new THREE.Vector3();
+    const offset = basePosition.clone().sub(target).applyAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+    this.camera.position.copy(target).add(offset);
+    this.camera.lookAt(target);
+  }
+
   /**
    * Set camera position
    * @param {number} x
@@ -124,6 +274,10 @@ export class CameraManager {
    * Reset camera to default position
    */
   reset() {
+    if (this.camera.isOrthographicCamera) {
+      this.camera.zoom = 1;
+      this.camera.updateProjectionMatrix();
+    }
     this.camera.position.set(
       CONFIG.SCENE.CAMERA_POSITION.x,
       CONFIG.SCENE.CAMERA_POSITION.y,
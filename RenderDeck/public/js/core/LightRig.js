@@ -0,0 +1,281 @@
+// LIGHTRIG.JS - Editable Light Rig
+// Owns every light in the scene plus a helper ("gizmo") per light.
+// Lights are described by plain settings objects so a rig can be saved
+// with a custom model and rebuilt later.
+
+import * as THREE from 'three';
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
+import { RectAreaLightHelper } from 'three/addons/helpers/RectAreaLightHelper.js';
+import { CONFIG } from '../config.js';
+
+// What each type supports. Targeted lights aim at `target`.
+export const LIGHT_TYPES = {
+  ambient:     { label: 'Ambient',     shadows: false, targeted: false },
+  hemisphere:  { label: 'Hemisphere',  shadows: false, targeted: false },
+  directional: { label: 'Directional', shadows: true,  targeted: true },
+  point:       { label: 'Point',       shadows: true,  targeted: false },
+  spot:        { label: 'Spot',        shadows: true,  targeted: true },
+  rectArea:    { label: 'Rect Area',   shadows: false, targeted: true }
+};
+
+const { LIGHTING } = CONFIG;
+
+export const LIGHT_RIG_PRESETS = {
+  'Default': [
+    { type: 'ambient', name: 'Ambient', intensity: LIGHTING.AMBIENT_INTENSITY },
+    {
+      type: 'directional', name: 'Sun', intensity: LIGHTING.DIRECTIONAL_INTENSITY,
+      position: [LIGHTING.DIRECTIONAL_POSITION.x, LIGHTING.DIRECTIONAL_POSITION.y, LIGHTING.DIRECTIONAL_POSITION.z],
+      castShadow: true
+    }
+  ],
+  'Three-Point': [
+    { type: 'directional', name: 'Key', intensity: 2.0, position: [4, 5, 5], castShadow: true },
+    { type: 'directional', name: 'Fill', color: '#dfe8ff', intensity: 0.6, position: [-5, 2, 4] },
+    { type: 'spot', name: 'Rim', intensity: 40, position: [-2, 4, -6], angle: 0.5, penumbra: 0.6 },
+    { type: 'ambient', name: 'Ambient', intensity: 0.15 }
+  ],
+  'Studio': [
+    { type: 'hemisphere', name: 'Sky', color: '#ffffff', groundColor: '#3a3a3a', intensity: 0.6 },
+    { type: 'rectArea', name: 'Softbox Left', intensity: 4, width: 4, height: 4, position: [-5, 3, 3] },
+    { type: 'rectArea', name: 'Softbox Right', intensity: 3, width: 4, height: 4, position: [5, 3, 3] },
+    { type: 'rectArea', name: 'Overhead', intensity: 2, width: 6, height: 6, position: [0, 6, 0.01] },
+    { type: 'directional', name: 'Shadow Caster', intensity: 0.5, position: [2, 8, 4], castShadow: true }
+  ],
+  'Environment Only': []
+};
+
+export class LightRig {
+  constructor(scene) {
+    this.scene = scene;
+    this.entries = []; // [{ id, type, name, light, helper }] in list order
+    this.nextId = 1;
+    this.shadowMapSize = LIGHTING.SHADOW_MAP_SIZE;
+
+    this.group = new THREE.Group();
+    this.group.name = 'LightRig';
+    this.helpers = new THREE.Group();
+    this.helpers.name = 'LightRigHelpers';
+    this.helpers.visible = false;
+    scene.add(this.group, this.helpers);
+
+    RectAreaLightUniformsLib.init();
+  }
+
+  // ─── Add / remove ─────────────────────────────────────────────
+
+  /**
+   * Add a light
+   * @param {string} type - Key of LIGHT_TYPES
+   * @param {Object} settings - See serialize() for the fields
+   * @returns {Object} The rig entry
+   */
+  add(type, settings = {}) {
+    if (!LIGHT_TYPES[type]) throw new Error(`Unknown light type: ${type}`);
+
+    const light = this._createLight(type);
+    const n = this.nextId++;
+    const entry = { id: `light-${n}`, type, name: settings.name || `${LIGHT_TYPES[type].label} ${n}`, light, helper: null };
+
+    this.group.add(light);
+    if (light.target) this.group.add(light.target);
+    this.update(entry.id, settings, entry);
+
+    entry.helper = this._createHelper(entry);
+    if (entry.helper) this.helpers.add(entry.helper);
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Remove a light and its helper
+   * @param {string} id
+   */
+  remove(id) {
+    const entry = this.get(id);
+    if (!entry) return;
+
+    this.group.remove(entry.light);
+    if (entry.light.target) this.group.remove(entry.light.target);
+    entry.light.dispose?.();
+    if (entry.helper) {
+      this.helpers.remove(entry.helper);
+      entry.helper.dispose?.();
+    }
+    this.entries = this.entries.filter(e => e !== entry);
+  }
+
+  /**
+   * Remove every light
+   */
+  clear() {
+    [...this.entries].forEach(e => this.remove(e.id));
+  }
+
+  get(id) {
+    return this.entries.find(e => e.id === id) || null;
+  }
+
+  list() {
+    return [...this.entries];
+  }
+
+  // ─── Edit ─────────────────────────────────────────────────────
+
+  /**
+   * Change a light's settings. Fields the type doesn't have are ignored.
+   * @param {string} id
+   * @param {Object} settings - Any subset of the serialize() fields
+   */
+  update(id, settings, entry = this.get(id)) {
+    if (!entry) return;
+    const { light, type } = entry;
+    const s = settings;
+
+    if (s.name !== undefined) entry.name = s.name;
+    if (s.visible !== undefined) light.visible = s.visible;
+    if (s.color !== undefined) light.color.set(s.color);
+    if (s.groundColor !== undefined && light.groundColor) light.groundColor.set(s.groundColor);
+    if (s.intensity !== undefined) light.intensity = s.intensity;
+    if (s.position) light.position.fromArray(s.position);
+    if (s.distance !== undefined && 'distance' in light) light.distance = s.distance;
+    if (s.angle !== undefined && type === 'spot') light.angle = s.angle;
+    if (s.penumbra !== undefined && type === 'spot') light.penumbra = s.penumbra;
+    if (s.width !== undefined && type === 'rectArea') light.width = s.width;
+    if (s.height !== undefined && type === 'rectArea') light.height = s.height;
+
+    if (LIGHT_TYPES[type].shadows) {
+      if (s.castShadow !== undefined) light.castShadow = s.castShadow;
+      if (s.shadowBias !== undefined) light.shadow.bias = s.shadowBias;
+      if (s.shadowRadius !== undefined) light.shadow.radius = s.shadowRadius;
+    }
+
+    if (LIGHT_TYPES[type].targeted) {
+      if (s.target) this._targetOf(entry).fromArray(s.target);
+      this.aim(entry);
+    }
+  }
+
+  /**
+   * Re-point a targeted light after its position changed (e.g. a gizmo drag)
+   * @param {Object} entry
+   */
+  aim(entry) {
+    const { light } = entry;
+    if (light.target) {
+      light.target.updateMatrixWorld();
+    } else if (entry.type === 'rectArea') {
+      light.lookAt(this._targetOf(entry));
+    }
+  }
+
+  // ─── Presets & persistence ────────────────────────────────────
+
+  /**
+   * Replace the rig with a preset from LIGHT_RIG_PRESETS
+   * @param {string} name
+   */
+  applyPreset(name) {
+    const preset = LIGHT_RIG_PRESETS[name];
+    if (!preset) throw new Error(`Unknown light rig preset: ${name}`);
+    this.load(preset);
+  }
+
+  /**
+   * Replace the rig with saved settings
+   * @param {Object[]} lights - Output of serialize()
+   */
+  load(lights) {
+    this.clear();
+    lights.forEach(({ type, ...settings }) => {
+      if (LIGHT_TYPES[type]) this.add(type, settings);
+    });
+  }
+
+  /**
+   * Plain settings for every light (JSON-safe)
+   * @returns {Object[]}
+   */
+  serialize() {
+    return this.entries.map(entry => {
+      const { light, type } = entry;
+      const data = {
+        type,
+        name: entry.name,
+        visible: light.visible,
+        color: `#${light.color.getHexString()}`,
+        intensity: light.intensity,
+        position: light.position.toArray()
+      };
+      if (light.groundColor) data.groundColor = `#${light.groundColor.getHexString()}`;
+      if ('distance' in light) data.distance = light.distance;
+      if (type === 'spot') Object.assign(data, { angle: light.angle, penumbra: light.penumbra });
+      if (type === 'rectArea') Object.assign(data, { width: light.width, height: light.height });
+      if (LIGHT_TYPES[type].targeted) data.target = this._targetOf(entry).toArray();
+      if (LIGHT_TYPES[type].shadows) {
+        Object.assign(data, { castShadow: light.castShadow, shadowBias: light.shadow.bias, shadowRadius: light.shadow.radius });
+      }
+      return data;
+    });
+  }
+
+  // ─── Gizmos ───────────────────────────────────────────────────
+
+  setHelpersVisible(visible) {
+    this.helpers.visible = visible;
+  }
+
+  /**
+   * Keep helpers in step with their lights (call in the animation loop)
+   */
+  updateHelpers() {
+    if (!this.helpers.visible) return;
+    this.entries.forEach(({ light, helper }) => {
+      if (!helper) return;
+      helper.visible = light.visible;
+      helper.update?.();
+    });
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+
+  _createLight(type) {
+    let light;
+    switch (type) {
+      case 'ambient':     light = new THREE.AmbientLight(0xffffff, 1); break;
+      case 'hemisphere':  light = new THREE.HemisphereLight(0xffffff, 0x444444, 1); break;
+      case 'directional': light = new THREE.DirectionalLight(0xffffff, 1); break;
+      case 'point':       light = new THREE.PointLight(0xffffff, 20); break;
+      case 'spot':        light = new THREE.SpotLight(0xffffff, 20, 0, Math.PI / 6, 0.3); break;
+      case 'rectArea':    light = new THREE.RectAreaLight(0xffffff, 3, 2, 2); break;
+    }
+
+    if (type !== 'ambient' && type !== 'hemisphere') light.position.set(3, 4, 3);
+    light.userData.rigTarget = new THREE.Vector3(); // Aim point for rect-area lights
+
+    if (LIGHT_TYPES[type].shadows) {
+      light.shadow.mapSize.set(this.shadowMapSize, this.shadowMapSize);
+      if (type === 'directional') {
+        const size = LIGHTING.SHADOW_CAMERA_SIZE;
+        Object.assign(light.shadow.camera, { left: -size, right: size, top: size, bottom: -size });
+      }
+    }
+    return light;
+  }
+
+  _createHelper({ type, light }) {
+    switch (type) {
+      case 'hemisphere':  return new THREE.HemisphereLightHelper(light, 0.5);
+      case 'directional': return new THREE.DirectionalLightHelper(light, 0.75);
+      case 'point':       return new THREE.PointLightHelper(light, 0.3);
+      case 'spot':        return new THREE.SpotLightHelper(light);
+      case 'rectArea':    return new RectAreaLightHelper(light);
+      default:            return null; // Ambient light has no position
+    }
+  }
+
+  _targetOf({ light }) {
+    return light.target ? light.target.position : light.userData.rigTarget;
+  }
+}
@@ -0,0 +1,152 @@
+// PATHTRACER.JS - Progressive path-traced rendering
+// Wraps three-gpu-pathtracer's WebGLPathTracer. Samples accumulate while
+// the camera is still; any camera change restarts accumulation. The
+// library is imported on first use so the app still starts without it.
+
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+
+export class PathTracer {
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.tracer = null;        // WebGLPathTracer once loaded
+    this.denoiseQuad = null;   // FullScreenQuad with DenoiseMaterial
+    this.loading = null;       // Promise while the library loads
+    this.building = false;     // BVH build in progress
+    this.ready = false;        // Scene uploaded, safe to render
+    this.needsBlit = false;    // Redraw the finished image (e.g. denoise toggled)
+
+    this.params = { maxSamples: 512, bounces: 5, denoise: false, denoiseStrength: 5 };
+    this.lastCamera = { camera: null, world: new THREE.Matrix4(), projection: new THREE.Matrix4() };
+  }
+
+  // ─── Library ──────────────────────────────────────────────────
+  load() {
+    if (!this.loading) {
+      this.loading = import('three-gpu-pathtracer').then(({ WebGLPathTracer, DenoiseMaterial }) => {
+        this.tracer = new WebGLPathTracer(this.renderer);
+        this.tracer.tiles.set(2, 2);
+        this.tracer.minSamples = 1;
+        this.tracer.fadeDuration = 0;
+        this.tracer.filterGlossyFactor = 0.5;
+        this.denoiseQuad = new FullScreenQuad(new DenoiseMaterial());
+        this._applyParams();
+      }).catch((err) => {
+        console.error('Failed to load three-gpu-pathtracer:', err);
+        this.loading = null; // Allow a retry
+        throw err;
+      });
+    }
+    return this.loading;
+  }
+
+  // ─── Scene upload ─────────────────────────────────────────────
+  /**
+   * Build the BVH and upload materials, lights and environment
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {Function} [onProgress] - (0-1) => void
+   */
+  async setScene(scene, camera, onProgress) {
+    await this.load();
+    this.building = true;
+    this.ready = false;
+    try {
+      await this.tracer.setSceneAsync(scene, camera, { onProgress });
+      this._rememberCamera(camera);
+      this.ready = true;
+    } finally {
+      this.building = false;
+    }
+  }
+
+  /**
+   * Re-read materials, lights and environment without rebuilding geometry
+   */
+  updateScene() {
+    if (!this.ready) return;
+    this.tracer.updateMaterials();
+    this.tracer.updateLights();
+    this.tracer.updateEnvironment();
+  }
+
+  /**
+   * @param {Object} params
+   * @param {number} [params.maxSamples] - Stop accumulating after this many
+   * @param {number} [params.bounces]
+   * @param {boolean} [params.denoise]
+   * @param {number} [params.denoiseStrength] - Denoise filter sigma
+   */
+  setParams(params) {
+    const restart = params.bounces !== undefined && params.bounces !== this.params.bounces;
+    Object.assign(this.params, params);
+    this._applyParams();
+    if (restart) this.reset();
+    this.needsBlit = true;
+  }
+
+  reset() {
+    if (this.ready) this.tracer.reset();
+  }
+
+  get samples() {
+    return this.ready ? Math.floor(this.tracer.samples) : 0;
+  }
+
+  // ─── Render (called every frame instead of the raster path) ──
+  render(camera) {
+    if (!this.ready) return;
+
+    if (this._cameraChanged(camera)) {
+      // Perspective/ortho swap hands over a different camera object
+      if (this.lastCamera.camera !== camera) this.tracer.setCamera(camera);
+      else this.tracer.updateCamera();
+      this._rememberCamera(camera);
+    }
+
+    if (this.tracer.samples < this.params.maxSamples) {
+      this.tracer.renderSample();
+      if (this.params.denoise) this._drawDenoised();
+    } else if (this.needsBlit) {
+      // Finished image, but how it's displayed changed
+      if (this.params.denoise) this._drawDenoised();
+      else this.tracer.renderSample(); // One extra sample redraws the canvas
+    }
+    this.needsBlit = false;
+  }
+
+  dispose() {
+    this.tracer?.dispose();
+    this.denoiseQuad?.dispose();
+    this.ready = false;
+  }
+
+  // ─── Internals ────────────────────────────────────────────────
+  _applyParams() {
+    if (!this.tracer) return;
+    this.tracer.bounces = this.params.bounces;
+    // With denoise on we draw the accumulated target ourselves
+    this.tracer.renderToCanvas = !this.params.denoise;
+    this.denoiseQuad.material.sigma = this.params.denoiseStrength;
+  }
+
+  _drawDenoised() {
+    this.denoiseQuad.material.map = this.tracer.target.texture;
+    this.renderer.setRenderTarget(null);
+    this.denoiseQuad.render(this.renderer);
+  }
+
+  _cameraChanged(camera) {
+    const last = this.lastCamera;
+    camera.updateMatrixWorld();
+    return last.camera !== camera ||
+      !last.world.equals(camera.matrixWorld) ||
+      !last.projection.equals(camera.projectionMatrix);
+  }
+
+  _rememberCamera(camera) {
+    this.lastCamera.camera = camera;
+    this.lastCamera.world.copy(camera.matrixWorld);
+    this.lastCamera.projection.copy(camera.projectionMatrix);
+  }
+}
@@ -0,0 +1,122 @@
+// PLACEMENTCURSOR.JS - 3D cursor for placing designs on the model
+// Outlines where the selected overlay would land around a surface hit,
+// with a tick on its top edge so its rotation reads at a glance.
+// The outline follows the mesh's UV mapping at the hit triangle, so it
+// shows the overlay's real size on the surface. Decal layers are outlined
+// on their projector box instead (see Decals.js).
+
+import * as THREE from 'three';
+import { CONFIG } from '../config.js';
+
+export class PlacementCursor {
+  constructor() {
+    const material = new THREE.LineBasicMaterial({
+      color: CONFIG.UV_EDITOR.SELECTION_COLOR,
+      depthTest: false,
+      transparent: true
+    });
+
+    // 4 corners, then the tick (top-edge midpoint → a little beyond it)
+    this.outline = new THREE.LineLoop(new THREE.BufferGeometry(), material);
+    this.outline.geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(12), 3));
+    this.tick = new THREE.Line(new THREE.BufferGeometry(), material);
+    this.tick.geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(6), 3));
+
+    this.object = new THREE.Group();
+    this.object.name = 'PlacementCursor';
+    this.object.add(this.outline, this.tick);
+    this.object.renderOrder = 999;
+    this.object.traverse(child => { child.renderOrder = 999; });
+    this.object.visible = false;
+  }
+
+  /**
+   * World-space change in position per unit of U and of V on the hit triangle
+   * @param {THREE.Intersection} hit - Raycast hit with `face` and `uv`
+   * @returns {{tangentU: THREE.Vector3, tangentV: THREE.Vector3}|null} null when the UVs are degenerate
+   */
+  static surfaceTangents(hit) {
+    const geometry = hit.object.geometry;
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    if (!uv || !hit.face) return null;
+
+    const { a, b, c } = hit.face;
+    const p = [a, b, c].map(i => new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(hit.object.matrixWorld));
+    const t = [a, b, c].map(i => new THREE.Vector2().fromBufferAttribute(uv, i));
+
+    const e1 = p[1].clone().sub(p[0]), e2 = p[2].clone().sub(p[0]);
+    const d1 = t[1].clone().sub(t[0]), d2 = t[2].clone().sub(t[0]);
+    const det = d1.x * d2.y - d2.x * d1.y;
+    if (Math.abs(det) < 1e-10) return null;
+
+    return {
+      tangentU: e1.clone().multiplyScalar(d2.y).addScaledVector(e2, -d1.y).divideScalar(det),
+      tangentV: e2.clone().multiplyScalar(d1.x).addScaledVector(e1, -d2.x).divideScalar(det)
+    };
+  }
+
+  /**
+   * Outline an overlay centred on a surface hit
+   * @param {THREE.Intersection} hit
+   * @param {Object} overlay - UVEditor overlay ({ size: {w, h} in %, rotation in degrees })
+   * @param {boolean} flipY - Whether the design texture is flipped (canvas top = V 1)
+   * @returns {boolean} false if the hit has no usable UVs (cursor hidden)
+   */
+  update(hit, overlay, flipY = true) {
+    const tangents = hit && overlay ? PlacementCursor.surfaceTangents(hit) : null;
+    this.object.visible = !!tangents;
+    if (!tangents) return false;
+
+    // Canvas offsets (y down, in % of the texture) → world offsets
+    const angle = (overlay.rotation * Math.PI) / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const toWorld = (x, y) => {
+      const cx = x * cos - y * sin;
+      const cy = x * sin + y * cos;
+      return hit.point.clone()
+        .addScaledVector(tangents.tangentU, cx / 100)
+        .addScaledVector(tangents.tangentV, (flipY ? -cy : cy) / 100);
+    };
+
+    this._setShape(toWorld, overlay.size.w / 2, overlay.size.h / 2);
+    return true;
+  }
+
+  /**
+   * Outline a decal's projector box where it meets the surface
+   * @param {Object|null} frame - From decalFrame() in Decals.js
+   * @returns {boolean} false if there is no frame (cursor hidden)
+   */
+  updateDecal(frame) {
+    this.object.visible = !!frame;
+    if (!frame) return false;
+
+    // Same y-down offsets as update(), in world units on the projector plane
+    const toWorld = (x, y) => new THREE.Vector3(x, -y, 0)
+      .applyQuaternion(frame.quaternion)
+      .add(frame.position);
+    this._setShape(toWorld, frame.width / 2, frame.height / 2);
+    return true;
+  }
+
+  _setShape(toWorld, hw, hh) {
+    const corners = [toWorld(-hw, -hh), toWorld(hw, -hh), toWorld(hw, hh), toWorld(-hw, hh)];
+    const outline = this.outline.geometry.attributes.position;
+    corners.forEach((v, i) => outline.setXYZ(i, v.x, v.y, v.z));
+    outline.needsUpdate = true;
+
+    const tick = this.tick.geometry.attributes.position;
+    const top = toWorld(0, -hh), beyond = toWorld(0, -hh * 1.25);
+    tick.setXYZ(0, top.x, top.y, top.z);
+    tick.setXYZ(1, beyond.x, beyond.y, beyond.z);
+    tick.needsUpdate = true;
+
+    this.outline.geometry.computeBoundingSphere();
+    this.tick.geometry.computeBoundingSphere();
+  }
+
+  hide() {
+    this.object.visible = false;
+  }
+}
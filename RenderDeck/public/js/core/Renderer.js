@@ -6,10 +6,12 @@ import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
 import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
 import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { PathTracer } from './PathTracer.js';
 
 export class RendererManager {
   constructor(container) {
@@ -32,6 +34,7 @@ export class RendererManager {
     this.renderPass     = null;
     this.bloomPass      = null;
     this.ssaoPass       = null;
+    this.bokehPass      = null;
     this.afterimagePass = null;
     this.vignettePass   = null;
     this.fxaaPass       = null;
@@ -43,20 +46,29 @@ export class RendererManager {
     this.vignetteEnabled    = false;
     this.ssaoEnabled        = false;
     this.motionBlurEnabled  = false;
+    this.dofEnabled         = false; // Camera tab, independent of the post-FX master switch
+    this.dofParams          = { focus: 5.0, aperture: 0.005, maxblur: 0.01 };
+
+    // Progressive path tracing (Rendering tab); replaces the raster path while on
+    this.pathTracer         = new PathTracer(this.renderer);
+    this.pathTracingEnabled = false;
 
     this.resize();
     window.addEventListener('resize', () => this.resize());
   }
 
   // ─── Resize renderer + composer ──────────────────────────────
-  resize() {
+  resize(pixelRatio = Math.min(window.devicePixelRatio, 2)) {
     const w = this.container.clientWidth  || 1;
     const h = this.container.clientHeight || 1;
 
     this.renderer.setSize(w, h);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    this.renderer.setPixelRatio(pixelRatio);
 
-    if (this.composer) this.composer.setSize(w, h);
+    if (this.composer) {
+      this.composer.setPixelRatio(pixelRatio);
+      this.composer.setSize(w, h);
+    }
 
     if (this.fxaaPass) {
       const pr = this.renderer.getPixelRatio();
@@ -85,33 +97,41 @@ export class RendererManager {
     this.ssaoPass.enabled = false;
     this.composer.addPass(this.ssaoPass);
 
-    // 3. Bloom
+    // 3. Depth of field (camera tab)
+    this.bokehPass = new BokehPass(scene, camera, { ...this.dofParams });
+    this.bokehPass.enabled = false;
+    this.composer.addPass(this.bokehPass);
+
+    // 4. Bloom
     this.bloomPass = new UnrealBloomPass(new THREE.Vector2(w, h), 0.35, 0.20, 0.85);
     this.bloomPass.enabled = false;
     this.composer.addPass(this.bloomPass);
 
-    // 4. Motion blur (afterimage)
+    // 5. Motion blur (afterimage)
     this.afterimagePass = new AfterimagePass(0.88);
     this.afterimagePass.enabled = false;
     this.composer.addPass(this.afterimagePass);
 
-    // 5. Vignette
+    // 6. Vignette
     this.vignettePass = new ShaderPass(VignetteShader);
     this.vignettePass.uniforms['offset'].value   = 0.75;
     this.vignettePass.uniforms['darkness'].value = 1.25;
     this.vignettePass.enabled = false;
     this.composer.addPass(this.vignettePass);
 
-    // 6. FXAA (anti-aliasing post pass)
+    // 7. FXAA (anti-aliasing post pass)
     this.fxaaPass = new ShaderPass(FXAAShader);
     const pr = this.renderer.getPixelRatio();
     this.fxaaPass.material.uniforms['resolution'].value.set(1 / (w * pr), 1 / (h * pr));
     this.fxaaPass.enabled = false;
     this.composer.addPass(this.fxaaPass);
 
-    // 7. OutputPass — handles final tone mapping + sRGB encoding to screen
+    // 8. OutputPass — handles final tone mapping + sRGB encoding to screen
     this.outputPass = new OutputPass();
     this.composer.addPass(this.outputPass);
+
+    // Effects may have been toggled before the first frame
+    this._syncPasses();
   }
 
   // ─── Global post-FX on/off ────────────────────────────────────
@@ -161,6 +181,24 @@ export class RendererManager {
     if (this.afterimagePass) this.afterimagePass.uniforms['damp'].value = 0.5 + v * 0.45;
   }
 
+  // ─── Depth of field ──────────────────────────────────────────
+  setDOF(enabled) { this.dofEnabled = enabled; this._syncPasses(); }
+
+  /**
+   * @param {Object} params
+   * @param {number} params.focus    - Focus distance in world units (view depth)
+   * @param {number} params.aperture - Blur per unit of distance from the focal plane
+   * @param {number} params.maxblur  - Blur clamp (fraction of the frame)
+   */
+  setDOFParams(params) {
+    Object.assign(this.dofParams, params);
+    if (!this.bokehPass) return;
+    const u = this.bokehPass.uniforms;
+    u['focus'].value    = this.dofParams.focus;
+    u['aperture'].value = this.dofParams.aperture;
+    u['maxblur'].value  = this.dofParams.maxblur;
+  }
+
   // ─── Preset loader ───────────────────────────────────────────
   applyPreset(name) {
     switch (name) {
@@ -201,6 +239,7 @@ export class RendererManager {
     const on = this.postFXEnabled;
     if (this.bloomPass)       this.bloomPass.enabled       = on && this.bloomEnabled;
     if (this.ssaoPass)        this.ssaoPass.enabled        = on && this.ssaoEnabled;
+    if (this.bokehPass)       this.bokehPass.enabled       = this.dofEnabled;
     if (this.afterimagePass)  this.afterimagePass.enabled  = on && this.motionBlurEnabled;
     if (this.vignettePass)    this.vignettePass.enabled    = on && this.vignetteEnabled;
   }
@@ -214,17 +253,168 @@ export class RendererManager {
     set('post-toggle-motionblur', this.motionBlurEnabled);
   }
 
+  // ─── Point camera-dependent passes at a new camera ───────────
+  // Called when CameraManager swaps perspective ↔ orthographic.
+  setCamera(camera) {
+    if (this.renderPass) this.renderPass.camera = camera;
+    if (this.ssaoPass) {
+      this.ssaoPass.camera = camera;
+      const persp = camera.isPerspectiveCamera ? 1 : 0;
+      [this.ssaoPass.ssaoMaterial, this.ssaoPass.depthRenderMaterial].forEach(m => {
+        m.defines.PERSPECTIVE_CAMERA = persp;
+        m.needsUpdate = true;
+      });
+    }
+    if (this.bokehPass) {
+      this.bokehPass.camera = camera;
+      this.bokehPass.materialBokeh.defines.PERSPECTIVE_CAMERA = camera.isPerspectiveCamera ? 1 : 0;
+      this.bokehPass.materialBokeh.needsUpdate = true;
+    }
+    this._syncCameraUniforms(camera);
+  }
+
+  // Internal: near/far/projection change with clipping sliders and ortho zoom
+  _syncCameraUniforms(camera) {
+    if (this.ssaoPass?.enabled) {
+      const u = this.ssaoPass.ssaoMaterial.uniforms;
+      u['cameraNear'].value = camera.near;
+      u['cameraFar'].value = camera.far;
+      u['cameraProjectionMatrix'].value.copy(camera.projectionMatrix);
+      u['cameraInverseProjectionMatrix'].value.copy(camera.projectionMatrixInverse);
+      const d = this.ssaoPass.depthRenderMaterial.uniforms;
+      d['cameraNear'].value = camera.near;
+      d['cameraFar'].value = camera.far;
+    }
+    if (this.bokehPass?.enabled) {
+      this.bokehPass.uniforms['nearClip'].value = camera.near;
+      this.bokehPass.uniforms['farClip'].value = camera.far;
+    }
+  }
+
   // ─── Render (called every frame from animate loop) ────────────
   render(scene, camera) {
+    if (this.pathTracingEnabled && this.pathTracer.ready) {
+      this.pathTracer.render(camera);
+    } else {
+      this.renderRaster(scene, camera);
+    }
+  }
+
+  // ─── Rasterized frame (composer when effects are on) ─────────
+  renderRaster(scene, camera) {
     if (!this.composer) this.buildComposer(scene, camera);
+    if (this.renderPass.camera !== camera) this.setCamera(camera);
+    else this._syncCameraUniforms(camera);
 
-    if (this.postFXEnabled) {
+    if (this.postFXEnabled || this.dofEnabled) {
       this.composer.render();
     } else {
       this.renderer.render(scene, camera);
     }
   }
 
+  // ─── Path tracing ────────────────────────────────────────────
+  /**
+   * Switch the viewport between raster and progressive path tracing.
+   * Turning it on builds the path tracer's scene, which can take a while.
+   * @param {boolean} enabled
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {Function} [onProgress] - BVH build progress (0-1)
+   */
+  async setPathTracing(enabled, scene, camera, onProgress) {
+    this.pathTracingEnabled = enabled;
+    if (enabled) await this.pathTracer.setScene(scene, camera, onProgress);
+  }
+
+  // ─── Offscreen still render ───────────────────────────────────
+  /**
+   * Render the scene at an arbitrary size through the same pipeline as the
+   * viewport. Sizes above the GPU limit are split into tiles with
+   * camera.setViewOffset and stitched on a 2D canvas.
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {Object} options
+   * @param {number} options.width
+   * @param {number} options.height
+   * @param {boolean} options.transparent - Clear to alpha 0 and hide scene.background
+   * @param {number} options.maxTileSize
+   * @returns {{canvas: HTMLCanvasElement, tiles: number}}
+   */
+  renderStill(scene, camera, { width, height, transparent = false, maxTileSize = 4096 }) {
+    if (!this.composer) this.buildComposer(scene, camera);
+
+    const gl = this.renderer.getContext();
+    const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const tileSize = Math.min(maxTileSize, this.renderer.capabilities.maxTextureSize,
+      maxViewport[0], maxViewport[1]);
+    const cols = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const tileW = Math.ceil(width / cols);
+    const tileH = Math.ceil(height / rows);
+
+    // Save everything we touch
+    const savedPixelRatio = this.renderer.getPixelRatio();
+    const savedClear = this.renderer.getClearColor(new THREE.Color());
+    const savedClearAlpha = this.renderer.getClearAlpha();
+    const savedBackground = scene.background;
+    const savedFrustum = camera.isPerspectiveCamera
+      ? { aspect: camera.aspect }
+      : { left: camera.left, right: camera.right };
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+
+    try {
+      if (transparent) {
+        scene.background = null;
+        this.renderer.setClearColor(0x000000, 0);
+      }
+
+      // Frame the full image at the requested aspect
+      const aspect = width / height;
+      if (camera.isPerspectiveCamera) {
+        camera.aspect = aspect;
+      } else {
+        const halfW = (camera.top - camera.bottom) / 2 * aspect;
+        camera.left = -halfW;
+        camera.right = halfW;
+      }
+
+      this.renderer.setPixelRatio(1);
+      this.renderer.setSize(tileW, tileH, false);
+      this.composer.setPixelRatio(1);
+      this.composer.setSize(tileW, tileH);
+      if (this.fxaaPass) this.fxaaPass.material.uniforms['resolution'].value.set(1 / tileW, 1 / tileH);
+      if (this.afterimagePass?.enabled) this.afterimagePass.enabled = false; // Trails need frame history
+
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const x = col * tileW;
+          const y = row * tileH;
+          if (cols * rows > 1) camera.setViewOffset(width, height, x, y, tileW, tileH);
+          else camera.updateProjectionMatrix();
+          this.renderRaster(scene, camera);
+          // Read back in the same task, before the drawing buffer is cleared
+          ctx.drawImage(this.renderer.domElement, 0, 0, tileW, tileH, x, y, tileW, tileH);
+        }
+      }
+    } finally {
+      camera.clearViewOffset();
+      Object.assign(camera, savedFrustum);
+      camera.updateProjectionMatrix();
+      scene.background = savedBackground;
+      this.renderer.setClearColor(savedClear, savedClearAlpha);
+      this._syncPasses();
+      this.resize(savedPixelRatio);
+      this.pathTracer.needsBlit = true; // The viewport canvas was drawn over
+    }
+
+    return { canvas: output, tiles: cols * rows };
+  }
+
   // ─── Accessors ────────────────────────────────────────────────
   getRenderer()   { return this.renderer; }
   getDomElement() { return this.renderer.domElement; }
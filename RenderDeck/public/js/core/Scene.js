@@ -3,53 +3,41 @@
 
 import * as THREE from 'three';
 import { CONFIG } from '../config.js';
+import { LightRig } from './LightRig.js';
 
 export class SceneManager {
   constructor() {
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(CONFIG.SCENE.BACKGROUND_COLOR);
+
+    // Background is chosen separately from the HDR used for lighting
+    this.backgroundConfig = { type: 'hdr' };
+    this.backgroundTexture = null; // Gradient/backplate texture we own
+    this.scene.onBeforeRender = (renderer, scene, camera) => this.fitBackground(camera);
+
+    // Environment as loaded, plus a PMREM bake when rotated/scaled/blurred
+    this.environmentSource = null;
+    this.environmentParams = { rotation: 0, intensity: 1, blur: 0 };
+    this.environmentTarget = null;
+    this.pmremGenerator = null;
+
     this.setupLighting();
   }
 
   /**
-   * Setup scene lighting (ambient + directional with shadows)
+   * Give the scene a renderer for baking environment adjustments
+   * @param {THREE.WebGLRenderer} renderer
+   */
+  setRenderer(renderer) {
+    this.pmremGenerator = new THREE.PMREMGenerator(renderer);
+  }
+
+  /**
+   * Setup scene lighting (editable rig, starts from the Default preset)
    */
   setupLighting() {
-    // Ambient light - illuminates everything equally
-    const ambient = new THREE.AmbientLight(
-      0xffffff, 
-      CONFIG.LIGHTING.AMBIENT_INTENSITY
-    );
-    this.scene.add(ambient);
-
-    // Directional light - simulates sunlight with shadows
-    const directional = new THREE.DirectionalLight(
-      0xffffff, 
-      CONFIG.LIGHTING.DIRECTIONAL_INTENSITY
-    );
-    
-    directional.position.set(
-      CONFIG.LIGHTING.DIRECTIONAL_POSITION.x,
-      CONFIG.LIGHTING.DIRECTIONAL_POSITION.y,
-      CONFIG.LIGHTING.DIRECTIONAL_POSITION.z
-    );
-    
-    directional.castShadow = true;
-    
-    // Configure shadow camera
-    const shadowSize = CONFIG.LIGHTING.SHADOW_CAMERA_SIZE;
-    directional.shadow.camera.left = -shadowSize;
-    directional.shadow.camera.right = shadowSize;
-    directional.shadow.camera.top = shadowSize;
-    directional.shadow.camera.bottom = -shadowSize;
-    directional.shadow.mapSize.width = CONFIG.LIGHTING.SHADOW_MAP_SIZE;
-    directional.shadow.mapSize.height = CONFIG.LIGHTING.SHADOW_MAP_SIZE;
-    
-    this.scene.add(directional);
-
-    // Store references
-    this.ambientLight = ambient;
-    this.directionalLight = directional;
+    this.lightRig = new LightRig(this.scene);
+    this.lightRig.applyPreset('Default');
   }
 
   /**
@@ -57,21 +45,195 @@ export class SceneManager {
    * @param {THREE.Texture} texture - Environment texture
    */
   setEnvironment(texture) {
-    this.scene.environment = texture;
+    const previous = this.environmentSource;
+    this.environmentSource = texture;
+    this.applyEnvironment();
+    if (previous && previous !== texture) previous.dispose();
   }
 
   /**
-   * Set background color
-   * @param {number|string} color - Color (hex or THREE.Color)
+   * Adjust the environment lighting
+   * @param {Object} params
+   * @param {number} [params.rotation] - Yaw in radians
+   * @param {number} [params.intensity] - Multiplier (1 = as loaded)
+   * @param {number} [params.blur] - 0-1, scaled by CONFIG.SCENE.ENV_MAX_BLUR
    */
-  setBackground(color) {
-    if (typeof color === 'string' || typeof color === 'number') {
-      this.scene.background = new THREE.Color(color);
-    } else {
-      this.scene.background = color;
+  setEnvironmentParams(params) {
+    Object.assign(this.environmentParams, params);
+    this.applyEnvironment();
+  }
+
+  getEnvironmentParams() {
+    return { ...this.environmentParams };
+  }
+
+  /**
+   * Rebuild scene.environment from the source HDR and current params.
+   * Adjustments are baked with PMREMGenerator.fromScene so they also reach
+   * materials that were given the environment as their own envMap.
+   */
+  applyEnvironment() {
+    const previous = this.scene.environment;
+    const { rotation, intensity, blur } = this.environmentParams;
+    let environment = this.environmentSource;
+    let target = null;
+
+    const adjusted = rotation !== 0 || intensity !== 1 || blur > 0;
+    if (environment && adjusted && this.pmremGenerator) {
+      const envScene = new THREE.Scene();
+      envScene.background = environment;
+      envScene.backgroundRotation.set(0, rotation, 0);
+      envScene.backgroundIntensity = intensity;
+
+      // Wide blurs need a smaller cube to stay within the PMREM sample limit
+      const sigma = blur * CONFIG.SCENE.ENV_MAX_BLUR;
+      const size = sigma > 0 ? THREE.MathUtils.clamp(2 ** Math.floor(Math.log2(9.5 / sigma)), 32, 256) : 256;
+      target = this.pmremGenerator.fromScene(envScene, sigma, 0.1, 100, { size });
+      environment = target.texture;
+    }
+
+    this.scene.environment = environment;
+    if (previous && previous !== environment) {
+      this.scene.traverse((child) => {
+        if (!child.isMesh) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+          if (material?.envMap === previous) {
+            material.envMap = environment;
+            material.needsUpdate = true;
+          }
+        });
+      });
+    }
+    if (this.environmentTarget) this.environmentTarget.dispose();
+    this.environmentTarget = target;
+
+    // HDR backgrounds follow the lighting
+    if (this.backgroundConfig.type === 'hdr' || this.backgroundConfig.type === 'hdr-blur') {
+      this.setBackground(this.backgroundConfig);
     }
   }
 
+  /**
+   * Set the scene background
+   * @param {number|string|THREE.Color|THREE.Texture|Object} background
+   *   A color or texture, or a config object:
+   *   { type: 'color', color }
+   *   { type: 'gradient', top, bottom }
+   *   { type: 'image', image }          - Backplate, cover-fitted to the frame
+   *   { type: 'hdr' }                   - The environment map
+   *   { type: 'hdr-blur', blur }        - Environment map, blurred (0-1)
+   *   { type: 'transparent' }           - No background (renderer clears to alpha 0)
+   */
+  setBackground(background) {
+    if (typeof background === 'string' || typeof background === 'number' || background?.isColor) {
+      background = { type: 'color', color: background };
+    } else if (background?.isTexture) {
+      this.scene.background = background;
+      return;
+    }
+
+    const config = { ...background };
+    if (this.backgroundTexture) {
+      this.backgroundTexture.dispose();
+      this.backgroundTexture = null;
+    }
+    this.scene.backgroundBlurriness = 0;
+    this.scene.backgroundIntensity = 1;
+    this.scene.backgroundRotation.set(0, 0, 0);
+
+    switch (config.type) {
+      case 'color':
+        this.scene.background = new THREE.Color(config.color);
+        break;
+
+      case 'gradient': {
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 512;
+        const ctx = canvas.getContext('2d');
+        const grad = ctx.createLinearGradient(0, 0, 0, canvas.height);
+        grad.addColorStop(0, config.top);
+        grad.addColorStop(1, config.bottom);
+        ctx.fillStyle = grad;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        this.backgroundTexture = new THREE.CanvasTexture(canvas);
+        break;
+      }
+
+      case 'image':
+        this.backgroundTexture = new THREE.Texture(config.image);
+        this.backgroundTexture.userData.aspect = config.image.width / config.image.height;
+        this.backgroundTexture.needsUpdate = true;
+        break;
+
+      case 'hdr':
+      case 'hdr-blur':
+        // The sharp source, turned and scaled like the lighting
+        this.scene.background = this.environmentSource || new THREE.Color(CONFIG.SCENE.BACKGROUND_COLOR);
+        this.scene.backgroundRotation.set(0, this.environmentParams.rotation, 0);
+        this.scene.backgroundIntensity = this.environmentParams.intensity;
+        if (config.type === 'hdr-blur') this.scene.backgroundBlurriness = config.blur ?? 0.5;
+        break;
+
+      case 'transparent':
+        this.scene.background = null;
+        break;
+
+      default:
+        console.warn(`Unknown background type: ${config.type}`);
+        return;
+    }
+
+    if (this.backgroundTexture) {
+      this.backgroundTexture.colorSpace = THREE.SRGBColorSpace;
+      this.scene.background = this.backgroundTexture;
+    }
+    this.backgroundConfig = config;
+  }
+
+  /**
+   * Map the gradient/backplate onto the frame being rendered. Screen-space
+   * backgrounds stretch to the viewport, so the texture is cropped to
+   * cover it, and restricted to the current tile when a view offset is set.
+   * @param {THREE.Camera} camera
+   */
+  fitBackground(camera) {
+    const tex = this.backgroundTexture;
+    if (!tex || this.scene.background !== tex) return;
+
+    const view = camera.view?.enabled ? camera.view : null;
+    const frameAspect = view
+      ? view.fullWidth / view.fullHeight
+      : camera.isPerspectiveCamera ? camera.aspect : (camera.right - camera.left) / (camera.top - camera.bottom);
+
+    // Cover-fit crop for backplates; gradients just stretch
+    let rx = 1, ry = 1;
+    const imageAspect = tex.userData.aspect;
+    if (imageAspect) {
+      if (imageAspect > frameAspect) rx = frameAspect / imageAspect;
+      else ry = imageAspect / frameAspect;
+    }
+    let ox = (1 - rx) / 2, oy = (1 - ry) / 2;
+
+    if (view) {
+      ox += rx * (view.offsetX / view.fullWidth);
+      oy += ry * ((view.fullHeight - view.offsetY - view.height) / view.fullHeight);
+      rx *= view.width / view.fullWidth;
+      ry *= view.height / view.fullHeight;
+    }
+
+    tex.repeat.set(rx, ry);
+    tex.offset.set(ox, oy);
+  }
+
+  /**
+   * Current background config (for saving with a custom model)
+   * @returns {Object}
+   */
+  getBackground() {
+    return { ...this.backgroundConfig };
+  }
+
   /**
    * Add object to scene
    * @param {THREE.Object3D} object
@@ -102,12 +264,10 @@ export class SceneManager {
    * @param {number} directionalIntensity
    */
   updateLighting(ambientIntensity, directionalIntensity) {
-    if (this.ambientLight) {
-      this.ambientLight.intensity = ambientIntensity;
-    }
-    if (this.directionalLight) {
-      this.directionalLight.intensity = directionalIntensity;
-    }
+    this.lightRig.list().forEach(({ id, type }) => {
+      if (type === 'ambient') this.lightRig.update(id, { intensity: ambientIntensity });
+      if (type === 'directional') this.lightRig.update(id, { intensity: directionalIntensity });
+    });
   }
 
   /**
@@ -118,7 +278,9 @@ export class SceneManager {
     this.scene.traverse((object) => {
       if (object !== this.scene && 
           !object.isLight && 
-          !object.isCamera) {
+          !object.isCamera &&
+          object !== this.lightRig.group &&
+          object !== this.lightRig.helpers) {
         objectsToRemove.push(object);
       }
     });
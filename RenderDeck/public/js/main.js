@@ -3,14 +3,23 @@
 import * as THREE from 'three';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 
 // Core
 import { SceneManager } from './core/Scene.js';
 import { RendererManager } from './core/Renderer.js';
 import { CameraManager } from './core/Camera.js';
+import { LIGHT_TYPES, LIGHT_RIG_PRESETS } from './core/LightRig.js';
+import { PlacementCursor } from './core/PlacementCursor.js';
 
-import { MaterialManager } from './materials/MaterialManager.js';
+import { MaterialManager, TEXTURE_SLOTS, TEXTURE_CHANNELS } from './materials/MaterialManager.js';
+import { GENERATORS, getGeneratorParamSpecs, resolveGeneratorParams } from './materials/generators.js';
 import { ModelManager } from './models/ModelManager.js';
+import { ModelVerifier } from './models/ModelVerifier.js';
+import { EnvironmentStorage } from './storage/EnvironmentStorage.js';
+import { MaterialLibraryStorage } from './storage/MaterialLibraryStorage.js';
+import { collectParts, getDesignPart, getPartMaterial, setPartMaterial } from './models/ModelParts.js';
 
 import { UVEditor } from './ui/UVEditor.js';
 import { ControlsManager } from './ui/Controls.js';
@@ -18,13 +27,17 @@ import { ControlsManager } from './ui/Controls.js';
 // Utils
 import { log, logError, logSuccess, logWarn } from './utils/logger.js';
 import { TextureCompositor } from './utils/TextureCompositor.js';
-import { centerAndFrameModel, cleanupObject } from './utils/helpers.js';
+import { ModelExporter } from './utils/ModelExporter.js';
+import { CommandHistory } from './utils/CommandHistory.js';
+import { embedMetadata } from './utils/ImageMetadata.js';
+import { ZipWriter } from './utils/ZipWriter.js';
+import { centerAndFrameModel, cleanupObject, debounce, downloadFile, readFileAsDataURL } from './utils/helpers.js';
 
 // Config
-import { CONFIG, MODEL_PATHS } from './config.js';
+import { CONFIG, MODEL_PATHS, FEATURES } from './config.js';
 
 // Scenes
-import { initScenes, loadScene, getSceneNames } from './scenes.js';
+import { initScenes, loadScene, getSceneNames, getUserSceneNames, registerUserScene, unregisterUserScene, isUserScene } from './scenes.js';
 
 //═══════════════════════════════════════════════════════════════
 // INITIALIZATION
@@ -35,18 +48,26 @@ const container = document.getElementById('scene-view-placeholder');
 const sceneManager = new SceneManager();
 const rendererManager = new RendererManager(container);
 const cameraManager = new CameraManager(container);
+sceneManager.setRenderer(rendererManager.getRenderer());
 cameraManager.setupControls(rendererManager.getDomElement());
 
 const materialManager = new MaterialManager();
 const modelManager = new ModelManager(log);
-const uvEditor = new UVEditor(rendererManager, log, modelManager, materialManager);
+const commandHistory = new CommandHistory();
+const uvEditor = new UVEditor(rendererManager, log, modelManager, materialManager, commandHistory, getSaveContext);
 
 const objLoader = new OBJLoader();
 const mtlLoader = new MTLLoader();
+const gltfLoader = new GLTFLoader();
 
 let activeModel = null;
 let activeMesh = null;
 
+// Material parts of the active model (see ModelParts.js)
+let modelParts = [];
+let activePart = null;
+const partPresets = new Map(); // part key -> preset name (null = embedded glTF material)
+
 //═══════════════════════════════════════════════════════════════
 // SCENE SETUP
 //═══════════════════════════════════════════════════════════════
@@ -55,7 +76,6 @@ log('RenderDeck initialized.');
 
 initScenes((name, texture) => {
   sceneManager.setEnvironment(texture);
-  sceneManager.getScene().background = texture;
   log(`Scene: ${name}`);
 });
 
@@ -79,6 +99,10 @@ async function loadModel(name) {
   const modelData = await modelManager.getModel(name);
   if (!modelData) { logError(`Model not found: ${name}`); return; }
   cleanupActiveModel();
+  setActiveBookmarks(name, modelData);
+  // Models saved without these get the defaults, not the previous model's
+  restoreBackground(modelData.background || DEFAULT_BACKGROUND);
+  loadLightRig(modelData.lightRig || LIGHT_RIG_PRESETS.Default);
   if (modelData.type === 'custom') {
     await loadCustomModel(name, modelData);
   } else {
@@ -91,47 +115,80 @@ async function loadCustomModel(name, modelData) {
   const loadingPaths = await modelManager.getLoadingPaths(modelData.basedOn);
   if (!loadingPaths) { logError(`Base model not found: ${modelData.basedOn}`); return; }
 
-  const objPath = loadingPaths.type === 'path'
-    ? loadingPaths.basePath + loadingPaths.obj : loadingPaths.obj;
+  // glTF bases keep their embedded materials unless a preset was picked
+  const isGLTF = loadingPaths.format === 'gltf';
+  const presetName = modelData.materialPreset || (isGLTF ? null : 'Wood');
 
-  objLoader.load(objPath, (object) => {
+  const onLoaded = (object) => {
     object.traverse((child) => {
       if (!child.isMesh) return;
       child.castShadow = true;
       child.receiveShadow = true;
       child.userData.isCustomModel = true;
       if (!activeMesh) activeMesh = child;
+    });
 
-      const presetName = modelData.materialPreset || 'Wood';
-      const material = materialManager.getPreset(presetName);
-      materialManager.applyEnvironment(material, sceneManager.getScene().environment);
-      child.material = material;
+    modelParts = collectParts(object);
+    modelParts.forEach((part, i) => {
+      // Per-part entries win; older saves only have one preset for everything
+      const saved = modelData.partMaterials?.[part.key];
+      const partPreset = saved ? saved.preset : presetName;
 
-      if (modelData.materialProperties) {
-        materialManager.applySavedProperties(child.material, modelData.materialProperties);
+      if (partPreset) {
+        const material = materialManager.getPreset(partPreset);
+        materialManager.applyEnvironment(material, sceneManager.getScene().environment);
+        setPartMaterial(part, material);
       }
-
-      if (child.material && modelData.overlayImages?.length > 0) {
-        TextureCompositor.createCompositeTexture(child.material.map, modelData.overlayImages)
-          .then(tex => {
-            if (child.material.map) child.material.map.dispose();
-            child.material.map = tex;
-            child.material.needsUpdate = true;
-          })
-          .catch(err => logError(`Composite failed: ${err.message}`));
+      partPresets.set(part.key, partPreset);
+
+      const material = getPartMaterial(part);
+      if (saved) {
+        materialManager.applySavedProperties(material, saved.properties);
+        if (saved.textureMaps) {
+          // After any maps of a user preset, so the saved ones win
+          materialManager.whenReady(material)
+            .then(() => materialManager.applyTextureMaps(material, saved.textureMaps))
+            .then(() => { if (part === activePart) syncTextureMapPanel(); });
+        }
+      } else if (modelData.materialProperties && (presetName || i === 0)) {
+        materialManager.applySavedProperties(material, modelData.materialProperties);
       }
     });
 
+    // The design is painted into the design part only, as when editing
+    const designMaterial = getPartMaterial(getDesignPart(activeMesh));
+    if (designMaterial && modelData.overlayImages?.length > 0) {
+      const flipY = designMaterial.map?.flipY;
+      TextureCompositor.createCompositeTexture(designMaterial.map, modelData.overlayImages)
+        .then(tex => {
+          if (flipY !== undefined) tex.flipY = flipY;
+          if (designMaterial.map) designMaterial.map.dispose();
+          designMaterial.map = tex;
+          designMaterial.needsUpdate = true;
+        })
+        .catch(err => logError(`Composite failed: ${err.message}`));
+    }
+
     sceneManager.add(object);
     activeModel = object;
     centerAndFrameModel(object, cameraManager);
-    if (activeMesh?.material) controls.syncMaterialUI(activeMesh.material);
+    selectPart(modelParts[0]?.key);
     log(`${name} loaded.`);
     // Initialize UV editor for this custom model
     if (activeMesh) {
-      uvEditor.open(activeMesh, name, modelData.materialPreset || 'Wood');
+      uvEditor.open(activeMesh, name, presetName);
     }
-  },
+  };
+
+  if (isGLTF) {
+    loadGLTF(loadingPaths, onLoaded);
+    return;
+  }
+
+  const objPath = loadingPaths.type === 'path'
+    ? loadingPaths.basePath + loadingPaths.obj : loadingPaths.obj;
+
+  objLoader.load(objPath, onLoaded,
   (xhr) => { if (xhr.lengthComputable && xhr.total > 0) log(`Loading… ${((xhr.loaded/xhr.total)*100).toFixed(0)}%`); },
   (err) => logError(`OBJ load failed: ${err}`));
 }
@@ -141,6 +198,29 @@ async function loadRegularModel(name, modelData) {
   const loadingPaths = await modelManager.getLoadingPaths(name);
   if (!loadingPaths) { logError(`No paths for ${name}`); return; }
 
+  if (loadingPaths.format === 'gltf') {
+    loadGLTF(loadingPaths, (object) => {
+      object.traverse((child) => {
+        if (!child.isMesh) return;
+        child.castShadow = true;
+        child.receiveShadow = true;
+        if (!activeMesh) activeMesh = child;
+      });
+      sceneManager.add(object);
+      activeModel = object;
+      centerAndFrameModel(object, cameraManager);
+      // Embedded PBR materials are kept — no preset is applied
+      modelParts = collectParts(object);
+      modelParts.forEach(part => partPresets.set(part.key, null));
+      selectPart(modelParts[0]?.key);
+      log(`${name} loaded.`);
+      if (activeMesh) {
+        uvEditor.open(activeMesh, name, null);
+      }
+    });
+    return;
+  }
+
   function loadOBJ(materials = null) {
     if (materials) objLoader.setMaterials(materials);
     const objPath = loadingPaths.type === 'path'
@@ -156,7 +236,9 @@ async function loadRegularModel(name, modelData) {
       sceneManager.add(object);
       activeModel = object;
       centerAndFrameModel(object, cameraManager);
-      applyMaterialPreset('Wood');
+      modelParts = collectParts(object);
+      applyMaterialPreset('Wood', modelParts);
+      selectPart(modelParts[0]?.key);
       log(`${name} loaded.`);
       // Initialize UV editor for this model
       if (activeMesh) {
@@ -186,6 +268,30 @@ async function loadRegularModel(name, modelData) {
   }
 }
 
+/**
+ * Load a glTF/GLB scene. Embedded materials are upgraded to
+ * MeshPhysicalMaterial so Setting 3 can edit them.
+ */
+function loadGLTF(loadingPaths, onLoad) {
+  const gltfPath = loadingPaths.type === 'path'
+    ? loadingPaths.basePath + loadingPaths.gltf : loadingPaths.gltf;
+
+  gltfLoader.load(gltfPath, (gltf) => {
+    const object = gltf.scene;
+    object.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      child.material = Array.isArray(child.material)
+        ? child.material.map(m => materialManager.toPhysical(m))
+        : materialManager.toPhysical(child.material);
+      [].concat(child.material).forEach(m =>
+        materialManager.applyEnvironment(m, sceneManager.getScene().environment));
+    });
+    onLoad(object);
+  },
+  (xhr) => { if (xhr.lengthComputable && xhr.total > 0) log(`Loading… ${((xhr.loaded/xhr.total)*100).toFixed(0)}%`); },
+  (err) => logError(`glTF load failed: ${err.message || err}`));
+}
+
 function cleanupActiveModel() {
   if (activeModel) {
     sceneManager.remove(activeModel);
@@ -193,48 +299,89 @@ function cleanupActiveModel() {
     activeModel = null;
     activeMesh = null;
   }
+  modelParts = [];
+  activePart = null;
+  partPresets.clear();
+  controls.updatePartSelect([]);
+  commandHistory.clear();
 }
 
 //═══════════════════════════════════════════════════════════════
 // MATERIAL MANAGEMENT
 //═══════════════════════════════════════════════════════════════
 
-function applyMaterialPreset(presetName) {
+/**
+ * Apply a preset to some parts of the active model
+ * @param {string} presetName
+ * @param {Array} parts - Defaults to the part selected in Setting 3
+ */
+function applyMaterialPreset(presetName, parts = activePart ? [activePart] : modelParts) {
   if (!activeModel) return;
-  activeModel.traverse((child) => {
-    if (!child.isMesh) return;
-    if (child.userData?.isCustomModel) {
-      if (sceneManager.getScene().environment && child.material) {
-        child.material.envMap = sceneManager.getScene().environment;
-        child.material.needsUpdate = true;
+  parts.forEach((part) => {
+    const current = getPartMaterial(part);
+    if (part.mesh.userData?.isCustomModel) {
+      if (sceneManager.getScene().environment && current) {
+        current.envMap = sceneManager.getScene().environment;
+        current.needsUpdate = true;
       }
       return;
     }
     const material = materialManager.getPreset(presetName);
     materialManager.applyEnvironment(material, sceneManager.getScene().environment);
-    if (child.material) materialManager.dispose(child.material);
-    child.material = material;
-    if (!activeMesh) activeMesh = child;
-    child.material.needsUpdate = true;
+    if (current) materialManager.dispose(current);
+    setPartMaterial(part, material);
+    partPresets.set(part.key, presetName);
+    materialManager.whenReady(material).then(() => {
+      if (part === activePart) syncTextureMapPanel();
+      refreshPathTracer();
+    });
   });
-  if (activeMesh?.material) controls.syncMaterialUI(activeMesh.material);
+  if (activePart) controls.syncMaterialUI(getPartMaterial(activePart));
+  syncProceduralPanel();
+  syncTextureMapPanel();
   
-  // Update UV editor's base texture to match the new material
-  if (activeMesh?.material?.map) {
-    uvEditor.baseTexture = activeMesh.material.map;
+  // Update UV editor's base texture when the design part got the new material
+  const design = getDesignPart(activeMesh);
+  const designMaterial = getPartMaterial(design);
+  const designChanged = parts.some(p => p.mesh === design?.mesh && p.materialIndex === design.materialIndex);
+  if (designChanged && designMaterial?.map) {
+    uvEditor.baseTexture = designMaterial.map;
     uvEditor.currentMaterialPreset = presetName;
     uvEditor._renderPreview();
   }
   
-  log(`Preset: ${presetName}`);
+  log(`Preset: ${presetName}${activePart && parts.length === 1 ? ` (${activePart.label})` : ''}`);
 }
 
+/**
+ * Make a part the target of the Setting 3 controls
+ * @param {string} key - Part key from collectParts()
+ */
+function selectPart(key) {
+  activePart = modelParts.find(p => p.key === key) || null;
+  controls.updatePartSelect(modelParts, activePart?.key);
+  if (!activePart) return;
+  controls.selectMaterialPreset(partPresets.get(activePart.key));
+  const material = getPartMaterial(activePart);
+  if (material) controls.syncMaterialUI(material);
+  syncProceduralPanel();
+  syncTextureMapPanel();
+}
+
+const COLOR_PROPS = ['color', 'specularColor', 'sheenColor', 'emissive', 'attenuationColor'];
+
 function updateMaterialProperty(property, value) {
-  if (!activeMesh?.material) return;
-  const mat = activeMesh.material;
-  const colorProps = ['color', 'specularColor', 'sheenColor', 'emissive', 'attenuationColor'];
-  if (colorProps.includes(property)) {
+  const mat = getPartMaterial(activePart || getDesignPart(activeMesh));
+  if (!mat) return;
+  if (FEATURES.ENABLE_UNDO_REDO) recordMaterialEdit(mat, property, value);
+  setMaterialProperty(mat, property, value);
+}
+
+function setMaterialProperty(mat, property, value) {
+  if (COLOR_PROPS.includes(property)) {
     mat[property].set(value);
+  } else if (property === 'normalScale') {
+    materialManager.setNormalStrength(mat, value);
   } else {
     mat[property] = value;
   }
@@ -243,6 +390,444 @@ function updateMaterialProperty(property, value) {
   mat.needsUpdate = true;
 }
 
+/**
+ * Push an undoable material edit. The part is resolved again on undo,
+ * so a step still lands on the right part after switching the dropdown.
+ */
+function recordMaterialEdit(mat, property, value) {
+  const before = {
+    value: COLOR_PROPS.includes(property) ? '#' + mat[property].getHexString()
+      : property === 'normalScale' ? Math.abs(mat.normalScale.x)
+      : mat[property],
+    transparent: mat.transparent
+  };
+  const partKey = activePart?.key ?? null;
+  const label = `${property}${activePart ? ` (${activePart.label})` : ''}`;
+
+  const restore = (state) => () => {
+    const part = modelParts.find(p => p.key === partKey);
+    const target = getPartMaterial(part || getDesignPart(activeMesh));
+    if (!target) return;
+    setMaterialProperty(target, property, state.value);
+    if (state.transparent !== undefined) target.transparent = state.transparent;
+    if (part && part !== activePart) selectPart(part.key);
+    else controls.syncMaterialUI(target);
+  };
+
+  commandHistory.push({
+    label,
+    undo: restore(before),
+    redo: restore({ value }),
+    coalesceKey: `material:${partKey}:${property}`
+  });
+}
+
+//═══════════════════════════════════════════════════════════════
+// PROCEDURAL TEXTURE (Setting 3)
+//═══════════════════════════════════════════════════════════════
+
+// Generator and parameters behind the selected part's base map (see
+// generators.js). Edits redraw the map; the parameters are saved with
+// the material, so a seed always gives the same texture.
+
+function applyProceduralMap(type, params) {
+  const material = textureMapTarget();
+  if (!material) { logError('No model loaded'); return; }
+  materialManager.setProceduralMap(material, type, params);
+
+  // The Design tab composites over this map
+  if (getPartMaterial(getDesignPart(activeMesh)) === material) {
+    uvEditor.baseTexture = material.map;
+    if (uvEditor.overlayImages.length > 0) uvEditor.applyTextureToModel();
+    else uvEditor._renderPreview();
+  }
+  refreshPathTracer();
+}
+
+// Current values of the generated controls
+function readProceduralParams() {
+  const params = {};
+  document.querySelectorAll('#procedural-params [data-param]').forEach(el => {
+    params[el.dataset.param] = el.type === 'color' ? el.value : parseFloat(el.value);
+  });
+  return params;
+}
+
+const redrawProceduralMap = debounce(() => {
+  const generator = materialManager.getProceduralMap(textureMapTarget());
+  if (generator) applyProceduralMap(generator.type, { ...generator.params, ...readProceduralParams() });
+}, 150);
+
+// Switching generators keeps the seed and resolution
+function setProceduralType(type) {
+  const current = materialManager.getProceduralMap(textureMapTarget());
+  const params = current ? { seed: current.params.seed, resolution: current.params.resolution } : {};
+  applyProceduralMap(type, params);
+  syncProceduralPanel();
+  log(`Procedural texture: ${GENERATORS[type].label}`);
+}
+
+// One control per parameter spec: number = input + slider, color, select
+function renderProceduralParams(generator) {
+  const container = document.getElementById('procedural-params');
+  if (!container) return;
+  container.innerHTML = '';
+  if (!generator) return;
+
+  const params = resolveGeneratorParams(generator.type, generator.params);
+  Object.entries(getGeneratorParamSpecs(generator.type)).forEach(([key, spec]) => {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    const label = document.createElement('h5');
+    label.className = 'control-label';
+    label.textContent = spec.label;
+    row.appendChild(label);
+    container.appendChild(row);
+
+    if (spec.type === 'color') {
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.className = 'colorPicker';
+      input.dataset.param = key;
+      input.value = params[key];
+      row.appendChild(input);
+    } else if (spec.type === 'select') {
+      const select = document.createElement('select');
+      select.className = 'dropdown';
+      select.dataset.param = key;
+      spec.options.forEach(value => {
+        const o = document.createElement('option');
+        o.value = value; o.textContent = value;
+        select.appendChild(o);
+      });
+      select.value = params[key];
+      row.appendChild(select);
+    } else {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'number', className: 'value-input', min: spec.min, max: spec.max, step: spec.step, value: params[key] });
+      input.inputMode = 'decimal';
+      input.dataset.param = key;
+      row.appendChild(input);
+      if (key !== 'seed') {
+        const slider = document.createElement('input');
+        Object.assign(slider, { type: 'range', className: 'slider', min: spec.min, max: spec.max, step: spec.step, value: params[key] });
+        slider.dataset.paramSlider = key;
+        container.appendChild(slider);
+      }
+    }
+  });
+}
+
+// Push the selected part's generator into the Setting 3 controls
+function syncProceduralPanel() {
+  const generator = materialManager.getProceduralMap(textureMapTarget());
+  const select = document.getElementById('procedural-type-select');
+  if (select) {
+    if (generator) select.value = generator.type;
+    else select.selectedIndex = 0;
+  }
+  const randomize = document.getElementById('procedural-randomize-btn');
+  if (randomize) randomize.disabled = !generator;
+  renderProceduralParams(generator);
+}
+
+function setupProceduralUI() {
+  const select = document.getElementById('procedural-type-select');
+  if (select) {
+    Object.entries(GENERATORS).forEach(([type, { label }]) => {
+      const o = document.createElement('option');
+      o.value = type; o.textContent = label;
+      select.appendChild(o);
+    });
+    select.addEventListener('change', (e) => setProceduralType(e.target.value));
+  }
+
+  // Controls are rebuilt per generator, so listen on the container
+  const container = document.getElementById('procedural-params');
+  container?.addEventListener('input', (e) => {
+    const { param, paramSlider } = e.target.dataset;
+    if (paramSlider) container.querySelector(`[data-param="${paramSlider}"]`).value = e.target.value;
+    else if (param) {
+      const slider = container.querySelector(`[data-param-slider="${param}"]`);
+      if (slider && !isNaN(parseFloat(e.target.value))) slider.value = e.target.value;
+    }
+    redrawProceduralMap();
+  });
+
+  document.getElementById('procedural-randomize-btn')?.addEventListener('click', () => {
+    const seed = document.querySelector('#procedural-params [data-param="seed"]');
+    if (!seed) return;
+    seed.value = Math.floor(Math.random() * 1000000);
+    redrawProceduralMap();
+  });
+
+  syncProceduralPanel();
+}
+
+//═══════════════════════════════════════════════════════════════
+// TEXTURE MAPS (Setting 3)
+//═══════════════════════════════════════════════════════════════
+
+// Uploaded PBR maps for the selected part, one per TEXTURE_SLOTS entry.
+// They're saved with custom models (see MaterialManager.extractTextureMaps).
+const textureMapVerifier = new ModelVerifier({
+  maxFileSize: { texture: 20 * 1024 * 1024 },
+  maxImageDimension: 8192
+});
+const DEFAULT_TEXTURE_MAP = { channel: 'auto', repeat: [1, 1], offset: [0, 0], rotation: 0 };
+
+function textureMapTarget() {
+  return getPartMaterial(activePart || getDesignPart(activeMesh));
+}
+
+function selectedTextureSlot() {
+  return document.getElementById('texmap-slot-select')?.value || Object.keys(TEXTURE_SLOTS)[0];
+}
+
+function readTextureMapUI() {
+  const num = (id, fallback) => {
+    const v = parseFloat(document.getElementById(id)?.value);
+    return isNaN(v) ? fallback : v;
+  };
+  return {
+    channel: document.getElementById('texmap-channel-select')?.value || 'auto',
+    repeat: [num('texmap-repeat-u', 1), num('texmap-repeat-v', 1)],
+    offset: [num('texmap-offset-u', 0), num('texmap-offset-v', 0)],
+    rotation: num('texmap-rotation-input', 0)
+  };
+}
+
+async function uploadTextureMap(file) {
+  const material = textureMapTarget();
+  if (!material) { logError('No model loaded'); return; }
+
+  const validation = await textureMapVerifier.validateTextureFile(file);
+  if (!validation.valid) {
+    logError(`Invalid texture map: ${validation.errors.join(', ')}`);
+    return;
+  }
+  const slot = selectedTextureSlot();
+  try {
+    await materialManager.setTextureMap(material, slot, {
+      ...readTextureMapUI(),
+      imageData: await readFileAsDataURL(file),
+      name: file.name
+    });
+    syncTextureMapPanel();
+    refreshPathTracer();
+    logSuccess(`${TEXTURE_SLOTS[slot].label} map: ${file.name}`);
+  } catch (err) {
+    logError(`Texture map failed: ${err.message}`);
+  }
+}
+
+function removeTextureMap() {
+  const slot = selectedTextureSlot();
+  materialManager.removeTextureMap(textureMapTarget(), slot);
+  syncTextureMapPanel();
+  refreshPathTracer();
+  log(`${TEXTURE_SLOTS[slot].label} map removed`);
+}
+
+// Re-read the upload with another channel (the source image is kept on the texture)
+async function setTextureMapChannel(channel) {
+  const material = textureMapTarget();
+  const slot = selectedTextureSlot();
+  const map = materialManager.getTextureMap(material, slot);
+  if (!map) return;
+  try {
+    await materialManager.setTextureMap(material, slot, { ...map, channel });
+    refreshPathTracer();
+  } catch (err) {
+    logError(`Texture map failed: ${err.message}`);
+  }
+}
+
+// Push the selected slot of the selected part into the Setting 3 controls
+function syncTextureMapPanel() {
+  const material = textureMapTarget();
+  const slot = selectedTextureSlot();
+  const map = materialManager.getTextureMap(material, slot);
+  const settings = map || DEFAULT_TEXTURE_MAP;
+  const set = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+
+  // Mark filled slots in the dropdown
+  document.querySelectorAll('#texmap-slot-select option').forEach(option => {
+    option.textContent = TEXTURE_SLOTS[option.value].label + (material?.[option.value] ? ' ●' : '');
+  });
+
+  const name = document.getElementById('texmap-file-name');
+  const current = material?.[slot];
+  if (name) name.textContent = map ? map.name : current?.userData.procedural ? 'Procedural' : current ? 'From model file' : 'None';
+
+  set('texmap-channel-select', settings.channel);
+  set('texmap-repeat-u', settings.repeat[0]);
+  set('texmap-repeat-v', settings.repeat[1]);
+  set('texmap-offset-u', settings.offset[0]);
+  set('texmap-offset-v', settings.offset[1]);
+  set('texmap-rotation-slider', settings.rotation);
+  set('texmap-rotation-input', settings.rotation);
+
+  // Only uploads can be edited; channels only matter for grayscale slots
+  const channelSelect = document.getElementById('texmap-channel-select');
+  if (channelSelect) channelSelect.disabled = TEXTURE_SLOTS[slot].kind !== 'data';
+  const remove = document.getElementById('texmap-remove-btn');
+  if (remove) remove.disabled = !map;
+}
+
+function setupTextureMapUI() {
+  const slotSelect = document.getElementById('texmap-slot-select');
+  if (slotSelect) {
+    Object.entries(TEXTURE_SLOTS).forEach(([slot, { label }]) => {
+      const o = document.createElement('option');
+      o.value = slot; o.textContent = label;
+      slotSelect.appendChild(o);
+    });
+    slotSelect.addEventListener('change', () => syncTextureMapPanel());
+  }
+
+  const channelSelect = document.getElementById('texmap-channel-select');
+  if (channelSelect) {
+    TEXTURE_CHANNELS.forEach(channel => {
+      const o = document.createElement('option');
+      o.value = channel; o.textContent = channel === 'auto' ? 'Default' : channel.toUpperCase();
+      channelSelect.appendChild(o);
+    });
+    channelSelect.addEventListener('change', (e) => setTextureMapChannel(e.target.value));
+  }
+
+  const fileInput = document.getElementById('texmap-file-input');
+  document.getElementById('texmap-upload-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', (e) => {
+    const file = e.target.files?.[0];
+    if (file) uploadTextureMap(file);
+    e.target.value = '';
+  });
+  document.getElementById('texmap-remove-btn')?.addEventListener('click', removeTextureMap);
+
+  // Tiling / offset / rotation apply straight to the selected map
+  const applyTransform = () => {
+    const texture = textureMapTarget()?.[selectedTextureSlot()];
+    if (texture?.userData.textureMap) materialManager.setTextureTransform(texture, readTextureMapUI());
+  };
+  ['texmap-repeat-u', 'texmap-repeat-v', 'texmap-offset-u', 'texmap-offset-v'].forEach(id => {
+    document.getElementById(id)?.addEventListener('input', applyTransform);
+  });
+  const rotSlider = document.getElementById('texmap-rotation-slider');
+  const rotInput = document.getElementById('texmap-rotation-input');
+  rotSlider?.addEventListener('input', () => { rotInput.value = rotSlider.value; applyTransform(); });
+  rotInput?.addEventListener('input', () => {
+    if (!isNaN(parseFloat(rotInput.value))) { rotSlider.value = rotInput.value; applyTransform(); }
+  });
+
+  syncTextureMapPanel();
+}
+
+//═══════════════════════════════════════════════════════════════
+// MATERIAL LIBRARY (Setting 3)
+//═══════════════════════════════════════════════════════════════
+
+// User presets live in IndexedDB and are listed under "User Materials".
+// A preset remembers the built-in it started from (for the base map),
+// its properties and any uploaded texture maps.
+const materialLibrary = new MaterialLibraryStorage(log);
+
+function promptMaterialName(suggestion) {
+  const name = prompt('Material name:', suggestion)?.trim();
+  if (!name) return null;
+  if (materialManager.isBuiltInPreset(name)) {
+    logError(`"${name}" is a built-in preset`);
+    return null;
+  }
+  if (materialManager.isUserPreset(name) && !confirm(`Material "${name}" already exists. Overwrite?`)) return null;
+  return name;
+}
+
+async function storeMaterialPreset(name, preset) {
+  if (!await materialLibrary.saveMaterial(name, preset)) return false;
+  materialManager.addUserPreset(name, preset);
+  updateMaterialPresetList();
+  return true;
+}
+
+// "New Material": the selected part's current material becomes a preset
+async function saveMaterialPreset() {
+  const material = textureMapTarget();
+  if (!material) { logError('No model loaded'); return; }
+  const current = activePart ? partPresets.get(activePart.key) : null;
+  const name = promptMaterialName(current ? `${current} Custom` : 'My Material');
+  if (!name) return;
+
+  if (!await storeMaterialPreset(name, materialManager.describePreset(material, current))) return;
+  if (activePart) partPresets.set(activePart.key, name);
+  controls.selectMaterialPreset(name);
+  logSuccess(`Material saved: ${name}`);
+}
+
+// Copy the preset picked in the dropdown (built-in or user) as it ships
+async function duplicateMaterialPreset() {
+  const source = document.getElementById('material-select')?.value;
+  if (!source) { logError('Pick a preset to duplicate'); return; }
+  const name = promptMaterialName(`${source} Copy`);
+  if (!name) return;
+
+  const material = materialManager.getPreset(source);
+  await materialManager.whenReady(material);
+  const preset = materialManager.describePreset(material, source);
+  materialManager.dispose(material);
+
+  if (await storeMaterialPreset(name, preset)) logSuccess(`Duplicated ${source} as ${name}`);
+}
+
+async function deleteMaterialPreset() {
+  const name = document.getElementById('material-select')?.value;
+  if (!materialManager.isUserPreset(name)) { logError('Only user materials can be deleted'); return; }
+  if (!confirm(`Delete material "${name}"?`)) return;
+
+  const { basedOn } = materialManager.getUserPreset(name);
+  if (!await materialLibrary.deleteMaterial(name)) return;
+  materialManager.removeUserPreset(name);
+
+  // Parts keep their look and count as edits of the preset it came from
+  partPresets.forEach((preset, key) => { if (preset === name) partPresets.set(key, basedOn); });
+  updateMaterialPresetList();
+  if (activePart) controls.selectMaterialPreset(partPresets.get(activePart.key));
+  logSuccess(`Material deleted: ${name}`);
+}
+
+async function importMaterialLibrary(file) {
+  const result = await materialLibrary.importLibrary(file, name => materialManager.isBuiltInPreset(name));
+  if (!result.success) {
+    logError(`Import failed: ${result.error}`);
+    return;
+  }
+  await restoreMaterialLibrary();
+  logSuccess(`Imported ${result.names.length} material(s)`);
+}
+
+async function restoreMaterialLibrary() {
+  const saved = await materialLibrary.loadAllMaterials();
+  Object.entries(saved).forEach(([name, preset]) => materialManager.addUserPreset(name, preset));
+  updateMaterialPresetList();
+  if (activePart) controls.selectMaterialPreset(partPresets.get(activePart.key));
+}
+
+function setupMaterialLibraryUI() {
+  document.getElementById('add-new-material')?.addEventListener('click', saveMaterialPreset);
+  document.getElementById('duplicate-material')?.addEventListener('click', duplicateMaterialPreset);
+  document.getElementById('delete-current-material')?.addEventListener('click', deleteMaterialPreset);
+  document.getElementById('export-materials-btn')?.addEventListener('click', () => materialLibrary.exportLibrary());
+
+  const fileInput = document.getElementById('material-library-file-input');
+  document.getElementById('import-materials-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', (e) => {
+    if (e.target.files[0]) importMaterialLibrary(e.target.files[0]);
+    e.target.value = '';
+  });
+
+  restoreMaterialLibrary();
+}
+
 //═══════════════════════════════════════════════════════════════
 // CAMERA CONTROLS
 //═══════════════════════════════════════════════════════════════
@@ -265,9 +850,15 @@ const camState = {
   toneMapping: 'aces',
   dofEnabled: false,
   dofFocus: 5.0,
-  dofAperture: 25,  // 1/aperture used by BokehPass
+  dofAperture: 0.25, // 0-1 strength, scaled by focal length in applyDOF()
 };
 
+// DOF blur grows with the square of focal length at a fixed f-number,
+// so an 85mm lens gives visibly shallower focus than a 24mm one
+const DOF_REFERENCE_FOCAL = 50;
+const DOF_MAX_APERTURE = 0.02;
+const DOF_MAX_BLUR = 0.02;
+
 function computeFOV(focalLength, sensorKey) {
   const sensor = SENSOR_SIZES[sensorKey] || SENSOR_SIZES.fullframe;
   // Vertical FOV: 2 * atan(sensorHeight / (2 * focalLength))
@@ -275,15 +866,11 @@ function computeFOV(focalLength, sensorKey) {
 }
 
 function applyCameraSettings() {
-  const cam = cameraManager.getCamera();
   const renderer = rendererManager.getRenderer();
 
-  if (camState.type === 'perspective') {
-    cam.fov = computeFOV(camState.focalLength, camState.sensorKey);
-    cam.near = camState.near;
-    cam.far = camState.far;
-    cam.updateProjectionMatrix();
-  }
+  // Lens only shapes the perspective camera; ortho framing is zoom-based
+  cameraManager.perspectiveCamera.fov = computeFOV(camState.focalLength, camState.sensorKey);
+  cameraManager.setClipping(camState.near, camState.far);
 
   // Tone mapping
   const TM = {
@@ -296,6 +883,77 @@ function applyCameraSettings() {
   renderer.toneMappingExposure = camState.exposure;
 }
 
+function applyDOF() {
+  const lensScale = (camState.focalLength / DOF_REFERENCE_FOCAL) ** 2;
+  rendererManager.setDOFParams({
+    focus: camState.dofFocus,
+    aperture: camState.dofAperture * DOF_MAX_APERTURE * lensScale,
+    maxblur: DOF_MAX_BLUR
+  });
+  rendererManager.setDOF(camState.dofEnabled);
+}
+
+/**
+ * Raycast the active model under a canvas pointer event
+ * @returns {THREE.Intersection|null} Nearest hit, or null on a miss
+ */
+function raycastActiveModel(event) {
+  if (!activeModel) return null;
+  const canvas = rendererManager.getDomElement();
+  const rect = canvas.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  const raycaster = new THREE.Raycaster();
+  raycaster.setFromCamera(pointer, cameraManager.getCamera());
+  return raycaster.intersectObject(activeModel, true)[0] || null;
+}
+
+/**
+ * Raycast the active model under a canvas click and return its view depth
+ * @returns {number|null} Distance along the camera axis, or null on a miss
+ */
+function pickFocusDistance(event) {
+  const cam = cameraManager.getCamera();
+  const hit = raycastActiveModel(event);
+  if (!hit) return null;
+  // BokehPass focuses on a plane, so use depth rather than ray length
+  return -hit.point.clone().applyMatrix4(cam.matrixWorldInverse).z;
+}
+
+function setupClickToFocus(onFocus) {
+  const btn = document.getElementById('cam-dof-pick-btn');
+  const canvas = rendererManager.getDomElement();
+  if (!btn) return;
+
+  let picking = false;
+  let downAt = null;
+  const setPicking = (on) => {
+    picking = on;
+    btn.classList.toggle('active', on);
+    canvas.style.cursor = on ? 'crosshair' : '';
+    if (on) log('Click the model to set the focus distance (Esc to cancel)');
+  };
+
+  btn.addEventListener('click', () => setPicking(!picking));
+  window.addEventListener('keydown', (e) => { if (picking && e.key === 'Escape') setPicking(false); });
+
+  // Ignore orbit drags: only a press + release in place counts as a pick
+  canvas.addEventListener('pointerdown', (e) => { downAt = { x: e.clientX, y: e.clientY }; });
+  canvas.addEventListener('pointerup', (e) => {
+    if (!picking || !downAt) return;
+    const moved = Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y);
+    downAt = null;
+    if (moved > 4) return;
+
+    const distance = pickFocusDistance(e);
+    if (distance === null) { logWarn('Focus pick missed the model'); return; }
+    setPicking(false);
+    onFocus(distance);
+  });
+}
+
 function setupCameraUI() {
   // Helpers: link slider ↔ input
   const link = (sliderId, inputId, callback) => {
@@ -314,14 +972,9 @@ function setupCameraUI() {
   if (typeSelect) {
     typeSelect.addEventListener('change', (e) => {
       camState.type = e.target.value;
-      // Orthographic camera swap would need deeper integration;
-      // for now we just update FOV approach or set very high FOV
-      if (camState.type === 'orthographic') {
-        cameraManager.getCamera().fov = 1; // Near-orthographic
-      } else {
-        cameraManager.getCamera().fov = computeFOV(camState.focalLength, camState.sensorKey);
-      }
-      cameraManager.getCamera().updateProjectionMatrix();
+      // The renderer's passes follow the active camera on the next frame
+      cameraManager.setCameraType(camState.type);
+      log(`Camera: ${camState.type}`);
     });
   }
 
@@ -331,6 +984,7 @@ function setupCameraUI() {
     lensSelect.addEventListener('change', (e) => {
       camState.focalLength = parseFloat(e.target.value);
       applyCameraSettings();
+      applyDOF();
       log(`Lens: ${camState.focalLength}mm`);
     });
   }
@@ -348,15 +1002,13 @@ function setupCameraUI() {
   // Near clip
   link('near-slider', 'near-input', (v) => {
     camState.near = v;
-    cameraManager.getCamera().near = v;
-    cameraManager.getCamera().updateProjectionMatrix();
+    cameraManager.setClipping(v, undefined);
   });
 
   // Far clip
   link('far-slider', 'far-input', (v) => {
     camState.far = v;
-    cameraManager.getCamera().far = v;
-    cameraManager.getCamera().updateProjectionMatrix();
+    cameraManager.setClipping(undefined, v);
   });
 
   // Tone mapping
@@ -379,50 +1031,804 @@ function setupCameraUI() {
   if (dofToggle) {
     dofToggle.addEventListener('change', (e) => {
       camState.dofEnabled = e.target.checked;
+      applyDOF();
       log(`DOF: ${camState.dofEnabled ? 'on' : 'off'}`);
-      // Full DOF (BokehPass) would require EffectComposer integration in Renderer
-      // Noted for future post-processing implementation
     });
   }
 
   // DOF focus distance
   link('cam-dof-focus-slider', 'cam-dof-focus-input', (v) => {
     camState.dofFocus = v;
+    applyDOF();
   });
 
   // DOF aperture/strength
   link('cam-dof-strength-slider', 'cam-dof-strength-input', (v) => {
     camState.dofAperture = v;
+    applyDOF();
+  });
+
+  // Click to focus — picking also switches DOF on
+  setupClickToFocus((distance) => {
+    const slider = document.getElementById('cam-dof-focus-slider');
+    const input = document.getElementById('cam-dof-focus-input');
+    const min = parseFloat(slider?.min ?? 0.1), max = parseFloat(slider?.max ?? 50);
+    camState.dofFocus = Math.min(max, Math.max(min, distance));
+    if (slider) slider.value = camState.dofFocus;
+    if (input) input.value = camState.dofFocus.toFixed(1);
+    camState.dofEnabled = true;
+    if (dofToggle) dofToggle.checked = true;
+    applyDOF();
+    log(`Focus: ${camState.dofFocus.toFixed(2)}`);
   });
 
   // Apply initial camera settings from UI defaults
   applyCameraSettings();
+  applyDOF();
+}
+
+//═══════════════════════════════════════════════════════════════
+// CAMERA BOOKMARKS
+//═══════════════════════════════════════════════════════════════
+
+// Bookmarks of the loaded model. Custom models keep them in IndexedDB;
+// other models hold them for the session until saved as a custom model.
+let cameraBookmarks = [];
+let bookmarkModel = { name: null, isCustom: false };
+const sessionBookmarks = new Map(); // model name -> bookmarks
+
+const BOOKMARK_THUMB = { width: 160, height: 90 };
+
+function setActiveBookmarks(name, modelData) {
+  bookmarkModel = { name, isCustom: modelData.type === 'custom' };
+  cameraBookmarks = bookmarkModel.isCustom
+    ? (modelData.cameraBookmarks || [])
+    : (sessionBookmarks.get(name) || []);
+  renderBookmarkList();
+}
+
+async function persistBookmarks() {
+  if (bookmarkModel.isCustom) {
+    await modelManager.updateCameraBookmarks(bookmarkModel.name, cameraBookmarks);
+  } else {
+    sessionBookmarks.set(bookmarkModel.name, cameraBookmarks);
+  }
+}
+
+function captureBookmark(name) {
+  const cam = cameraManager.getCamera();
+  const { canvas } = renderWithoutGizmos(cam, BOOKMARK_THUMB);
+  return {
+    name,
+    position: cam.position.toArray(),
+    target: cameraManager.getControls().target.toArray(),
+    cameraType: camState.type,
+    zoom: cam.zoom,
+    focalLength: camState.focalLength,
+    sensorKey: camState.sensorKey,
+    near: camState.near,
+    far: camState.far,
+    exposure: camState.exposure,
+    thumbnail: canvas.toDataURL('image/jpeg', 0.8)
+  };
+}
+
+async function addBookmark() {
+  if (!activeModel) { logError('No model loaded'); return; }
+  const name = prompt('Name this view:', `View ${cameraBookmarks.length + 1}`);
+  if (!name) return;
+
+  cameraBookmarks = [...cameraBookmarks, captureBookmark(name)];
+  renderBookmarkList();
+  await persistBookmarks();
+  logSuccess(`View saved: ${name}${bookmarkModel.isCustom ? '' : ' (save as a custom model to keep it)'}`);
+}
+
+async function deleteBookmark(index) {
+  const [removed] = cameraBookmarks.splice(index, 1);
+  cameraBookmarks = [...cameraBookmarks];
+  renderBookmarkList();
+  await persistBookmarks();
+  log(`View deleted: ${removed.name}`);
+}
+
+async function recallBookmark(bookmark) {
+  if (turntable.active) return;
+
+  Object.assign(camState, {
+    type: bookmark.cameraType || 'perspective',
+    focalLength: bookmark.focalLength,
+    sensorKey: bookmark.sensorKey,
+    near: bookmark.near,
+    far: bookmark.far,
+    exposure: bookmark.exposure
+  });
+  cameraManager.setCameraType(camState.type);
+  cameraManager.setClipping(camState.near, camState.far);
+  rendererManager.getRenderer().toneMappingExposure = camState.exposure;
+  syncCameraUI();
+  applyDOF();
+
+  await cameraManager.animateTo({
+    position: new THREE.Vector3().fromArray(bookmark.position),
+    target: new THREE.Vector3().fromArray(bookmark.target),
+    zoom: bookmark.zoom,
+    fov: computeFOV(camState.focalLength, camState.sensorKey)
+  });
+  log(`View: ${bookmark.name}`);
+}
+
+// Push camState back into the Setting 4 controls
+function syncCameraUI() {
+  const setValue = (id, v) => { const el = document.getElementById(id); if (el) el.value = v; };
+  setValue('camera-type-select', camState.type);
+  setValue('lens-mm-select', String(camState.focalLength));
+  setValue('film-gauge-select', camState.sensorKey);
+  setValue('near-slider', camState.near);
+  setValue('near-input', camState.near.toFixed(2));
+  setValue('far-slider', camState.far);
+  setValue('far-input', camState.far);
+  setValue('exposure-slider', camState.exposure);
+  setValue('exposure-input', camState.exposure.toFixed(2));
+}
+
+function renderBookmarkList() {
+  const list = document.getElementById('camera-bookmarks-list');
+  if (!list) return;
+  list.innerHTML = '';
+  if (cameraBookmarks.length === 0) {
+    list.innerHTML = '<p class="empty-message">No saved views</p>';
+    return;
+  }
+
+  cameraBookmarks.forEach((bookmark, i) => {
+    const item = document.createElement('div');
+    item.className = 'image-layer-item';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'bookmark-thumbnail';
+    thumb.src = bookmark.thumbnail;
+    thumb.alt = '';
+
+    const name = document.createElement('span');
+    name.className = 'image-layer-name';
+    name.textContent = bookmark.name;
+
+    const del = document.createElement('button');
+    del.textContent = '✕';
+    del.className = 'button-medium';
+    del.addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteBookmark(i);
+    });
+
+    item.appendChild(thumb);
+    item.appendChild(name);
+    item.appendChild(del);
+    item.addEventListener('click', () => recallBookmark(bookmark));
+    list.appendChild(item);
+  });
+}
+
+function setupBookmarkUI() {
+  const addBtn = document.getElementById('cam-bookmark-add-btn');
+  if (addBtn) addBtn.addEventListener('click', () => addBookmark());
+  renderBookmarkList();
+}
+
+//═══════════════════════════════════════════════════════════════
+// BACKGROUND (Setting 1)
+//═══════════════════════════════════════════════════════════════
+
+// What the camera sees behind the model. Independent of the HDR used for
+// lighting, so a studio HDR can light a model shot on white.
+const SOLID_BACKGROUNDS = { solid_black: '#000000', solid_white: '#ffffff', solid_gray: '#808080' };
+const DEFAULT_BACKGROUND = { type: 'hdr' }; // Models saved without a background
+const backplates = new Map(); // option value -> { name, image, imageData }
+let nextBackplateId = 1;
+
+const backplateVerifier = new ModelVerifier({
+  maxFileSize: { texture: 20 * 1024 * 1024 },
+  maxImageDimension: 8192
+});
+
+function backgroundEl(id) { return document.getElementById(id); }
+
+// Build a SceneManager.setBackground config from the Setting 1 controls
+function readBackgroundUI() {
+  const value = backgroundEl('background-select')?.value || 'hdr';
+  if (SOLID_BACKGROUNDS[value]) return { type: 'color', color: SOLID_BACKGROUNDS[value] };
+  if (backplates.has(value)) {
+    const { name, image } = backplates.get(value);
+    return { type: 'image', name, image };
+  }
+  switch (value) {
+    case 'color':
+      return { type: 'color', color: backgroundEl('background-color-picker').value };
+    case 'gradient':
+      return {
+        type: 'gradient',
+        top: backgroundEl('background-gradient-top').value,
+        bottom: backgroundEl('background-gradient-bottom').value
+      };
+    case 'hdr-blur':
+      return { type: 'hdr-blur', blur: parseFloat(backgroundEl('background-blur-slider').value) };
+    case 'transparent':
+      return { type: 'transparent' };
+    default:
+      return { type: 'hdr' };
+  }
+}
+
+function showBackgroundRows(value) {
+  const rows = { color: 'background-color-row', gradient: 'background-gradient-row', 'hdr-blur': 'background-blur-row' };
+  Object.entries(rows).forEach(([key, id]) => {
+    const row = backgroundEl(id);
+    if (row) row.style.display = key === value ? '' : 'none';
+  });
+}
+
+function applyBackgroundUI() {
+  const select = backgroundEl('background-select');
+  showBackgroundRows(select?.value);
+  sceneManager.setBackground(readBackgroundUI());
+}
+
+function addBackplateOption(name, image, imageData) {
+  const value = `image:${nextBackplateId++}`;
+  backplates.set(value, { name, image, imageData });
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = name;
+  backgroundEl('background-select')?.appendChild(option);
+  return value;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not decode image'));
+    img.src = src;
+  });
+}
+
+async function uploadBackplate(file) {
+  const validation = await backplateVerifier.validateTextureFile(file);
+  if (!validation.valid) {
+    logError(`Invalid backplate: ${validation.errors.join(', ')}`);
+    return;
+  }
+  try {
+    const imageData = await readFileAsDataURL(file);
+    const image = await loadImage(imageData);
+    backgroundEl('background-select').value = addBackplateOption(file.name, image, imageData);
+    applyBackgroundUI();
+    logSuccess(`Backplate: ${file.name} (${image.width}×${image.height})`);
+  } catch (err) {
+    logError(`Backplate failed: ${err.message}`);
+  }
+}
+
+// Serializable form for custom model storage (backplates carry their pixels)
+function getSavedBackground() {
+  const { image, ...config } = sceneManager.getBackground();
+  if (config.type !== 'image') return config;
+  const entry = [...backplates.values()].find(b => b.image === image);
+  return entry ? { ...config, imageData: entry.imageData } : { type: 'hdr' };
+}
+
+// Apply a background saved with a custom model and reflect it in the UI
+async function restoreBackground(saved) {
+  const select = backgroundEl('background-select');
+  if (!select) return;
+
+  let value = saved.type;
+  if (saved.type === 'color') {
+    value = Object.keys(SOLID_BACKGROUNDS).find(k => SOLID_BACKGROUNDS[k] === saved.color) || 'color';
+    backgroundEl('background-color-picker').value = saved.color;
+  } else if (saved.type === 'gradient') {
+    backgroundEl('background-gradient-top').value = saved.top;
+    backgroundEl('background-gradient-bottom').value = saved.bottom;
+  } else if (saved.type === 'hdr-blur') {
+    backgroundEl('background-blur-slider').value = saved.blur;
+    backgroundEl('background-blur-input').value = saved.blur;
+  } else if (saved.type === 'image') {
+    value = [...backplates].find(([, b]) => b.imageData === saved.imageData)?.[0];
+    if (!value) {
+      try {
+        value = addBackplateOption(saved.name || 'Backplate', await loadImage(saved.imageData), saved.imageData);
+      } catch (err) {
+        logError(`Saved backplate failed: ${err.message}`);
+        return;
+      }
+    }
+  }
+
+  select.value = value;
+  applyBackgroundUI();
+}
+
+function setupBackgroundUI() {
+  const select = backgroundEl('background-select');
+  if (!select) return;
+  select.addEventListener('change', applyBackgroundUI);
+
+  ['background-color-picker', 'background-gradient-top', 'background-gradient-bottom'].forEach(id => {
+    backgroundEl(id)?.addEventListener('input', applyBackgroundUI);
+  });
+
+  const blurSlider = backgroundEl('background-blur-slider');
+  const blurInput = backgroundEl('background-blur-input');
+  if (blurSlider && blurInput) {
+    blurSlider.addEventListener('input', () => { blurInput.value = blurSlider.value; applyBackgroundUI(); });
+    blurInput.addEventListener('input', () => {
+      const v = parseFloat(blurInput.value);
+      if (!isNaN(v)) { blurSlider.value = v; applyBackgroundUI(); }
+    });
+  }
+
+  const fileInput = backgroundEl('background-file-input');
+  backgroundEl('background-upload-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', (e) => {
+    uploadBackplate(e.target.files[0]);
+    e.target.value = '';
+  });
+
+  applyBackgroundUI();
+}
+
+//═══════════════════════════════════════════════════════════════
+// ENVIRONMENT (Setting 1)
+//═══════════════════════════════════════════════════════════════
+
+// Uploaded .hdr/.exr files live in IndexedDB and are listed under
+// "User Lighting"; rotation/intensity/blur apply to whichever HDR is active.
+const environmentStorage = new EnvironmentStorage(log);
+const environmentVerifier = new ModelVerifier();
+
+function uniqueSceneName(fileName) {
+  const base = fileName.replace(/\.[^.]+$/, '');
+  const taken = new Set([...getSceneNames(), ...getUserSceneNames()]);
+  let name = base;
+  for (let i = 2; taken.has(name); i++) name = `${base} (${i})`;
+  return name;
+}
+
+function selectEnvironment(name) {
+  const select = document.getElementById('environment-select');
+  if (select) select.value = name;
+  loadScene(name, (loaded, texture) => {
+    sceneManager.setEnvironment(texture);
+    log(`Scene: ${loaded}`);
+  });
+}
+
+async function uploadEnvironment(file) {
+  log(`Validating: ${file.name}...`);
+  const validation = await environmentVerifier.validateEnvironmentFile(file);
+  if (!validation.valid) {
+    logError(`Invalid environment: ${validation.errors.join(', ')}`);
+    return;
+  }
+  validation.warnings.forEach(w => logWarn(w));
+
+  const name = uniqueSceneName(file.name);
+  registerUserScene(name, file, file.name);
+  if (!(await environmentStorage.saveEnvironment(name, file))) {
+    logWarn(`${name} will only be available until the page is reloaded`);
+  }
+  updateSceneList();
+  selectEnvironment(name);
+  const { width, height } = validation.metadata;
+  logSuccess(`Environment added: ${name} (${width}×${height} ${validation.metadata.format.toUpperCase()})`);
+}
+
+async function deleteEnvironment() {
+  const name = document.getElementById('environment-select')?.value;
+  if (!isUserScene(name)) { logWarn('Select an uploaded environment to delete'); return; }
+  if (!confirm(`Delete environment "${name}"?`)) return;
+
+  unregisterUserScene(name);
+  await environmentStorage.deleteEnvironment(name);
+  updateSceneList();
+  selectEnvironment(getSceneNames()[0]);
+  log(`Environment deleted: ${name}`);
+}
+
+async function restoreUserEnvironments() {
+  const saved = await environmentStorage.loadAllEnvironments();
+  saved.forEach(({ name, blob, fileName }) => registerUserScene(name, blob, fileName));
+  if (saved.length > 0) {
+    updateSceneList();
+    log(`${saved.length} user environment(s) available`);
+  }
+}
+
+function setupEnvironmentUI() {
+  const fileInput = document.getElementById('environment-file-input');
+  document.getElementById('environment-upload-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', (e) => {
+    if (e.target.files[0]) uploadEnvironment(e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('environment-delete-btn')?.addEventListener('click', deleteEnvironment);
+
+  // Slider + number pairs
+  const bind = (id, toParam) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const input = document.getElementById(`${id}-input`);
+    if (!slider || !input) return;
+    const apply = (v) => sceneManager.setEnvironmentParams(toParam(v));
+    slider.addEventListener('input', () => { input.value = slider.value; apply(parseFloat(slider.value)); });
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      if (!isNaN(v)) { slider.value = v; apply(v); }
+    });
+  };
+  bind('env-rotation', v => ({ rotation: THREE.MathUtils.degToRad(v) }));
+  bind('env-intensity', v => ({ intensity: v }));
+  bind('env-blur', v => ({ blur: v }));
+
+  restoreUserEnvironments();
+}
+
+//═══════════════════════════════════════════════════════════════
+// DESIGN PLACEMENT (Setting 2)
+//═══════════════════════════════════════════════════════════════
+
+// Click or drag on the model to move the selected design to the hit UV,
+// or to project a decal layer from the hit point
+const placementCursor = new PlacementCursor();
+sceneManager.add(placementCursor.object);
+
+/**
+ * Hit on the design editor's mesh under the pointer. Other parts in
+ * front still block it, so a design can't land on a hidden surface.
+ * @returns {THREE.Intersection|null}
+ */
+function pickDesignSurface(event) {
+  const hit = raycastActiveModel(event);
+  if (hit?.object !== activeMesh) return null;
+  // Decals are projected, so they don't need the mesh's UVs
+  return hit.uv || uvEditor.getSelectedImage()?.decal ? hit : null;
+}
+
+// Decals hit on a back face still face the camera
+function viewDirection() {
+  return cameraManager.getCamera().getWorldDirection(new THREE.Vector3());
+}
+
+function placeDesignAt(hit) {
+  if (uvEditor.getSelectedImage()?.decal) uvEditor.placeSelectedDecal(hit, viewDirection());
+  else uvEditor.placeSelectedAt(hit.uv);
+}
+
+function updatePlacementCursor(hit) {
+  const overlay = uvEditor.getSelectedImage();
+  if (overlay?.decal) {
+    placementCursor.updateDecal(hit ? uvEditor.getDecalFrame(overlay, hit, viewDirection()) : null);
+  } else {
+    placementCursor.update(hit, overlay, uvEditor.textureFlipY());
+  }
+}
+
+function setupModelPlacement() {
+  const btn = document.getElementById('design-place-btn');
+  const canvas = rendererManager.getDomElement();
+  if (!btn) return;
+
+  let placing = false;
+  let dragging = false;
+
+  const endDrag = () => {
+    if (!dragging) return;
+    dragging = false;
+    cameraManager.setControlsEnabled(true);
+    uvEditor.endPlacement();
+    refreshPathTracer();
+  };
+  const setPlacing = (on) => {
+    placing = on;
+    if (!on) {
+      endDrag();
+      placementCursor.hide();
+    }
+    btn.classList.toggle('active', on);
+    canvas.style.cursor = on ? 'crosshair' : '';
+    if (on) log('Click or drag on the model to place the selected design (Esc to stop)');
+  };
+
+  btn.addEventListener('click', () => setPlacing(!placing));
+  window.addEventListener('keydown', (e) => { if (placing && e.key === 'Escape') setPlacing(false); });
+
+  // Capture phase, so orbiting is off before OrbitControls sees the press.
+  // Presses that miss the model still orbit as usual.
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!placing || e.button !== 0) return;
+    const hit = pickDesignSurface(e);
+    if (!hit) return;
+    if (!uvEditor.beginPlacement()) {
+      logWarn('Select an unlocked, visible design layer to place it');
+      return;
+    }
+    dragging = true;
+    cameraManager.setControlsEnabled(false);
+    placeDesignAt(hit);
+    updatePlacementCursor(hit);
+  }, true);
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!placing) return;
+    const hit = pickDesignSurface(e);
+    if (dragging && hit) {
+      placeDesignAt(hit);
+      refreshPathTracer();
+    }
+    // Off the surface mid-drag, keep the cursor where the design is
+    if (hit || !dragging) updatePlacementCursor(hit);
+  });
+
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+  canvas.addEventListener('pointerleave', () => {
+    if (!dragging) placementCursor.hide();
+  });
+}
+
+//═══════════════════════════════════════════════════════════════
+// LIGHT RIG (Setting 9)
+//═══════════════════════════════════════════════════════════════
+
+const lightRig = sceneManager.lightRig;
+let selectedLightId = null;
+
+// Drag handle for the selected light, shown with the rig gizmos
+const lightGizmo = new TransformControls(cameraManager.getCamera(), rendererManager.getDomElement());
+lightGizmo.setSize(0.75);
+lightGizmo.addEventListener('dragging-changed', (e) => cameraManager.setControlsEnabled(!e.value));
+lightGizmo.addEventListener('objectChange', () => {
+  const entry = lightRig.get(selectedLightId);
+  if (!entry) return;
+  lightRig.aim(entry);
+  syncLightPanel(entry);
+  refreshPathTracer();
+});
+sceneManager.add(lightGizmo.getHelper());
+
+function gizmosVisible() {
+  return !!document.getElementById('light-toggle-gizmos')?.checked;
+}
+
+function attachLightGizmo() {
+  const entry = lightRig.get(selectedLightId);
+  if (gizmosVisible() && entry && entry.type !== 'ambient') lightGizmo.attach(entry.light);
+  else lightGizmo.detach();
+}
+
+function updateLightGizmos() {
+  lightGizmo.camera = cameraManager.getCamera(); // Follows perspective/ortho swaps
+  lightRig.updateHelpers();
+}
+
+// Gizmos are viewport-only; keep them out of stills, thumbnails and turntables
+function renderWithoutGizmos(camera, options) {
+  const helper = lightGizmo.getHelper();
+  const saved = { rig: lightRig.helpers.visible, gizmo: helper.visible, cursor: placementCursor.object.visible };
+  lightRig.setHelpersVisible(false);
+  helper.visible = false;
+  placementCursor.object.visible = false;
+  try {
+    return rendererManager.renderStill(sceneManager.getScene(), camera, options);
+  } finally {
+    lightRig.setHelpersVisible(saved.rig);
+    helper.visible = saved.gizmo;
+    placementCursor.object.visible = saved.cursor;
+  }
+}
+
+function selectLight(id) {
+  selectedLightId = id;
+  const entry = lightRig.get(id);
+  const panel = document.getElementById('light-edit-panel');
+  if (panel) panel.style.display = entry ? '' : 'none';
+  if (entry) syncLightPanel(entry);
+  attachLightGizmo();
+  renderLightList();
+}
+
+function addLight(type) {
+  const entry = lightRig.add(type);
+  log(`Light added: ${entry.name}`);
+  selectLight(entry.id);
+}
+
+function removeLight(id) {
+  const entry = lightRig.get(id);
+  if (!entry) return;
+  if (selectedLightId === id) lightGizmo.detach();
+  lightRig.remove(id);
+  log(`Light removed: ${entry.name}`);
+  selectLight(selectedLightId === id ? null : selectedLightId);
+}
+
+// Replace the whole rig (preset or a custom model's saved rig)
+function loadLightRig(lights) {
+  lightGizmo.detach();
+  lightRig.load(lights);
+  selectLight(null);
+}
+
+function renderLightList() {
+  const list = document.getElementById('light-list');
+  if (!list) return;
+  list.innerHTML = '';
+  const entries = lightRig.list();
+  if (entries.length === 0) {
+    list.innerHTML = '<p class="empty-message">No lights</p>';
+    return;
+  }
+
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'image-layer-item';
+    if (entry.id === selectedLightId) item.classList.add('selected');
+    if (!entry.light.visible) item.classList.add('hidden-layer');
+
+    const name = document.createElement('span');
+    name.className = 'image-layer-name';
+    name.textContent = `${entry.name} (${LIGHT_TYPES[entry.type].label})`;
+
+    const visibility = document.createElement('button');
+    visibility.className = 'image-layer-btn';
+    visibility.textContent = entry.light.visible ? '👁' : '—';
+    visibility.title = entry.light.visible ? 'Turn off' : 'Turn on';
+    visibility.addEventListener('click', (e) => {
+      e.stopPropagation();
+      lightRig.update(entry.id, { visible: !entry.light.visible });
+      renderLightList();
+    });
+
+    const del = document.createElement('button');
+    del.textContent = '✕';
+    del.className = 'button-medium';
+    del.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeLight(entry.id);
+    });
+
+    item.appendChild(name);
+    item.appendChild(visibility);
+    item.appendChild(del);
+    item.addEventListener('click', () => selectLight(entry.id));
+    list.appendChild(item);
+  });
+}
+
+// Push the selected light's values into the Setting 9 editor
+function syncLightPanel(entry) {
+  const data = lightRig.serialize()[lightRig.list().indexOf(entry)];
+  const set = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+  const setPair = (id, value) => { set(`${id}-slider`, value); set(`${id}-input`, value); };
+
+  const title = document.getElementById('light-edit-title');
+  if (title) title.textContent = entry.name;
+
+  set('light-color-picker', data.color);
+  if (data.groundColor) set('light-groundcolor-picker', data.groundColor);
+  setPair('light-intensity', +data.intensity.toFixed(2));
+  ['x', 'y', 'z'].forEach((axis, i) => set(`light-pos-${axis}`, +data.position[i].toFixed(2)));
+  if (data.distance !== undefined) setPair('light-distance', data.distance);
+  if (data.angle !== undefined) setPair('light-angle', Math.round(THREE.MathUtils.radToDeg(data.angle)));
+  if (data.penumbra !== undefined) setPair('light-penumbra', data.penumbra);
+  if (data.width !== undefined) { set('light-width-input', data.width); set('light-height-input', data.height); }
+  if (data.castShadow !== undefined) {
+    const shadow = document.getElementById('light-toggle-shadow');
+    if (shadow) shadow.checked = data.castShadow;
+    setPair('light-shadow-bias', data.shadowBias);
+    setPair('light-shadow-radius', data.shadowRadius);
+  }
+
+  // Only show the fields this type has
+  document.querySelectorAll('#light-edit-panel [data-light-types]').forEach(row => {
+    row.style.display = row.dataset.lightTypes.split(' ').includes(entry.type) ? '' : 'none';
+  });
+}
+
+function setupLightRigUI() {
+  const presetSelect = document.getElementById('light-rig-preset-select');
+  if (presetSelect) {
+    Object.keys(LIGHT_RIG_PRESETS).forEach(name => {
+      const o = document.createElement('option');
+      o.value = name; o.textContent = name;
+      presetSelect.appendChild(o);
+    });
+    presetSelect.addEventListener('change', (e) => {
+      loadLightRig(LIGHT_RIG_PRESETS[e.target.value]);
+      log(`Light rig: ${e.target.value}`);
+    });
+  }
+
+  const typeSelect = document.getElementById('light-add-type-select');
+  if (typeSelect) {
+    Object.entries(LIGHT_TYPES).forEach(([type, { label }]) => {
+      const o = document.createElement('option');
+      o.value = type; o.textContent = label;
+      typeSelect.appendChild(o);
+    });
+    typeSelect.value = 'point';
+  }
+  document.getElementById('light-add-btn')?.addEventListener('click', () => addLight(typeSelect?.value || 'point'));
+
+  document.getElementById('light-toggle-gizmos')?.addEventListener('change', (e) => {
+    lightRig.setHelpersVisible(e.target.checked);
+    attachLightGizmo();
+  });
+
+  // Every editor control maps to one LightRig.update() field
+  const edit = (settings) => {
+    if (!selectedLightId) return;
+    lightRig.update(selectedLightId, settings);
+  };
+  const bindPair = (id, toSettings) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const input = document.getElementById(`${id}-input`);
+    if (!slider || !input) return;
+    slider.addEventListener('input', () => { input.value = slider.value; edit(toSettings(parseFloat(slider.value))); });
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      if (!isNaN(v)) { slider.value = v; edit(toSettings(v)); }
+    });
+  };
+  const bindInput = (id, toSettings, event = 'input') => {
+    document.getElementById(id)?.addEventListener(event, (e) => {
+      const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+      edit(toSettings(value));
+    });
+  };
+
+  bindInput('light-color-picker', v => ({ color: v }));
+  bindInput('light-groundcolor-picker', v => ({ groundColor: v }));
+  bindPair('light-intensity', v => ({ intensity: v }));
+  bindPair('light-distance', v => ({ distance: v }));
+  bindPair('light-angle', v => ({ angle: THREE.MathUtils.degToRad(v) }));
+  bindPair('light-penumbra', v => ({ penumbra: v }));
+  bindPair('light-shadow-bias', v => ({ shadowBias: v }));
+  bindPair('light-shadow-radius', v => ({ shadowRadius: v }));
+  bindInput('light-toggle-shadow', v => ({ castShadow: v }), 'change');
+  ['light-width-input', 'light-height-input'].forEach(id => {
+    bindInput(id, () => ({
+      width: parseFloat(document.getElementById('light-width-input').value) || 0.1,
+      height: parseFloat(document.getElementById('light-height-input').value) || 0.1
+    }));
+  });
+  ['x', 'y', 'z'].forEach(axis => {
+    bindInput(`light-pos-${axis}`, () => ({
+      position: ['x', 'y', 'z'].map(a => parseFloat(document.getElementById(`light-pos-${a}`).value) || 0)
+    }));
+  });
+
+  renderLightList();
 }
 
 //═══════════════════════════════════════════════════════════════
 // UI CONTROLS
 //═══════════════════════════════════════════════════════════════
 
+// How uploaded OBJs with missing or degenerate UVs get new ones (see UVUnwrap.js)
+function uvUnwrapChoice() {
+  return document.getElementById('model-uv-unwrap-select')?.value || 'chart';
+}
+
 const controls = new ControlsManager({
   onModelChange: (name) => loadModel(name),
 
   onMaterialChange: (preset) => applyMaterialPreset(preset),
 
-  onSceneChange: (sceneName) => {
-    loadScene(sceneName, (name, texture) => {
-      sceneManager.setEnvironment(texture);
-      sceneManager.getScene().background = texture;
-      log(`Scene: ${name}`);
-      if (activeModel) {
-        activeModel.traverse((child) => {
-          if (child.isMesh && child.material) {
-            child.material.envMap = texture;
-            child.material.needsUpdate = true;
-          }
-        });
-      }
-    });
-  },
+  onPartChange: (key) => selectPart(key),
+
+  // SceneManager hands the new map to materials that had the old one
+  onSceneChange: (sceneName) => selectEnvironment(sceneName),
 
   onMaterialPropertyChange: (property, value) => {
     updateMaterialProperty(property, value);
@@ -440,7 +1846,7 @@ const controls = new ControlsManager({
 
   onUploadModel: async (files) => {
     if (!files?.length) return;
-    const result = await modelManager.addModelFromFiles(files);
+    const result = await modelManager.addModelFromFiles(files, null, { uvUnwrap: uvUnwrapChoice() });
     if (result.success) {
       logSuccess(`Model added: ${result.name}`);
       result.warnings.forEach(w => logWarn(w));
@@ -463,6 +1869,22 @@ const controls = new ControlsManager({
     }
   },
 
+  onExportGLB: async () => {
+    if (!activeModel) { logError('No model loaded'); return; }
+    const name = getCurrentModelName() || 'model';
+
+    // Bake the current design so unapplied overlays are included too
+    const baked = await uvEditor.createBakedTexture();
+    const mapOverrides = new Map();
+    if (baked && activeMesh) mapOverrides.set(activeMesh, baked);
+
+    await ModelExporter.exportGLB(activeModel, {
+      filename: `${name.replace(/[^a-z0-9]/gi, '_')}.glb`,
+      mapOverrides
+    });
+    if (baked) baked.dispose();
+  },
+
   onImport: async (files) => {
     if (!files?.length) return;
     const file = files[0];
@@ -518,14 +1940,33 @@ async function updateModelList() {
 }
 
 function updateSceneList() {
-  controls.updateSceneSelect(getSceneNames());
+  controls.updateSceneSelect(getSceneNames(), getUserSceneNames());
 }
 
 function updateMaterialPresetList() {
-  controls.updateMaterialPresetSelect(materialManager.getPresetNames());
+  controls.updateMaterialPresetSelect(materialManager.getBuiltInPresetNames(), materialManager.getUserPresetNames());
 }
 
 window.updateModelSelect = updateModelList;
+
+/**
+ * Scene state the Design Editor saves with a custom model besides its
+ * layers: one material entry per part, the loaded model's camera
+ * bookmarks, the background and the light rig
+ */
+function getSaveContext() {
+  return {
+    partMaterials: modelParts.map(part => ({
+      key: part.key,
+      preset: partPresets.get(part.key) ?? null,
+      material: getPartMaterial(part)
+    })),
+    cameraBookmarks,
+    background: getSavedBackground(),
+    lightRig: lightRig.serialize()
+  };
+}
+
 window.switchToModel = (name) => {
   const sel = document.getElementById('object-select') || document.getElementById('model-select');
   if (sel) { sel.value = name; loadModel(name); }
@@ -548,7 +1989,7 @@ container.addEventListener('drop', async (e) => {
   container.classList.remove('drag-over');
   const files = Array.from(e.dataTransfer.files);
   if (!files.length) return;
-  const result = await modelManager.addModelFromFiles(files);
+  const result = await modelManager.addModelFromFiles(files, null, { uvUnwrap: uvUnwrapChoice() });
   if (result.success) {
     logSuccess(`Model added: ${result.name}`);
     result.warnings.forEach(w => logWarn(w));
@@ -777,6 +2218,7 @@ function setupPreviewQualityUI() {
         renderer.shadowMap.enabled = false;
       } else {
         renderer.shadowMap.enabled = true;
+        sceneManager.lightRig.shadowMapSize = size; // For lights added later
         // Update shadow map size on lights
         scene.traverse((obj) => {
           if (obj.isLight && obj.shadow) {
@@ -796,13 +2238,531 @@ function setupPreviewQualityUI() {
   log('Preview quality UI ready.');
 }
 
+//═══════════════════════════════════════════════════════════════
+// STILL RENDER (Setting 7)
+//═══════════════════════════════════════════════════════════════
+
+/**
+ * Output size from Setting 5's resolution select (or its custom fields)
+ * @returns {{width: number, height: number}}
+ */
+function getOutputResolution() {
+  const select = document.getElementById('resolution-select');
+  let [width, height] = (select?.value || '1600x900').split('x').map(Number);
+  if (select?.value === 'custom') {
+    width = parseInt(document.getElementById('custom-res-width')?.value, 10);
+    height = parseInt(document.getElementById('custom-res-height')?.value, 10);
+  }
+  const clampSize = (v) => Math.min(CONFIG.RENDER.MAX_OUTPUT_SIZE, Math.max(16, Math.round(v) || 16));
+  return { width: clampSize(width), height: clampSize(height) };
+}
+
+/**
+ * Settings written into the image so a render can be reproduced
+ */
+function collectRenderSettings(extra) {
+  const cam = cameraManager.getCamera();
+  const target = cameraManager.getControls()?.target;
+  const round = (v) => Math.round(v * 1000) / 1000;
+  return {
+    software: 'RenderDeck',
+    renderedAt: new Date().toISOString(),
+    ...extra,
+    model: uvEditor.customModelName || uvEditor.activeModelName,
+    environment: document.getElementById('environment-select')?.value || null,
+    camera: {
+      type: camState.type,
+      focalLength: camState.focalLength,
+      sensor: camState.sensorKey,
+      near: camState.near,
+      far: camState.far,
+      zoom: round(cam.zoom),
+      position: cam.position.toArray().map(round),
+      target: target ? target.toArray().map(round) : null
+    },
+    toneMapping: camState.toneMapping,
+    exposure: camState.exposure,
+    dof: camState.dofEnabled ? { focus: camState.dofFocus, aperture: camState.dofAperture } : null,
+    postFX: rendererManager.postFXEnabled ? {
+      bloom: rendererManager.bloomEnabled,
+      ssao: rendererManager.ssaoEnabled,
+      vignette: rendererManager.vignetteEnabled
+    } : null
+  };
+}
+
+async function renderStill({ format, quality, transparent }) {
+  const { width, height } = getOutputResolution();
+  const mime = `image/${format}`;
+  if (transparent && format === 'jpeg') logWarn('JPEG has no alpha channel — background will be black');
+
+  log(`Rendering still ${width}×${height}…`);
+  // Let the log repaint before the GPU work blocks the page
+  await new Promise(resolve => requestAnimationFrame(resolve));
+
+  let result;
+  try {
+    result = renderWithoutGizmos(cameraManager.getCamera(), {
+      width, height, transparent, maxTileSize: CONFIG.RENDER.MAX_TILE_SIZE
+    });
+  } catch (err) {
+    logError(`Render failed: ${err.message}`);
+    return;
+  }
+  if (result.tiles > 1) {
+    logWarn(`Rendered in ${result.tiles} tiles — bloom and vignette are computed per tile`);
+  }
+
+  const blob = await new Promise(resolve => result.canvas.toBlob(resolve, mime, quality));
+  if (!blob) { logError('Image encoding failed (canvas too large for this browser?)'); return; }
+  if (blob.type !== mime) logWarn(`${format.toUpperCase()} is not supported here — saved as ${blob.type}`);
+
+  const tagged = await embedMetadata(blob, collectRenderSettings({
+    width, height, tiles: result.tiles, format: blob.type, transparent
+  }));
+  const ext = blob.type.split('/')[1].replace('jpeg', 'jpg');
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  downloadFile(`renderdeck-${stamp}.${ext}`, tagged, blob.type);
+  logSuccess(`Still saved (${width}×${height}, ${(tagged.size / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+function setupRenderUI() {
+  // Custom resolution fields only show for the "Custom…" option
+  const resSelect = document.getElementById('resolution-select');
+  const customRow = document.getElementById('custom-resolution-row');
+  if (resSelect) {
+    resSelect.addEventListener('change', (e) => {
+      if (customRow) customRow.style.display = e.target.value === 'custom' ? '' : 'none';
+      const { width, height } = getOutputResolution();
+      log(`Output resolution: ${width}×${height}`);
+    });
+  }
+
+  const qualitySlider = document.getElementById('still-quality-slider');
+  const qualityInput = document.getElementById('still-quality-input');
+  let quality = CONFIG.RENDER.DEFAULT_QUALITY;
+  if (qualitySlider && qualityInput) {
+    qualitySlider.addEventListener('input', () => { qualityInput.value = qualitySlider.value; quality = parseFloat(qualitySlider.value); });
+    qualityInput.addEventListener('input', () => {
+      const v = parseFloat(qualityInput.value);
+      if (!isNaN(v)) { qualitySlider.value = v; quality = v; }
+    });
+  }
+
+  const renderBtn = document.getElementById('render-still-btn');
+  if (renderBtn) {
+    renderBtn.addEventListener('click', async () => {
+      renderBtn.disabled = true;
+      try {
+        await renderStill({
+          format: document.getElementById('still-format-select')?.value || 'png',
+          quality,
+          transparent: !!document.getElementById('still-toggle-transparent')?.checked
+        });
+      } finally {
+        renderBtn.disabled = false;
+      }
+    });
+  }
+}
+
+//═══════════════════════════════════════════════════════════════
+// TURNTABLE (Setting 7)
+//═══════════════════════════════════════════════════════════════
+
+const TURNTABLE_EASING = {
+  linear: t => t,                                  // Seamless loop
+  easeInOut: t => 0.5 - Math.cos(Math.PI * t) / 2,
+  easeIn: t => 1 - Math.cos((Math.PI * t) / 2),
+  easeOut: t => Math.sin((Math.PI * t) / 2),
+};
+
+// Poses saved when a spin starts, restored when it ends
+const turntable = {
+  active: false,      // Preview or export in progress
+  preview: false,
+  cancelled: false,
+  startTime: 0,
+  cameraBase: null,
+  modelBase: null,
+};
+
+function getTurntableOptions() {
+  const val = (id, fallback) => document.getElementById(id)?.value ?? fallback;
+  return {
+    mode: val('turntable-mode-select', 'camera'),
+    easing: TURNTABLE_EASING[val('turntable-easing-select', 'linear')] || TURNTABLE_EASING.linear,
+    frames: Math.max(2, parseInt(val('turntable-frames-input', 120), 10) || 120),
+    fps: parseInt(val('turntable-fps-select', 30), 10) || 30,
+    output: val('turntable-output-select', 'webm'),
+    direction: document.getElementById('turntable-toggle-reverse')?.checked ? -1 : 1,
+  };
+}
+
+function beginTurntable() {
+  turntable.active = true;
+  turntable.cancelled = false;
+  turntable.cameraBase = cameraManager.getCamera().position.clone();
+  turntable.modelBase = activeModel
+    ? { model: activeModel, position: activeModel.position.clone(), quaternion: activeModel.quaternion.clone() }
+    : null;
+  cameraManager.setControlsEnabled(false);
+}
+
+function endTurntable() {
+  const cam = cameraManager.getCamera();
+  cam.position.copy(turntable.cameraBase);
+  cam.lookAt(cameraManager.getControls().target);
+  // The model may have been swapped mid-preview
+  if (activeModel && activeModel === turntable.modelBase?.model) {
+    activeModel.position.copy(turntable.modelBase.position);
+    activeModel.quaternion.copy(turntable.modelBase.quaternion);
+  }
+  turntable.active = turntable.preview = false;
+  cameraManager.setControlsEnabled(true);
+}
+
+/**
+ * Pose the scene for frame `i` of a spin. Frame `frames` would equal
+ * frame 0, so it's never rendered and a linear spin loops cleanly.
+ */
+function applyTurntableFrame(i, opts) {
+  const angle = opts.direction * 2 * Math.PI * opts.easing(i / opts.frames);
+
+  if (opts.mode === 'model' && activeModel && activeModel === turntable.modelBase?.model) {
+    // Spin about the vertical axis through the orbit target, not the model origin
+    const target = cameraManager.getControls().target;
+    const spin = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), angle);
+    activeModel.position.copy(turntable.modelBase.position).sub(target).applyQuaternion(spin).add(target);
+    activeModel.quaternion.copy(turntable.modelBase.quaternion).premultiply(spin);
+  } else {
+    cameraManager.orbitTo(turntable.cameraBase, angle);
+  }
+}
+
+// Called from the animate loop while previewing
+function updateTurntablePreview() {
+  const opts = getTurntableOptions();
+  const frame = Math.floor(((performance.now() - turntable.startTime) / 1000) * opts.fps) % opts.frames;
+  applyTurntableFrame(frame, opts);
+}
+
+/**
+ * Render every frame off-screen and hand it to `onFrame(canvas, i)`
+ * @returns {Promise<boolean>} false if cancelled
+ */
+async function renderTurntableFrames(opts, size, onFrame) {
+  const transparent = opts.output === 'png' &&
+    !!document.getElementById('still-toggle-transparent')?.checked;
+
+  for (let i = 0; i < opts.frames; i++) {
+    if (turntable.cancelled) return false;
+    applyTurntableFrame(i, opts);
+    const { canvas } = renderWithoutGizmos(cameraManager.getCamera(), {
+      ...size, transparent, maxTileSize: CONFIG.RENDER.MAX_TILE_SIZE
+    });
+    await onFrame(canvas, i);
+
+    if (i % Math.max(1, Math.round(opts.frames / 10)) === 0) {
+      log(`Turntable frame ${i + 1}/${opts.frames}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * WebM via MediaRecorder. The recorder is paused while a frame renders and
+ * resumed for exactly one frame interval, so the video runs at `fps` no
+ * matter how long each frame took.
+ */
+async function recordTurntableWebM(opts, size) {
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(t => window.MediaRecorder?.isTypeSupported(t));
+  if (!mimeType) { logError('WebM recording is not supported in this browser'); return null; }
+
+  const recordCanvas = document.createElement('canvas');
+  recordCanvas.width = size.width;
+  recordCanvas.height = size.height;
+  const ctx = recordCanvas.getContext('2d');
+  const stream = recordCanvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: Math.round(size.width * size.height * opts.fps * 0.15)
+  });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+  recorder.start();
+  recorder.pause();
+
+  const frameMs = 1000 / opts.fps;
+  const completed = await renderTurntableFrames(opts, size, async (canvas) => {
+    ctx.drawImage(canvas, 0, 0);
+    recorder.resume();
+    track.requestFrame();
+    await new Promise(resolve => setTimeout(resolve, frameMs));
+    recorder.pause();
+  });
+
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return completed ? { blob: new Blob(chunks, { type: 'video/webm' }), ext: 'webm' } : null;
+}
+
+async function recordTurntablePNG(opts, size) {
+  const zip = new ZipWriter();
+  const digits = String(opts.frames).length;
+  const completed = await renderTurntableFrames(opts, size, async (canvas, i) => {
+    const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    await zip.add(`frame_${String(i + 1).padStart(Math.max(4, digits), '0')}.png`, png);
+  });
+  return completed ? { blob: zip.toBlob(), ext: 'zip' } : null;
+}
+
+async function exportTurntable() {
+  if (!activeModel) { logError('No model loaded'); return; }
+  const opts = getTurntableOptions();
+  const size = getOutputResolution();
+
+  beginTurntable();
+  log(`Turntable: ${opts.frames} frames at ${opts.fps} fps, ${size.width}×${size.height}`);
+  let result = null;
+  try {
+    result = opts.output === 'png'
+      ? await recordTurntablePNG(opts, size)
+      : await recordTurntableWebM(opts, size);
+  } catch (err) {
+    logError(`Turntable export failed: ${err.message}`);
+  } finally {
+    endTurntable();
+  }
+
+  if (!result) { if (turntable.cancelled) logWarn('Turntable export cancelled'); return; }
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  downloadFile(`renderdeck-turntable-${stamp}.${result.ext}`, result.blob, result.blob.type);
+  logSuccess(`Turntable saved (${(result.blob.size / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+function setupTurntableUI() {
+  const framesSlider = document.getElementById('turntable-frames-slider');
+  const framesInput = document.getElementById('turntable-frames-input');
+  if (framesSlider && framesInput) {
+    framesSlider.addEventListener('input', () => { framesInput.value = framesSlider.value; });
+    framesInput.addEventListener('input', () => {
+      const v = parseInt(framesInput.value, 10);
+      if (!isNaN(v)) framesSlider.value = v;
+    });
+  }
+
+  const previewBtn = document.getElementById('turntable-preview-btn');
+  const exportBtn = document.getElementById('turntable-export-btn');
+
+  if (previewBtn) {
+    previewBtn.addEventListener('click', () => {
+      if (turntable.preview) {
+        endTurntable();
+        previewBtn.classList.remove('active');
+        return;
+      }
+      if (turntable.active) return; // Export running
+      beginTurntable();
+      turntable.preview = true;
+      turntable.startTime = performance.now();
+      previewBtn.classList.add('active');
+    });
+  }
+
+  if (exportBtn) {
+    const label = exportBtn.innerHTML;
+    exportBtn.addEventListener('click', async () => {
+      // Second click while exporting cancels
+      if (turntable.active && !turntable.preview) { turntable.cancelled = true; return; }
+      if (turntable.preview) { endTurntable(); previewBtn?.classList.remove('active'); }
+
+      exportBtn.innerHTML = '&#9632; Cancel';
+      try {
+        await exportTurntable();
+      } finally {
+        exportBtn.innerHTML = label;
+      }
+    });
+  }
+}
+
+//═══════════════════════════════════════════════════════════════
+// PATH TRACING (Setting 7)
+//═══════════════════════════════════════════════════════════════
+
+const pathTracer = rendererManager.pathTracer;
+let pathTracedModel = null; // Model the path tracer's BVH was built from
+let lastProgressText = '';
+
+async function setPathTracing(enabled) {
+  if (enabled) {
+    // Light gizmos are meshes and would be traced along with the model
+    const gizmoToggle = document.getElementById('light-toggle-gizmos');
+    if (gizmoToggle?.checked) gizmoToggle.click();
+  }
+
+  pathTracedModel = activeModel;
+  try {
+    if (enabled) log('Path tracing: building scene…');
+    await rendererManager.setPathTracing(enabled, sceneManager.getScene(), cameraManager.getCamera(),
+      (p) => setPathTraceProgress(`Building ${Math.round(p * 100)}%`, 0));
+    if (enabled) logSuccess('Path tracing on');
+    else log('Path tracing off');
+  } catch (err) {
+    logError(`Path tracer unavailable: ${err.message}`);
+    rendererManager.pathTracingEnabled = false;
+    const toggle = document.getElementById('pt-toggle-enable');
+    if (toggle) toggle.checked = false;
+    setPathTraceProgress('Off', 0);
+  }
+}
+
+// Settings edits (materials, lights, environment…) re-upload without a BVH rebuild
+const refreshPathTracer = debounce(() => {
+  if (!rendererManager.pathTracingEnabled || !pathTracer.ready) return;
+  pathTracer.updateScene();
+  pathTracer.reset();
+}, 150);
+
+function setPathTraceProgress(text, value) {
+  if (text === lastProgressText) return;
+  lastProgressText = text;
+  const label = document.getElementById('pt-progress-label');
+  const bar = document.getElementById('pt-progress');
+  if (label) label.textContent = text;
+  if (bar) {
+    bar.max = pathTracer.params.maxSamples;
+    bar.value = value;
+  }
+}
+
+// Called from the animate loop
+function updatePathTracing() {
+  if (!rendererManager.pathTracingEnabled) return;
+  if (pathTracer.building) return;
+
+  // A different model was loaded: rebuild the BVH
+  if (activeModel !== pathTracedModel) {
+    setPathTracing(true);
+    return;
+  }
+
+  const max = pathTracer.params.maxSamples;
+  const samples = Math.min(pathTracer.samples, max);
+  setPathTraceProgress(samples >= max ? `Done · ${max} samples` : `${samples} / ${max} samples`, samples);
+}
+
+async function savePathTracedImage() {
+  if (!rendererManager.pathTracingEnabled || !pathTracer.ready) {
+    logWarn('Turn on the path-traced viewport first');
+    return;
+  }
+
+  // Redraw the current image, then copy it before the canvas is cleared
+  pathTracer.needsBlit = true;
+  await new Promise(resolve => requestAnimationFrame(resolve));
+  const source = rendererManager.getDomElement();
+  const copy = document.createElement('canvas');
+  copy.width = source.width;
+  copy.height = source.height;
+  copy.getContext('2d').drawImage(source, 0, 0);
+
+  const blob = await new Promise(resolve => copy.toBlob(resolve, 'image/png'));
+  const tagged = await embedMetadata(blob, collectRenderSettings({
+    width: copy.width,
+    height: copy.height,
+    format: blob.type,
+    pathTracing: { ...pathTracer.params, samples: pathTracer.samples }
+  }));
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  downloadFile(`renderdeck-pt-${stamp}.png`, tagged, blob.type);
+  logSuccess(`Path-traced image saved (${copy.width}×${copy.height}, ${pathTracer.samples} samples)`);
+}
+
+function setupPathTracingUI() {
+  document.getElementById('pt-toggle-enable')?.addEventListener('change', (e) => {
+    if (!e.target.checked) setPathTraceProgress('Off', 0);
+    setPathTracing(e.target.checked);
+  });
+
+  const bindPair = (id, apply) => {
+    const slider = document.getElementById(`${id}-slider`);
+    const input = document.getElementById(`${id}-input`);
+    if (!slider || !input) return;
+    slider.addEventListener('input', () => { input.value = slider.value; apply(parseFloat(slider.value)); });
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      if (!isNaN(v)) { slider.value = v; apply(v); }
+    });
+  };
+  bindPair('pt-samples', v => pathTracer.setParams({ maxSamples: Math.max(1, Math.round(v)) }));
+  bindPair('pt-bounces', v => pathTracer.setParams({ bounces: Math.max(1, Math.round(v)) }));
+  bindPair('pt-denoise', v => pathTracer.setParams({ denoiseStrength: v }));
+  document.getElementById('pt-toggle-denoise')?.addEventListener('change', (e) => {
+    pathTracer.setParams({ denoise: e.target.checked });
+  });
+
+  const saveBtn = document.getElementById('pt-save-btn');
+  saveBtn?.addEventListener('click', async () => {
+    saveBtn.disabled = true;
+    try {
+      await savePathTracedImage();
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  // Any other settings edit changes what the tracer sees
+  const panel = document.querySelector('.scene-settings-controls');
+  const ownControls = (target) => target.id?.startsWith('pt-');
+  ['input', 'change'].forEach(type => panel?.addEventListener(type, (e) => {
+    if (!ownControls(e.target)) refreshPathTracer();
+  }));
+}
+
+//═══════════════════════════════════════════════════════════════
+// UNDO / REDO
+//═══════════════════════════════════════════════════════════════
+
+function setupHistoryShortcuts() {
+  if (!FEATURES.ENABLE_UNDO_REDO) return;
+
+  window.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Leave text fields their native undo
+    const t = e.target;
+    if (t.isContentEditable || t.tagName === 'TEXTAREA' ||
+        (t.tagName === 'INPUT' && !['range', 'color', 'checkbox', 'file'].includes(t.type))) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      const label = commandHistory.undo();
+      if (label) log(`Undo: ${label}`);
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      const label = commandHistory.redo();
+      if (label) log(`Redo: ${label}`);
+    }
+  });
+}
+
 //═══════════════════════════════════════════════════════════════
 // ANIMATION LOOP
 //═══════════════════════════════════════════════════════════════
 
 function animate() {
   requestAnimationFrame(animate);
-  cameraManager.update();
+  if (turntable.preview) updateTurntablePreview();
+  else if (!turntable.active) cameraManager.update();
+  updateLightGizmos();
+  updatePathTracing();
   rendererManager.render(sceneManager.getScene(), cameraManager.getCamera());
 }
 animate();
@@ -814,9 +2774,21 @@ animate();
 updateModelList();
 updateSceneList();
 updateMaterialPresetList();
+setupMaterialLibraryUI();
+setupProceduralUI();
+setupTextureMapUI();
 setupCameraUI();
+setupBookmarkUI();
+setupBackgroundUI();
+setupEnvironmentUI();
+setupModelPlacement();
+setupLightRigUI();
 setupPostFXUI();
 setupPreviewQualityUI();
+setupRenderUI();
+setupTurntableUI();
+setupPathTracingUI();
+setupHistoryShortcuts();
 
 // Apply initial renderer tone mapping
 rendererManager.getRenderer().toneMapping = THREE.ACESFilmicToneMapping;
@@ -3,16 +3,41 @@
 
 import * as THREE from 'three';
 import { CONFIG } from '../config.js';
-import { 
-  createWoodTexture, 
-  createMetalTexture, 
-  createGlassTexture, 
-  createPlasticTexture 
-} from './generators.js';
+import { createProceduralMaps, resolveGeneratorParams } from './generators.js';
+
+// Uploadable texture map slots (Setting 3). The base color map belongs to
+// the preset and Design tab, so it isn't listed here.
+// kind: 'color' maps are sRGB, 'normal' maps are used as-is, 'data' maps
+// are linear grayscale and may be read from a single channel of the upload.
+export const TEXTURE_SLOTS = {
+  normalMap:             { label: 'Normal',               kind: 'normal' },
+  roughnessMap:          { label: 'Roughness',            kind: 'data' },
+  metalnessMap:          { label: 'Metalness',            kind: 'data' },
+  aoMap:                 { label: 'Ambient Occlusion',    kind: 'data' },
+  emissiveMap:           { label: 'Emissive',             kind: 'color' },
+  alphaMap:              { label: 'Alpha',                kind: 'data' },
+  bumpMap:               { label: 'Bump',                 kind: 'data' },
+  displacementMap:       { label: 'Displacement',         kind: 'data' },
+  clearcoatMap:          { label: 'Clearcoat',            kind: 'data' },
+  clearcoatRoughnessMap: { label: 'Clearcoat Roughness',  kind: 'data' },
+  clearcoatNormalMap:    { label: 'Clearcoat Normal',     kind: 'normal' },
+  transmissionMap:       { label: 'Transmission',         kind: 'data' },
+  thicknessMap:          { label: 'Thickness',            kind: 'data' },
+  sheenColorMap:         { label: 'Sheen Color',          kind: 'color' },
+  sheenRoughnessMap:     { label: 'Sheen Roughness',      kind: 'data' },
+  specularIntensityMap:  { label: 'Specular Intensity',   kind: 'data' },
+  specularColorMap:      { label: 'Specular Color',       kind: 'color' },
+};
+
+// 'auto' leaves the image alone; r/g/b/a copy that channel to all four
+export const TEXTURE_CHANNELS = ['auto', 'r', 'g', 'b', 'a'];
 
 export class MaterialManager {
   constructor() {
     this.presets = this.initializePresets();
+    this.builtInNames = Object.keys(this.presets);
+    this.userPresets = new Map();       // name -> { basedOn, properties, textureMaps }
+    this.pendingMaps = new WeakMap();   // material -> Promise while its uploaded maps decode
     this.cache = new Map();
   }
 
@@ -21,21 +46,18 @@ export class MaterialManager {
    */
   initializePresets() {
     return {
-      Wood: () => this.createMaterial('Wood', {
-        map: createWoodTexture(),
+      Wood: () => this.createProceduralMaterial('Wood', 'wood', {
         roughness: CONFIG.MATERIALS.WOOD.roughness,
         metalness: CONFIG.MATERIALS.WOOD.metalness,
         clearcoat: 0.1,
         clearcoatRoughness: 0.3,
       }),
-      Metal: () => this.createMaterial('Metal', {
-        map: createMetalTexture(),
+      Metal: () => this.createProceduralMaterial('Metal', 'metal', {
         roughness: CONFIG.MATERIALS.METAL.roughness,
         metalness: CONFIG.MATERIALS.METAL.metalness,
         reflectivity: 1.0,
       }),
-      Glass: () => this.createMaterial('Glass', {
-        map: createGlassTexture(),
+      Glass: () => this.createProceduralMaterial('Glass', 'glass', {
         roughness: CONFIG.MATERIALS.GLASS.roughness,
         metalness: CONFIG.MATERIALS.GLASS.metalness,
         opacity: CONFIG.MATERIALS.GLASS.opacity,
@@ -45,17 +67,94 @@ export class MaterialManager {
         thickness: 0.5,
         envMapIntensity: 1.5,
       }),
-      Plastic: () => this.createMaterial('Plastic', {
-        map: createPlasticTexture(),
+      Plastic: () => this.createProceduralMaterial('Plastic', 'plastic', {
         roughness: CONFIG.MATERIALS.PLASTIC.roughness,
         metalness: CONFIG.MATERIALS.PLASTIC.metalness,
         clearcoat: 0.4,
         clearcoatRoughness: 0.1,
         specularIntensity: 0.8,
       }),
+      Marble: () => this.createProceduralMaterial('Marble', 'marble', {
+        roughness: CONFIG.MATERIALS.MARBLE.roughness,
+        metalness: CONFIG.MATERIALS.MARBLE.metalness,
+        clearcoat: 0.3,
+        clearcoatRoughness: 0.1,
+      }),
+      'Carbon Fiber': () => this.createProceduralMaterial('Carbon Fiber', 'carbonFiber', {
+        roughness: CONFIG.MATERIALS.CARBON_FIBER.roughness,
+        metalness: CONFIG.MATERIALS.CARBON_FIBER.metalness,
+        clearcoat: 1.0,
+        clearcoatRoughness: 0.05,
+      }),
+      Fabric: () => this.createProceduralMaterial('Fabric', 'fabric', {
+        roughness: CONFIG.MATERIALS.FABRIC.roughness,
+        metalness: CONFIG.MATERIALS.FABRIC.metalness,
+        sheen: 0.8,
+        sheenRoughness: 0.6,
+        sheenColor: new THREE.Color(0xffffff),
+        specularIntensity: 0.3,
+      }),
+      Concrete: () => this.createProceduralMaterial('Concrete', 'concrete', {
+        roughness: CONFIG.MATERIALS.CONCRETE.roughness,
+        metalness: CONFIG.MATERIALS.CONCRETE.metalness,
+        specularIntensity: 0.4,
+      }),
+      Leather: () => this.createProceduralMaterial('Leather', 'leather', {
+        roughness: CONFIG.MATERIALS.LEATHER.roughness,
+        metalness: CONFIG.MATERIALS.LEATHER.metalness,
+        sheen: 0.3,
+        sheenRoughness: 0.5,
+        clearcoat: 0.1,
+        clearcoatRoughness: 0.4,
+      }),
     };
   }
 
+  /**
+   * A preset whose base map comes from a generator in generators.js
+   */
+  createProceduralMaterial(name, type, properties, params = {}) {
+    const material = this.createMaterial(name, properties);
+    this.setProceduralMap(material, type, params);
+    return material;
+  }
+
+  /**
+   * Redraw a material's base map (plus normal and roughness maps) with a
+   * generator. The resolved parameters are kept in userData.generator so
+   * they survive design composites and get saved with the material.
+   * Uploaded normal/roughness maps are left in place.
+   * @param {THREE.Material} material
+   * @param {string} type - Key of GENERATORS
+   * @param {Object} params - See resolveGeneratorParams()
+   */
+  setProceduralMap(material, type, params = {}) {
+    const maps = createProceduralMaps(type, params);
+    const flipY = material.map ? material.map.flipY : true;
+
+    Object.entries(maps).forEach(([slot, texture]) => {
+      const current = material[slot];
+      if (current && slot !== 'map' && !current.userData.procedural) {
+        texture?.dispose();
+        return;
+      }
+      if (texture) texture.flipY = flipY;
+      if (current) current.dispose();
+      material[slot] = texture;
+    });
+
+    material.userData.generator = { type, params: resolveGeneratorParams(type, params) };
+    material.needsUpdate = true;
+    return maps.map;
+  }
+
+  /**
+   * @returns {{type: string, params: Object}|null}
+   */
+  getProceduralMap(material) {
+    return material?.userData.generator || null;
+  }
+
   /**
    * Create a MeshPhysicalMaterial with full defaults
    */
@@ -104,6 +203,109 @@ export class MaterialManager {
     this.presets[name] = generator;
   }
 
+  // ─── User presets ─────────────────────────────────────────────
+
+  /**
+   * Register a saved material as a preset (see MaterialLibraryStorage)
+   * @param {string} name
+   * @param {Object} preset
+   * @param {string|null} preset.basedOn - Built-in preset providing the base map
+   * @param {Object} preset.properties - extractProperties() output
+   * @param {Object} [preset.textureMaps] - extractTextureMaps() output
+   */
+  addUserPreset(name, preset) {
+    const entry = {
+      basedOn: this.isBuiltInPreset(preset.basedOn) ? preset.basedOn : null,
+      properties: preset.properties || {},
+      textureMaps: preset.textureMaps || {}
+    };
+    this.userPresets.set(name, entry);
+    this.addPreset(name, () => {
+      const material = entry.basedOn ? this.presets[entry.basedOn]() : this.createMaterial(name, {});
+      material.name = name;
+      this.applySavedProperties(material, entry.properties);
+      if (Object.keys(entry.textureMaps).length > 0) {
+        this.pendingMaps.set(material, this.applyTextureMaps(material, entry.textureMaps));
+      }
+      return material;
+    });
+  }
+
+  removeUserPreset(name) {
+    if (!this.userPresets.delete(name)) return;
+    delete this.presets[name];
+  }
+
+  getUserPreset(name) {
+    return this.userPresets.get(name) || null;
+  }
+
+  isUserPreset(name) {
+    return this.userPresets.has(name);
+  }
+
+  isBuiltInPreset(name) {
+    return this.builtInNames.includes(name);
+  }
+
+  getBuiltInPresetNames() {
+    return [...this.builtInNames];
+  }
+
+  getUserPresetNames() {
+    return [...this.userPresets.keys()].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * A material as a user preset
+   * @param {THREE.Material} material
+   * @param {string|null} presetName - Preset the material came from
+   */
+  describePreset(material, presetName) {
+    return {
+      basedOn: this.getUserPreset(presetName)?.basedOn ?? (this.isBuiltInPreset(presetName) ? presetName : null),
+      properties: this.extractProperties(material),
+      textureMaps: this.extractTextureMaps(material)
+    };
+  }
+
+  /**
+   * Resolves once a preset material's uploaded maps have loaded
+   */
+  whenReady(material) {
+    return this.pendingMaps.get(material) || Promise.resolve();
+  }
+
+  /**
+   * Upgrade an imported material (e.g. glTF MeshStandardMaterial) to a
+   * MeshPhysicalMaterial, keeping its PBR values and texture maps intact.
+   * Physical materials are returned unchanged.
+   */
+  toPhysical(material) {
+    if (!material || material.isMeshPhysicalMaterial) return material;
+
+    const physical = this.createMaterial(material.name, {});
+    const copyProps = [
+      'map', 'metalness', 'roughness', 'metalnessMap', 'roughnessMap',
+      'normalMap', 'normalMapType', 'aoMap', 'aoMapIntensity',
+      'emissiveMap', 'emissiveIntensity', 'alphaMap', 'alphaTest',
+      'bumpMap', 'bumpScale', 'displacementMap', 'displacementScale',
+      'lightMap', 'lightMapIntensity', 'envMapIntensity',
+      'opacity', 'transparent', 'side', 'vertexColors', 'flatShading',
+    ];
+    copyProps.forEach(prop => {
+      if (material[prop] !== undefined) physical[prop] = material[prop];
+    });
+    if (material.color) physical.color.copy(material.color);
+    if (material.emissive) physical.emissive.copy(material.emissive);
+    if (material.normalScale) physical.normalScale.copy(material.normalScale);
+    physical.userData = { ...material.userData };
+
+    // Maps now belong to the physical material, so only release the shell
+    material.dispose();
+    return physical;
+  }
+
   applyEnvironment(material, envMap) {
     if (material && envMap) {
       material.envMap = envMap;
@@ -143,6 +345,14 @@ export class MaterialManager {
     if (properties.emissive !== undefined) material.emissive.set(properties.emissive);
     if (properties.emissiveIntensity !== undefined) material.emissiveIntensity = properties.emissiveIntensity;
     if (properties.envMapIntensity !== undefined) material.envMapIntensity = properties.envMapIntensity;
+    if (properties.normalScale !== undefined) this.setNormalStrength(material, properties.normalScale);
+
+    // Only redraw maps that are procedural to begin with (not embedded glTF textures)
+    const generator = properties.generator;
+    const current = this.getProceduralMap(material);
+    if (generator && current && JSON.stringify(generator) !== JSON.stringify(current)) {
+      this.setProceduralMap(material, generator.type, generator.params);
+    }
 
     material.needsUpdate = true;
   }
@@ -173,9 +383,138 @@ export class MaterialManager {
       emissive: '#' + material.emissive.getHexString(),
       emissiveIntensity: material.emissiveIntensity,
       envMapIntensity: material.envMapIntensity,
+      normalScale: Math.abs(material.normalScale.x),
+      generator: this.getProceduralMap(material),
+    };
+  }
+
+  /**
+   * Scale normal map bumps. Keeps the sign of each axis, since some
+   * imported maps need a flipped green channel.
+   */
+  setNormalStrength(material, strength) {
+    const { normalScale } = material;
+    normalScale.set(strength * (Math.sign(normalScale.x) || 1), strength * (Math.sign(normalScale.y) || 1));
+  }
+
+  // ─── Texture maps ─────────────────────────────────────────────
+
+  /**
+   * Load an uploaded image into one of the TEXTURE_SLOTS
+   * @param {THREE.Material} material
+   * @param {string} slot - Key of TEXTURE_SLOTS
+   * @param {Object} options
+   * @param {string} options.imageData - Data URL of the original upload
+   * @param {string} [options.name] - File name, for display
+   * @param {string} [options.channel] - One of TEXTURE_CHANNELS
+   * @param {number[]} [options.repeat] - [u, v]
+   * @param {number[]} [options.offset] - [u, v]
+   * @param {number} [options.rotation] - Degrees
+   */
+  async setTextureMap(material, slot, { imageData, name = '', channel = 'auto', repeat = [1, 1], offset = [0, 0], rotation = 0 }) {
+    const info = TEXTURE_SLOTS[slot];
+    if (!info) throw new Error(`Unknown texture slot: ${slot}`);
+
+    const image = await new THREE.ImageLoader().loadAsync(imageData);
+    const useChannel = info.kind === 'data' ? channel : 'auto';
+    const texture = new THREE.Texture(useChannel === 'auto' ? image : this._extractChannel(image, useChannel));
+
+    texture.colorSpace = info.kind === 'color' ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    texture.center.set(0.5, 0.5);
+    // Match the UV convention of the model (glTF maps are not flipped)
+    texture.flipY = material.map ? material.map.flipY : true;
+    texture.userData.textureMap = { name, imageData, channel: useChannel };
+    texture.needsUpdate = true;
+
+    this.setTextureTransform(texture, { repeat, offset, rotation });
+
+    if (material[slot]) material[slot].dispose();
+    material[slot] = texture;
+    if (slot === 'alphaMap') material.transparent = true;
+    material.needsUpdate = true;
+    return texture;
+  }
+
+  /**
+   * @param {THREE.Texture} texture
+   * @param {Object} transform - Any of { repeat, offset, rotation } (rotation in degrees)
+   */
+  setTextureTransform(texture, { repeat, offset, rotation }) {
+    if (!texture) return;
+    if (repeat) texture.repeat.fromArray(repeat);
+    if (offset) texture.offset.fromArray(offset);
+    if (rotation !== undefined) texture.rotation = THREE.MathUtils.degToRad(rotation);
+  }
+
+  removeTextureMap(material, slot) {
+    if (!material?.[slot]) return;
+    material[slot].dispose();
+    material[slot] = null;
+    if (slot === 'alphaMap') material.transparent = material.opacity < 1 || material.transmission > 0;
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Settings of a slot filled by an upload (null for empty or embedded maps)
+   */
+  getTextureMap(material, slot) {
+    const texture = material?.[slot];
+    const source = texture?.userData.textureMap;
+    if (!source) return null;
+    return {
+      ...source,
+      repeat: texture.repeat.toArray(),
+      offset: texture.offset.toArray(),
+      rotation: +THREE.MathUtils.radToDeg(texture.rotation).toFixed(2)
     };
   }
 
+  /**
+   * Uploaded maps for saving: { slot: { name, imageData, channel, repeat, offset, rotation } }
+   * Maps that came with the model file are left to the model file.
+   */
+  extractTextureMaps(material) {
+    const maps = {};
+    if (!material) return maps;
+    Object.keys(TEXTURE_SLOTS).forEach(slot => {
+      const map = this.getTextureMap(material, slot);
+      if (map) maps[slot] = map;
+    });
+    return maps;
+  }
+
+  /**
+   * Restore maps saved by extractTextureMaps()
+   */
+  async applyTextureMaps(material, maps) {
+    if (!material || !maps) return;
+    await Promise.all(Object.entries(maps).map(([slot, map]) => {
+      if (!TEXTURE_SLOTS[slot] || !map?.imageData) return null;
+      return this.setTextureMap(material, slot, map)
+        .catch(err => console.warn(`Texture map "${slot}" failed to load:`, err));
+    }));
+  }
+
+  // Grayscale copy of one channel, so any slot can read a packed (e.g. ORM) texture
+  _extractChannel(image, channel) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const d = pixels.data;
+    const offset = 'rgba'.indexOf(channel);
+    for (let i = 0; i < d.length; i += 4) {
+      const v = d[i + offset];
+      d[i] = d[i + 1] = d[i + 2] = v;
+      d[i + 3] = 255;
+    }
+    ctx.putImageData(pixels, 0, 0);
+    return canvas;
+  }
+
   dispose(material) {
     if (!material) return;
     const maps = [
@@ -1,133 +1,556 @@
-
 // GENERATORS.JS - Procedural Texture Generators
+// Every generator is seeded, so the same parameters always draw the same
+// texture (saved custom models and presets look identical on every load).
 
 import * as THREE from 'three';
 import { CONFIG } from '../config.js';
 
+// ─── Parameter helpers ──────────────────────────────────────────
+
+const number = (label, min, max, step, value) => ({ type: 'number', label, min, max, step, default: value });
+const color = (label, value) => ({ type: 'color', label, default: value });
+
+// Shared by every generator
+const COMMON_PARAMS = {
+  seed: number('Seed', 0, 999999, 1, 1),
+  resolution: { type: 'select', label: 'Resolution', options: [256, 512, 1024, 2048], default: 512 }
+};
+
+// ─── Seeded randomness ──────────────────────────────────────────
+
 /**
- * Helper to create texture from canvas drawing function
- * @param {Function} drawFn - Function that draws on canvas: (ctx, size) => void
- * @param {number} size - Canvas size (default 256)
- * @returns {THREE.CanvasTexture}
+ * Deterministic random numbers (mulberry32)
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
  */
-function createTextureFromCanvas(drawFn, size = 256) {
-  const canvas = document.createElement('canvas');
-  canvas.width = size;
-  canvas.height = size;
-  const ctx = canvas.getContext('2d');
-  drawFn(ctx, size);
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.encoding = THREE[CONFIG.TEXTURE.ENCODING];
-  tex.needsUpdate = true;
-  return tex;
+export function createRandom(seed) {
+  let a = (seed >>> 0) || 1;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Tileable fractal value noise
+ * @param {Function} rand - From createRandom()
+ * @param {number} period - Lattice cells across the texture at the first octave
+ * @returns {Function} (u, v, octaves) => number in [0, 1], u/v in [0, 1)
+ */
+function createNoise(rand, period) {
+  const SIZE = 256;
+  const lattice = new Float32Array(SIZE * SIZE);
+  for (let i = 0; i < lattice.length; i++) lattice[i] = rand();
+  const smooth = t => t * t * (3 - 2 * t);
+
+  const sample = (x, y, p) => {
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = smooth(x - x0), fy = smooth(y - y0);
+    // Wrap at the octave's period so the texture tiles
+    const at = (i, j) => lattice[((j % p + p) % p) * SIZE + ((i % p + p) % p)];
+    const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * fx;
+    const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * fx;
+    return top + (bottom - top) * fy;
+  };
+
+  return (u, v, octaves = 4) => {
+    let sum = 0, amplitude = 0.5, total = 0, p = period;
+    for (let o = 0; o < octaves && p <= SIZE; o++) {
+      sum += sample(u * p, v * p, p) * amplitude;
+      total += amplitude;
+      amplitude *= 0.5;
+      p *= 2;
+    }
+    return sum / total;
+  };
 }
 
 /**
- * Create procedural wood texture
- * Features: brown base, grain lines, wood knot
+ * Tileable cellular noise: distance to the nearest and second-nearest
+ * feature point, in cell units
+ * @returns {Function} (u, v) => [f1, f2]
  */
-export function createWoodTexture() {
-  return createTextureFromCanvas((ctx, s) => {
-    // Base color (brown)
-    ctx.fillStyle = '#6b3a2a';
-    ctx.fillRect(0, 0, s, s);
-    
-    // Wood grain lines
-    for (let y = 0; y < s; y += 6 + Math.random() * 8) {
-      const shade = Math.random();
-      ctx.strokeStyle = shade > 0.5
-        ? `rgba(90, 55, 30, ${0.3 + Math.random() * 0.4})`
-        : `rgba(120, 75, 45, ${0.2 + Math.random() * 0.3})`;
-      ctx.lineWidth = 1 + Math.random() * 3;
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      for (let x = 0; x < s; x += 20) {
-        ctx.lineTo(x, y + Math.sin(x * 0.05) * 3 + (Math.random() - 0.5) * 2);
+function createCells(rand, cells) {
+  const points = new Float32Array(cells * cells * 2);
+  for (let i = 0; i < points.length; i++) points[i] = rand();
+
+  return (u, v) => {
+    const x = u * cells, y = v * cells;
+    const cx = Math.floor(x), cy = Math.floor(y);
+    let f1 = Infinity, f2 = Infinity;
+    for (let j = -1; j <= 1; j++) {
+      for (let i = -1; i <= 1; i++) {
+        const ci = cx + i, cj = cy + j;
+        const k = (((cj % cells) + cells) % cells) * cells + (((ci % cells) + cells) % cells);
+        const dx = ci + points[k * 2] - x;
+        const dy = cj + points[k * 2 + 1] - y;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d < f1) { f2 = f1; f1 = d; } else if (d < f2) { f2 = d; }
       }
-      ctx.stroke();
     }
-    
-    // Wood knot
-    const kx = s * 0.3;
-    const ky = s * 0.6;
-    ctx.fillStyle = 'rgba(50, 28, 15, 0.7)';
-    ctx.beginPath();
-    ctx.ellipse(kx, ky, 12, 8, 0.2, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.fillStyle = 'rgba(75, 40, 20, 0.6)';
-    ctx.beginPath();
-    ctx.ellipse(kx, ky, 6, 4, 0.2, 0, Math.PI * 2);
-    ctx.fill();
-  });
+    return [f1, f2];
+  };
+}
+
+// ─── Color helpers ──────────────────────────────────────────────
+
+function toRGB(hex) {
+  const c = new THREE.Color(hex);
+  return [c.r * 255, c.g * 255, c.b * 255];
+}
+
+function mixRGB(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+function rgba([r, g, b], alpha) {
+  return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${alpha})`;
 }
 
 /**
- * Create procedural metal texture
- * Features: brushed metal gradient, horizontal brush strokes, specular highlight
+ * Fill the canvas pixel by pixel
+ * @param {Function} shade - (u, v) => [r, g, b] (0-255)
  */
-export function createMetalTexture() {
-  return createTextureFromCanvas((ctx, s) => {
-    // Brushed metal gradient
-    const grad = ctx.createLinearGradient(0, 0, s, 0);
-    grad.addColorStop(0, '#5a5a5a');
-    grad.addColorStop(0.3, '#a8a8a8');
-    grad.addColorStop(0.5, '#c0c0c0');
-    grad.addColorStop(0.7, '#909090');
-    grad.addColorStop(1, '#6a6a6a');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, s, s);
-    
-    // Brush strokes
-    for (let y = 0; y < s; y += 2) {
-      const r = 180 + Math.random() * 40;
-      const g = 180 + Math.random() * 40;
-      const b = 180 + Math.random() * 40;
-      ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, 0.15)`;
-      ctx.lineWidth = 1;
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(s, y);
-      ctx.stroke();
+function shadePixels(ctx, s, shade) {
+  const image = ctx.createImageData(s, s);
+  const d = image.data;
+  for (let y = 0; y < s; y++) {
+    for (let x = 0; x < s; x++) {
+      const [r, g, b] = shade(x / s, y / s);
+      const i = (y * s + x) * 4;
+      d[i] = r; d[i + 1] = g; d[i + 2] = b; d[i + 3] = 255;
     }
-    
-    // Specular highlight
-    const specGrad = ctx.createLinearGradient(s * 0.4, 0, s * 0.6, 0);
-    specGrad.addColorStop(0, 'rgba(255,255,255,0)');
-    specGrad.addColorStop(0.5, 'rgba(255,255,255,0.3)');
-    specGrad.addColorStop(1, 'rgba(255,255,255,0)');
-    ctx.fillStyle = specGrad;
-    ctx.fillRect(0, 0, s, s);
-  });
+  }
+  ctx.putImageData(image, 0, 0);
 }
 
+// ─── Generators ─────────────────────────────────────────────────
+// draw(ctx, size, params, rand) paints the color map. Sizes are written
+// for 256px and scaled, so resolution only changes the detail.
+// surface (optional) derives the normal and roughness maps from the
+// color map's brightness (bright = raised): depth scales the normals,
+// roughness is how much smoother raised areas are (roughnessMap value).
+
+export const GENERATORS = {
+  wood: {
+    label: 'Wood',
+    surface: { depth: 1.5, roughness: 0.3 },
+    params: {
+      baseColor: color('Base Color', '#6b3a2a'),
+      grainColor: color('Grain Color', '#5a371e'),
+      grainDensity: number('Grain Density', 5, 80, 1, 25),
+      waviness: number('Waviness', 0, 10, 0.1, 3),
+      knotCount: number('Knots', 0, 8, 1, 1)
+    },
+    draw(ctx, s, p, rand) {
+      const k = s / 256;
+      const base = toRGB(p.baseColor);
+      const grain = toRGB(p.grainColor);
+      const light = mixRGB(base, [255, 255, 255], 0.12);
+      ctx.fillStyle = p.baseColor;
+      ctx.fillRect(0, 0, s, s);
+
+      // Wood grain lines
+      const spacing = s / p.grainDensity;
+      for (let y = 0; y < s; y += spacing * (0.6 + rand() * 0.8)) {
+        ctx.strokeStyle = rand() > 0.5
+          ? rgba(grain, 0.3 + rand() * 0.4)
+          : rgba(light, 0.2 + rand() * 0.3);
+        ctx.lineWidth = (1 + rand() * 3) * k;
+        const phase = rand() * Math.PI * 2;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        for (let x = 0; x <= s; x += 20 * k) {
+          ctx.lineTo(x, y + Math.sin(x / s * Math.PI * 4 + phase) * p.waviness * k + (rand() - 0.5) * 2 * k);
+        }
+        ctx.stroke();
+      }
+
+      // Wood knots
+      const dark = mixRGB(grain, [0, 0, 0], 0.4);
+      for (let i = 0; i < p.knotCount; i++) {
+        const kx = rand() * s, ky = rand() * s;
+        const size = (0.7 + rand() * 0.6) * k;
+        const angle = (rand() - 0.5) * 0.6;
+        ctx.fillStyle = rgba(dark, 0.7);
+        ctx.beginPath();
+        ctx.ellipse(kx, ky, 12 * size, 8 * size, angle, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = rgba(grain, 0.6);
+        ctx.beginPath();
+        ctx.ellipse(kx, ky, 6 * size, 4 * size, angle, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  },
+
+  metal: {
+    label: 'Brushed Metal',
+    surface: { depth: 0.6, roughness: 0.4 },
+    params: {
+      baseColor: color('Base Color', '#a8a8a8'),
+      brushDirection: number('Brush Direction (°)', 0, 180, 1, 0),
+      brushStrength: number('Brush Strength', 0, 1, 0.01, 0.15),
+      highlight: number('Highlight', 0, 1, 0.01, 0.3)
+    },
+    draw(ctx, s, p, rand) {
+      const base = toRGB(p.baseColor);
+      ctx.save();
+      // Rotate about the center; draw over the diagonal so corners are covered
+      ctx.translate(s / 2, s / 2);
+      ctx.rotate(THREE.MathUtils.degToRad(p.brushDirection));
+      const r = s * Math.SQRT2 / 2;
+
+      // Brushed metal gradient across the strokes
+      const grad = ctx.createLinearGradient(-r, 0, r, 0);
+      grad.addColorStop(0, rgba(mixRGB(base, [0, 0, 0], 0.45), 1));
+      grad.addColorStop(0.3, rgba(base, 1));
+      grad.addColorStop(0.5, rgba(mixRGB(base, [255, 255, 255], 0.15), 1));
+      grad.addColorStop(0.7, rgba(mixRGB(base, [0, 0, 0], 0.15), 1));
+      grad.addColorStop(1, rgba(mixRGB(base, [0, 0, 0], 0.35), 1));
+      ctx.fillStyle = grad;
+      ctx.fillRect(-r, -r, r * 2, r * 2);
+
+      // Brush strokes
+      const step = Math.max(1, s / 128);
+      ctx.lineWidth = step / 2;
+      for (let y = -r; y < r; y += step) {
+        const shade = 180 + rand() * 40;
+        ctx.strokeStyle = rgba([shade, shade, shade], p.brushStrength);
+        ctx.beginPath();
+        ctx.moveTo(-r, y);
+        ctx.lineTo(r, y);
+        ctx.stroke();
+      }
+
+      // Specular highlight
+      const specGrad = ctx.createLinearGradient(-r * 0.2, 0, r * 0.2, 0);
+      specGrad.addColorStop(0, 'rgba(255,255,255,0)');
+      specGrad.addColorStop(0.5, `rgba(255,255,255,${p.highlight})`);
+      specGrad.addColorStop(1, 'rgba(255,255,255,0)');
+      ctx.fillStyle = specGrad;
+      ctx.fillRect(-r, -r, r * 2, r * 2);
+      ctx.restore();
+    }
+  },
+
+  glass: {
+    label: 'Glass',
+    params: {
+      centerColor: color('Center Tint', '#dcf0ff'),
+      edgeColor: color('Edge Tint', '#b4d2eb')
+    },
+    draw(ctx, s, p) {
+      const grad = ctx.createRadialGradient(s / 2, s / 2, 0, s / 2, s / 2, s / 2);
+      grad.addColorStop(0, rgba(toRGB(p.centerColor), 0.9));
+      grad.addColorStop(1, rgba(toRGB(p.edgeColor), 0.7));
+      ctx.fillStyle = grad;
+      ctx.fillRect(0, 0, s, s);
+    }
+  },
+
+  plastic: {
+    label: 'Plastic',
+    surface: { depth: 0.5, roughness: 0.1 },
+    params: {
+      baseColor: color('Base Color', '#e8e8e8'),
+      speckles: number('Speckles', 0, 2000, 10, 100),
+      speckleStrength: number('Speckle Strength', 0, 1, 0.01, 0.1)
+    },
+    draw(ctx, s, p, rand) {
+      const k = s / 256;
+      ctx.fillStyle = p.baseColor;
+      ctx.fillRect(0, 0, s, s);
+
+      // Subtle texture (noise)
+      const speck = mixRGB(toRGB(p.baseColor), [0, 0, 0], 0.15);
+      for (let i = 0; i < p.speckles; i++) {
+        ctx.fillStyle = rgba(speck, rand() * p.speckleStrength);
+        ctx.fillRect(rand() * s, rand() * s, 2 * k, 2 * k);
+      }
+    }
+  },
+
+  marble: {
+    label: 'Marble',
+    surface: { depth: 0.3, roughness: 0.25 },
+    params: {
+      baseColor: color('Base Color', '#eeeae4'),
+      veinColor: color('Vein Color', '#6e6a66'),
+      veinScale: number('Vein Scale', 1, 10, 1, 3),
+      turbulence: number('Turbulence', 0, 10, 0.1, 5),
+      sharpness: number('Vein Sharpness', 1, 16, 0.5, 6)
+    },
+    draw(ctx, s, p, rand) {
+      const noise = createNoise(rand, 4);
+      const base = toRGB(p.baseColor);
+      const vein = toRGB(p.veinColor);
+      shadePixels(ctx, s, (u, v) => {
+        const n = noise(u, v, 6);
+        // Whole-number stripe counts keep the veins continuous across the seam
+        const stripe = Math.abs(Math.sin((u + v + p.turbulence * (n - 0.5) * 0.25) * Math.PI * p.veinScale));
+        const t = Math.pow(1 - stripe, p.sharpness);
+        return mixRGB(mixRGB(base, vein, (n - 0.5) * 0.2 + 0.05), vein, t);
+      });
+    }
+  },
+
+  carbonFiber: {
+    label: 'Carbon Fiber',
+    surface: { depth: 3, roughness: 0.3 },
+    params: {
+      colorA: color('Tow Color', '#1c1c1e'),
+      colorB: color('Highlight Color', '#4a4a50'),
+      weaveCount: number('Weave Count', 4, 64, 4, 16),
+      sheen: number('Sheen', 0, 1, 0.01, 0.6)
+    },
+    draw(ctx, s, p, rand) {
+      const a = toRGB(p.colorA);
+      const b = toRGB(p.colorB);
+      const n = p.weaveCount;
+      const noise = createNoise(rand, n * 2);
+      shadePixels(ctx, s, (u, v) => {
+        const x = u * n, y = v * n;
+        const i = Math.floor(x), j = Math.floor(y);
+        // 2×2 twill: tows alternate direction along the diagonal
+        const horizontal = ((i + j) % 4 + 4) % 4 < 2;
+        const across = horizontal ? y - j : x - i;
+        const along = horizontal ? x - i : y - j;
+        const bulge = Math.sin(across * Math.PI);
+        const fibers = 0.85 + 0.15 * noise(horizontal ? u : v * 3, horizontal ? v * 3 : u, 2);
+        const t = Math.min(1, bulge * p.sheen * fibers * (horizontal ? 1 : 0.6) + along * 0.05);
+        return mixRGB(a, b, t);
+      });
+    }
+  },
+
+  fabric: {
+    label: 'Fabric',
+    surface: { depth: 0.8, roughness: 0.15 },
+    params: {
+      warpColor: color('Warp Color', '#3b5b8c'),
+      weftColor: color('Weft Color', '#2f4a73'),
+      threadCount: number('Thread Count', 8, 256, 2, 64),
+      fuzz: number('Fuzz', 0, 1, 0.01, 0.3)
+    },
+    draw(ctx, s, p, rand) {
+      const warp = toRGB(p.warpColor);
+      const weft = toRGB(p.weftColor);
+      const n = p.threadCount;
+      const noise = createNoise(rand, 32);
+      shadePixels(ctx, s, (u, v) => {
+        const x = u * n, y = v * n;
+        const i = Math.floor(x), j = Math.floor(y);
+        // Plain weave: warp over weft on alternating cells
+        const warpOver = (i + j) % 2 === 0;
+        const across = warpOver ? x - i : y - j;
+        const shade = 0.65 + 0.35 * Math.sin(across * Math.PI);
+        const fuzz = 1 + (noise(u, v, 5) - 0.5) * p.fuzz;
+        const c = warpOver ? warp : weft;
+        return [c[0] * shade * fuzz, c[1] * shade * fuzz, c[2] * shade * fuzz];
+      });
+    }
+  },
+
+  concrete: {
+    label: 'Concrete',
+    surface: { depth: 3, roughness: 0.3 },
+    params: {
+      baseColor: color('Base Color', '#9a9893'),
+      aggregate: number('Aggregate', 0, 1, 0.01, 0.4),
+      stains: number('Stains', 0, 1, 0.01, 0.3),
+      pores: number('Pores', 0, 1, 0.01, 0.3)
+    },
+    draw(ctx, s, p, rand) {
+      const k = s / 256;
+      const base = toRGB(p.baseColor);
+      const stain = createNoise(rand, 3);
+      const grit = createNoise(rand, 64);
+      shadePixels(ctx, s, (u, v) => {
+        const blotch = (stain(u, v, 5) - 0.5) * p.stains * 0.6;
+        const fine = (grit(u, v, 3) - 0.5) * 0.15;
+        const f = 1 + blotch + fine;
+        return [base[0] * f, base[1] * f, base[2] * f];
+      });
+
+      // Aggregate stones and air pores
+      for (let i = 0; i < p.aggregate * 1500; i++) {
+        const shade = rand() > 0.5 ? mixRGB(base, [255, 255, 255], 0.25) : mixRGB(base, [0, 0, 0], 0.2);
+        ctx.fillStyle = rgba(shade, 0.35 + rand() * 0.4);
+        ctx.beginPath();
+        ctx.arc(rand() * s, rand() * s, (0.5 + rand() * 1.5) * k, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      for (let i = 0; i < p.pores * 400; i++) {
+        ctx.fillStyle = rgba(mixRGB(base, [0, 0, 0], 0.55), 0.6);
+        ctx.beginPath();
+        ctx.arc(rand() * s, rand() * s, (0.4 + rand()) * k, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  },
+
+  leather: {
+    label: 'Leather',
+    surface: { depth: 2.5, roughness: 0.4 },
+    params: {
+      baseColor: color('Base Color', '#5b3220'),
+      grainScale: number('Grain Scale', 4, 96, 1, 32),
+      creases: number('Creases', 0, 1, 0.01, 0.5),
+      variation: number('Color Variation', 0, 1, 0.01, 0.3)
+    },
+    draw(ctx, s, p, rand) {
+      const base = toRGB(p.baseColor);
+      const cells = createCells(rand, Math.round(p.grainScale));
+      const tone = createNoise(rand, 4);
+      shadePixels(ctx, s, (u, v) => {
+        const [f1, f2] = cells(u, v);
+        // Grooves where two cells meet
+        const groove = 1 - Math.min(1, (f2 - f1) * 4);
+        const f = 1 + (tone(u, v, 4) - 0.5) * p.variation - groove * p.creases * 0.45 + f1 * 0.08;
+        return [base[0] * f, base[1] * f, base[2] * f];
+      });
+    }
+  }
+};
+
 /**
- * Create procedural glass texture
- * Features: radial gradient with light blue tint
+ * A generator's parameters with defaults filled in. Numbers are clamped to
+ * their spec's range (a negative density or a huge count would never finish
+ * drawing) and anything unusable falls back to the default.
+ * @param {string} type - Key of GENERATORS
+ * @param {Object} params - Any subset of the parameters
  */
-export function createGlassTexture() {
-  return createTextureFromCanvas((ctx, s) => {
-    const grad = ctx.createRadialGradient(s/2, s/2, 0, s/2, s/2, s/2);
-    grad.addColorStop(0, 'rgba(220, 240, 255, 0.9)');
-    grad.addColorStop(1, 'rgba(180, 210, 235, 0.7)');
-    ctx.fillStyle = grad;
-    ctx.fillRect(0, 0, s, s);
+export function resolveGeneratorParams(type, params = {}) {
+  const specs = { ...COMMON_PARAMS, ...GENERATORS[type].params };
+  const resolved = {};
+  Object.entries(specs).forEach(([key, spec]) => {
+    resolved[key] = resolveParam(spec, params[key]);
   });
+  return resolved;
+}
+
+function resolveParam(spec, value) {
+  if (spec.type === 'number') {
+    const n = Number(value);
+    return value === null || value === undefined || value === '' || !Number.isFinite(n)
+      ? spec.default
+      : Math.min(spec.max, Math.max(spec.min, n));
+  }
+  if (spec.type === 'select') {
+    return spec.options.find(option => String(option) === String(value)) ?? spec.default;
+  }
+  return typeof value === 'string' && value ? value : spec.default;
+}
+
+/**
+ * Parameter specs for building UI controls (seed and resolution first)
+ */
+export function getGeneratorParamSpecs(type) {
+  return { ...COMMON_PARAMS, ...GENERATORS[type].params };
+}
+
+// ─── Surface maps ───────────────────────────────────────────────
+
+function createCanvas(size) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  return canvas;
+}
+
+// Brightness of the color map, 0-1
+function readHeight(canvas) {
+  const s = canvas.width;
+  const d = canvas.getContext('2d').getImageData(0, 0, s, s).data;
+  const height = new Float32Array(s * s);
+  for (let i = 0; i < height.length; i++) {
+    height[i] = (d[i * 4] * 0.2126 + d[i * 4 + 1] * 0.7152 + d[i * 4 + 2] * 0.0722) / 255;
+  }
+  return height;
 }
 
 /**
- * Create procedural plastic texture
- * Features: smooth light gray base with subtle noise
+ * Tangent-space normal map from a height field (Sobel, wrapping at the edges)
  */
-export function createPlasticTexture() {
-  return createTextureFromCanvas((ctx, s) => {
-    // Smooth base
-    ctx.fillStyle = '#e8e8e8';
-    ctx.fillRect(0, 0, s, s);
-    
-    // Subtle texture (noise)
-    for (let i = 0; i < 100; i++) {
-      ctx.fillStyle = `rgba(200, 200, 200, ${Math.random() * 0.1})`;
-      ctx.fillRect(Math.random() * s, Math.random() * s, 2, 2);
+function drawNormalMap(height, s, depth) {
+  const canvas = createCanvas(s);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(s, s);
+  const d = image.data;
+  const h = (x, y) => height[((y + s) % s) * s + ((x + s) % s)];
+  // Slopes are per pixel, so scale with resolution to keep the look
+  const k = depth * s / 32;
+
+  for (let y = 0; y < s; y++) {
+    for (let x = 0; x < s; x++) {
+      const dx = (h(x + 1, y - 1) + 2 * h(x + 1, y) + h(x + 1, y + 1)) - (h(x - 1, y - 1) + 2 * h(x - 1, y) + h(x - 1, y + 1));
+      const dy = (h(x - 1, y + 1) + 2 * h(x, y + 1) + h(x + 1, y + 1)) - (h(x - 1, y - 1) + 2 * h(x, y - 1) + h(x + 1, y - 1));
+      // Canvas rows run down while V runs up, hence +dy
+      const nx = -dx * k / 8, ny = dy * k / 8;
+      const len = Math.sqrt(nx * nx + ny * ny + 1);
+      const i = (y * s + x) * 4;
+      d[i] = (nx / len * 0.5 + 0.5) * 255;
+      d[i + 1] = (ny / len * 0.5 + 0.5) * 255;
+      d[i + 2] = (1 / len * 0.5 + 0.5) * 255;
+      d[i + 3] = 255;
     }
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Roughness multiplier (read from G by three.js): raised areas smoother
+ */
+function drawRoughnessMap(height, s, amount) {
+  const canvas = createCanvas(s);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(s, s);
+  const d = image.data;
+  for (let i = 0; i < height.length; i++) {
+    const v = (1 - amount * height[i]) * 255;
+    d[i * 4] = d[i * 4 + 1] = d[i * 4 + 2] = v;
+    d[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Draw a procedural color map plus, for generators with a surface, the
+ * matching normal and roughness maps (all from the same seed)
+ * @param {string} type - Key of GENERATORS
+ * @param {Object} [params] - See resolveGeneratorParams()
+ * @returns {{map: THREE.CanvasTexture, normalMap: ?THREE.CanvasTexture, roughnessMap: ?THREE.CanvasTexture}}
+ */
+export function createProceduralMaps(type, params = {}) {
+  const generator = GENERATORS[type];
+  if (!generator) throw new Error(`Unknown texture generator: ${type}`);
+  const p = resolveGeneratorParams(type, params);
+  const s = p.resolution;
+
+  const canvas = createCanvas(s);
+  generator.draw(canvas.getContext('2d'), s, p, createRandom(p.seed));
+
+  const map = new THREE.CanvasTexture(canvas);
+  map.encoding = THREE[CONFIG.TEXTURE.ENCODING];
+  map.wrapS = map.wrapT = THREE.RepeatWrapping; // Generated UVs cross U = 1 at the seam
+  map.needsUpdate = true;
+
+  if (!generator.surface) return { map, normalMap: null, roughnessMap: null };
+
+  const height = readHeight(canvas);
+  const normalMap = new THREE.CanvasTexture(drawNormalMap(height, s, generator.surface.depth));
+  const roughnessMap = new THREE.CanvasTexture(drawRoughnessMap(height, s, generator.surface.roughness));
+  [normalMap, roughnessMap].forEach(tex => {
+    tex.colorSpace = THREE.NoColorSpace;
+    tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
+    tex.userData.procedural = true;
+    tex.needsUpdate = true;
   });
-}
\ No newline at end of file
+  return { map, normalMap, roughnessMap };
+}
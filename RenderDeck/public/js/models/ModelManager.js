@@ -2,13 +2,14 @@
 // MODELMANAGER.JS - Model Management System for RenderDeck
 // Handles adding, loading, and managing 3D models dynamically
 
-import { ModelVerifier } from './ModelVerifier.js';
+import { ModelVerifier, uriFileName } from './ModelVerifier.js';
+import { UNWRAP_METHODS, readOBJ, checkOBJUVs, unwrapOBJ, writeOBJWithUVs } from './UVUnwrap.js';
 import { CustomModelStorage } from '../storage/CustomModelStorage.js';
 import { MODEL_PATHS } from '../config.js';
 
 export class ModelManager {
   constructor(log) {
-    this.models = new Map(); // Store models: name -> {folder, obj, mtl, files}
+    this.models = new Map(); // Store models: name -> {folder, obj, mtl, gltf, files}
     this.verifier = new ModelVerifier();
     this.storage = new CustomModelStorage(log);
     this.nextModelId = 1;
@@ -35,6 +36,7 @@ export class ModelManager {
       folder: config.folder,
       obj: config.obj,
       mtl: config.mtl,
+      gltf: config.gltf || null,
       source: 'built-in'
     });
     return true;
@@ -42,9 +44,11 @@ export class ModelManager {
 
   // ─────────────────────────────────────────────
   // Add a model from uploaded files (drag & drop or file input)
+  // options.uvUnwrap: UNWRAP_METHODS key used when an OBJ has missing or
+  // degenerate UVs, or 'none' to load it as it is
   // Returns: { success: boolean, name: string, errors: [], warnings: [] }
   // ─────────────────────────────────────────────
-  async addModelFromFiles(files, customName = null) {
+  async addModelFromFiles(files, customName = null, { uvUnwrap = 'chart' } = {}) {
     const result = {
       success: false,
       name: null,
@@ -63,8 +67,11 @@ export class ModelManager {
       return result;
     }
 
+    const format = verification.metadata.format;
+    const mainFile = format === 'gltf' ? verification.files.gltf : verification.files.obj;
+
     // Generate a name for the model
-    const modelName = customName || this.generateModelName(verification.files.obj.name);
+    const modelName = customName || this.generateModelName(mainFile.name);
 
     // Check for duplicate names
     if (this.models.has(modelName)) {
@@ -75,10 +82,13 @@ export class ModelManager {
     // Store the model files
     const modelData = {
       type: 'uploaded',
+      format,
       name: modelName,
       files: {
         obj: verification.files.obj,
         mtl: verification.files.mtl,
+        gltf: verification.files.gltf,
+        buffers: verification.files.buffers,
         textures: verification.files.textures
       },
       metadata: verification.metadata,
@@ -88,7 +98,38 @@ export class ModelManager {
     };
 
     // Create object URLs for the files (so Three.js can load them)
-    modelData.objectURLs.obj = URL.createObjectURL(verification.files.obj);
+    if (format === 'gltf') {
+      // .gltf references its buffers/images by filename, so rewrite them;
+      // a .glb is self-contained and can be loaded as-is
+      if (verification.metadata.gltfInfo.container === 'gltf') {
+        const { url, resources } = await this.createGLTFWithBlobURLs(
+          verification.files.gltf,
+          [...verification.files.buffers, ...verification.files.textures]
+        );
+        modelData.objectURLs.gltf = url;
+        modelData.objectURLs.resources = resources;
+      } else {
+        modelData.objectURLs.gltf = URL.createObjectURL(verification.files.gltf);
+      }
+    } else {
+      // Generated UVs are written into a copy of the OBJ, which is what gets loaded.
+      // If generating them fails, the OBJ still loads with the UVs it has.
+      let generated = null;
+      if (uvUnwrap !== 'none') {
+        try {
+          generated = await this.createOBJWithGeneratedUVs(verification.files.obj, uvUnwrap);
+        } catch (error) {
+          result.warnings.push(`UV generation failed for ${verification.files.obj.name} ` +
+            `(${error.message}) — loading it without generated UVs`);
+        }
+      }
+      if (generated) {
+        modelData.generatedUVs = generated;
+        result.warnings.push(`${verification.files.obj.name} has ${generated.reason} UVs — ` +
+          `generated with ${UNWRAP_METHODS[generated.method]} (${generated.charts} chart${generated.charts === 1 ? '' : 's'})`);
+      }
+      modelData.objectURLs.obj = URL.createObjectURL(generated?.file || verification.files.obj);
+    }
     
     if (verification.files.mtl) {
       // Need to rewrite MTL content to use blob URLs for textures
@@ -109,11 +150,25 @@ export class ModelManager {
 
     result.success = true;
     result.name = modelName;
-    result.warnings = verification.warnings;
+    result.warnings.unshift(...verification.warnings);
 
     return result;
   }
 
+  // ─────────────────────────────────────────────
+  // Generate UVs for an OBJ whose own are missing or degenerate
+  // Returns: { file, method, reason, charts }, or null if its UVs are fine
+  // ─────────────────────────────────────────────
+  async createOBJWithGeneratedUVs(objFile, method) {
+    const obj = readOBJ(await this.readFileAsText(objFile));
+    const reason = checkOBJUVs(obj);
+    if (!reason) return null;
+
+    const unwrap = unwrapOBJ(obj, method);
+    const file = new File([writeOBJWithUVs(obj, unwrap, method)], objFile.name, { type: 'text/plain' });
+    return { file, method, reason, charts: unwrap.charts };
+  }
+
   // ─────────────────────────────────────────────
   // Create MTL with blob URLs for textures
   // ─────────────────────────────────────────────
@@ -145,6 +200,32 @@ export class ModelManager {
     return URL.createObjectURL(blob);
   }
 
+  // ─────────────────────────────────────────────
+  // Create glTF JSON with blob URLs for buffers and images
+  // Returns: { url, resources } (resources: filename -> blob URL)
+  // ─────────────────────────────────────────────
+  async createGLTFWithBlobURLs(gltfFile, resourceFiles) {
+    const json = JSON.parse(await this.readFileAsText(gltfFile));
+
+    // Create a map of resource names to blob URLs
+    const resourceMap = {};
+    resourceFiles.forEach(file => {
+      resourceMap[file.name] = URL.createObjectURL(file);
+    });
+
+    // Replace relative URIs with blob URLs (data: URIs are left alone)
+    const rewrite = (entry) => {
+      if (!entry.uri || entry.uri.startsWith('data:')) return;
+      const filename = uriFileName(entry.uri);
+      if (resourceMap[filename]) entry.uri = resourceMap[filename];
+    };
+    (json.buffers || []).forEach(rewrite);
+    (json.images || []).forEach(rewrite);
+
+    const blob = new Blob([JSON.stringify(json)], { type: 'model/gltf+json' });
+    return { url: URL.createObjectURL(blob), resources: resourceMap };
+  }
+
   // ─────────────────────────────────────────────
   // Get model data for loading
   // ─────────────────────────────────────────────
@@ -170,6 +251,13 @@ export class ModelManager {
     return await this.storage.saveCustomModel(name, customData);
   }
 
+  // ─────────────────────────────────────────────
+  // Persist camera bookmarks of a custom model
+  // ─────────────────────────────────────────────
+  async updateCameraBookmarks(name, bookmarks) {
+    return await this.storage.updateCameraBookmarks(name, bookmarks);
+  }
+
   // ─────────────────────────────────────────────
   // Get all model names by category
   // ─────────────────────────────────────────────
@@ -204,9 +292,13 @@ export class ModelManager {
     if (model.type === 'uploaded' && model.objectURLs) {
       if (model.objectURLs.obj) URL.revokeObjectURL(model.objectURLs.obj);
       if (model.objectURLs.mtl) URL.revokeObjectURL(model.objectURLs.mtl);
+      if (model.objectURLs.gltf) URL.revokeObjectURL(model.objectURLs.gltf);
       Object.values(model.objectURLs.textures || {}).forEach(url => {
         URL.revokeObjectURL(url);
       });
+      Object.values(model.objectURLs.resources || {}).forEach(url => {
+        URL.revokeObjectURL(url);
+      });
     }
 
     this.models.delete(name);
@@ -241,18 +333,23 @@ export class ModelManager {
         name,
         type: 'Built-in',
         source: model.source,
-        hasTextures: !!model.mtl
+        format: model.gltf ? 'gltf' : 'obj',
+        hasTextures: !!model.mtl || !!model.gltf
       };
     } else {
       return {
         name,
         type: 'User Upload',
         source: model.source,
+        format: model.format,
         uploadDate: model.uploadDate,
         hasTextures: model.files.textures.length > 0,
         textureCount: model.files.textures.length,
         vertexCount: model.metadata.objInfo?.vertexCount,
-        faceCount: model.metadata.objInfo?.faceCount
+        faceCount: model.metadata.objInfo?.faceCount,
+        generatedUVs: model.generatedUVs ? UNWRAP_METHODS[model.generatedUVs.method] : null,
+        meshCount: model.metadata.gltfInfo?.meshCount,
+        materialCount: model.metadata.gltfInfo?.materialCount
       };
     }
   }
@@ -264,9 +361,9 @@ export class ModelManager {
   // ─────────────────────────────────────────────
   // Generate a unique model name
   // ─────────────────────────────────────────────
-  generateModelName(objFilename) {
+  generateModelName(modelFilename) {
     // Remove extension and clean up
-    let baseName = objFilename.replace(/\.obj$/i, '').replace(/[^a-zA-Z0-9_-]/g, '_');
+    let baseName = modelFilename.replace(/\.(obj|gltf|glb)$/i, '').replace(/[^a-zA-Z0-9_-]/g, '_');
     
     // Ensure uniqueness
     let name = baseName;
@@ -310,16 +407,20 @@ export class ModelManager {
       // Traditional path-based loading
       return {
         type: 'path',
+        format: model.gltf ? 'gltf' : 'obj',
         basePath: `${MODEL_PATHS.BASE_PATH}${model.folder}/`,
         obj: model.obj,
-        mtl: model.mtl
+        mtl: model.mtl,
+        gltf: model.gltf
       };
     } else {
       // Blob URL-based loading for uploaded files
       return {
         type: 'blob',
+        format: model.format,
         obj: model.objectURLs.obj,
         mtl: model.objectURLs.mtl,
+        gltf: model.objectURLs.gltf,
         textures: model.objectURLs.textures
       };
     }
@@ -337,7 +438,8 @@ export class ModelManager {
           type: 'registry',
           folder: model.folder,
           obj: model.obj,
-          mtl: model.mtl
+          mtl: model.mtl,
+          gltf: model.gltf
         });
       }
       // Note: Uploaded models can't be exported (they're runtime only)
@@ -354,7 +456,8 @@ export class ModelManager {
         this.registerModel(item.name, {
           folder: item.folder,
           obj: item.obj,
-          mtl: item.mtl
+          mtl: item.mtl,
+          gltf: item.gltf
         });
       }
     });
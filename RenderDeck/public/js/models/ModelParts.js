@@ -0,0 +1,79 @@
+// MODELPARTS.JS - Selectable Material Parts
+// A part is one mesh, or one material group of a multi-material mesh
+// (an OBJ object with several `usemtl` blocks). Part keys are stable
+// across reloads of the same file, so they can be saved with custom models.
+
+/**
+ * Collect every material part of a loaded model
+ * @param {THREE.Object3D} object
+ * @returns {Array<{key: string, label: string, mesh: THREE.Mesh, materialIndex: number|null}>}
+ */
+export function collectParts(object) {
+  const parts = [];
+  if (!object) return parts;
+
+  let meshIndex = 0;
+  object.traverse((child) => {
+    if (!child.isMesh || child.userData.isDecal) return; // Decals follow their layer, not a part
+    const meshLabel = child.name || `Mesh ${meshIndex + 1}`;
+
+    if (Array.isArray(child.material)) {
+      child.material.forEach((material, i) => {
+        parts.push({
+          key: `${meshIndex}:${i}`,
+          label: `${meshLabel} / ${material?.name || `Group ${i + 1}`}`,
+          mesh: child,
+          materialIndex: i
+        });
+      });
+    } else {
+      parts.push({
+        key: `${meshIndex}`,
+        label: meshLabel,
+        mesh: child,
+        materialIndex: null
+      });
+    }
+    meshIndex++;
+  });
+
+  return parts;
+}
+
+/**
+ * The part the Design Editor paints into: the mesh itself, or its
+ * first material group on a multi-material mesh
+ * @param {THREE.Mesh} mesh
+ * @returns {{mesh: THREE.Mesh, materialIndex: number|null}|null}
+ */
+export function getDesignPart(mesh) {
+  if (!mesh) return null;
+  return { mesh, materialIndex: Array.isArray(mesh.material) ? 0 : null };
+}
+
+/**
+ * Get the material currently assigned to a part
+ * @param {Object} part - Entry from collectParts()
+ * @returns {THREE.Material|null}
+ */
+export function getPartMaterial(part) {
+  if (!part?.mesh) return null;
+  return part.materialIndex === null
+    ? part.mesh.material
+    : part.mesh.material[part.materialIndex];
+}
+
+/**
+ * Assign a material to a part without touching its siblings
+ * @param {Object} part - Entry from collectParts()
+ * @param {THREE.Material} material
+ */
+export function setPartMaterial(part, material) {
+  if (!part?.mesh) return;
+  if (part.materialIndex === null) {
+    part.mesh.material = material;
+  } else {
+    part.mesh.material[part.materialIndex] = material;
+  }
+  material.needsUpdate = true;
+}
@@ -1,6 +1,22 @@
 
 // VERIFIER.JS - Universal File Validation System
-// Standalone module for validating 3D model files (OBJ/MTL/textures)
+// Standalone module for validating 3D model files (OBJ/MTL/glTF/GLB/textures)
+
+/**
+ * File name a glTF buffer/image URI refers to. A malformed %-escape
+ * can't be decoded, so the raw URI is used as-is.
+ * @param {string} uri
+ * @returns {string}
+ */
+export function uriFileName(uri) {
+  let path = uri;
+  try {
+    path = decodeURIComponent(uri);
+  } catch (error) {
+    // Keep the raw URI
+  }
+  return path.split(/[/\\]/).pop();
+}
 
 export class ModelVerifier {
   constructor(config = {}) {
@@ -9,13 +25,27 @@ export class ModelVerifier {
       allowedExtensions: {
         model: ['.obj'],
         material: ['.mtl'],
-        texture: ['.png', '.jpg', '.jpeg', '.svg', '.webp', '.bmp', '.gif']
+        scene: ['.gltf', '.glb'],
+        buffer: ['.bin'],
+        texture: ['.png', '.jpg', '.jpeg', '.svg', '.webp', '.bmp', '.gif'],
+        environment: ['.hdr', '.exr'],
+        font: ['.ttf', '.otf', '.woff', '.woff2']
       },
       maxFileSize: {
         model: 50 * 1024 * 1024,      // 50MB for OBJ files
         material: 1 * 1024 * 1024,     // 1MB for MTL files
-        texture: 20 * 1024 * 1024      // 20MB for textures (increased!)
+        scene: 50 * 1024 * 1024,      // 50MB for glTF/GLB files
+        buffer: 50 * 1024 * 1024,     // 50MB for .bin buffers
+        texture: 20 * 1024 * 1024,     // 20MB for textures (increased!)
+        environment: 100 * 1024 * 1024, // 100MB for HDR/EXR environments
+        font: 10 * 1024 * 1024         // 10MB for text layer fonts
       },
+      // glTF extensions that need an extra decoder RenderDeck doesn't ship
+      unsupportedGLTFExtensions: [
+        'KHR_draco_mesh_compression',
+        'EXT_meshopt_compression',
+        'KHR_texture_basisu'
+      ],
       maxImageDimension: 8192,  // Warn if image is larger than this
       allowAbsolutePaths: false // In MTL files
     };
@@ -38,6 +68,8 @@ export class ModelVerifier {
       files: {
         obj: null,
         mtl: null,
+        gltf: null,
+        buffers: [],
         textures: []
       },
       metadata: {}
@@ -55,6 +87,8 @@ export class ModelVerifier {
     // Separate files by type
     const objFiles = [];
     const mtlFiles = [];
+    const sceneFiles = [];
+    const bufferFiles = [];
     const textureFiles = [];
 
     fileArray.forEach(file => {
@@ -64,44 +98,61 @@ export class ModelVerifier {
         objFiles.push(file);
       } else if (this.config.allowedExtensions.material.includes(ext)) {
         mtlFiles.push(file);
+      } else if (this.config.allowedExtensions.scene?.includes(ext)) {
+        sceneFiles.push(file);
+      } else if (this.config.allowedExtensions.buffer?.includes(ext)) {
+        bufferFiles.push(file);
       } else if (this.config.allowedExtensions.texture.includes(ext)) {
         textureFiles.push(file);
       }
     });
 
-    // Validate OBJ (required)
-    if (objFiles.length === 0) {
-      results.valid = false;
-      results.errors.push('No OBJ file found');
-    } else if (objFiles.length > 1) {
+    // One model format per upload
+    if (objFiles.length > 0 && sceneFiles.length > 0) {
       results.valid = false;
-      results.errors.push(`Multiple OBJ files found (${objFiles.length}). Please provide only one.`);
+      results.errors.push('Both OBJ and glTF files found. Please provide only one model format.');
+      return results;
+    }
+
+    results.metadata.format = sceneFiles.length > 0 ? 'gltf' : 'obj';
+
+    if (results.metadata.format === 'gltf') {
+      await this.verifyGLTFSet(sceneFiles, bufferFiles, results);
     } else {
-      const objValidation = await this.validateOBJFile(objFiles[0]);
-      if (objValidation.valid) {
-        results.files.obj = objFiles[0];
-        results.metadata.objInfo = objValidation.metadata;
-      } else {
+      // Validate OBJ (required)
+      if (objFiles.length === 0) {
+        results.valid = false;
+        results.errors.push('No OBJ or glTF/GLB file found');
+      } else if (objFiles.length > 1) {
         results.valid = false;
-        results.errors.push(...objValidation.errors);
+        results.errors.push(`Multiple OBJ files found (${objFiles.length}). Please provide only one.`);
+      } else {
+        const objValidation = await this.validateOBJFile(objFiles[0]);
+        if (objValidation.valid) {
+          results.files.obj = objFiles[0];
+          results.metadata.objInfo = objValidation.metadata;
+        } else {
+          results.valid = false;
+          results.errors.push(...objValidation.errors);
+        }
+        results.warnings.push(...objValidation.warnings);
       }
-      results.warnings.push(...objValidation.warnings);
-    }
 
-    // Validate MTL (optional)
-    if (mtlFiles.length > 1) {
-      results.warnings.push(`Multiple MTL files found (${mtlFiles.length}). Using: ${mtlFiles[0].name}`);
-    }
-    
-    if (mtlFiles.length > 0) {
-      const mtlValidation = await this.validateMTLFile(mtlFiles[0]);
-      if (mtlValidation.valid) {
-        results.files.mtl = mtlFiles[0];
-        results.metadata.mtlInfo = mtlValidation.metadata;
-      } else {
-        results.warnings.push(...mtlValidation.errors); // MTL errors are warnings
+      // Validate MTL (optional)
+      if (mtlFiles.length > 1) {
+        results.warnings.push(`Multiple MTL files found (${mtlFiles.length}). Using: ${mtlFiles[0].name}`);
+      }
+      
+      if (mtlFiles.length > 0) {
+        const mtlValidation = await this.validateMTLFile(mtlFiles[0]);
+        if (mtlValidation.valid) {
+          results.files.mtl = mtlFiles[0];
+          results.metadata.mtlInfo = mtlValidation.metadata;
+        } else {
+          results.warnings.push(...mtlValidation.errors); // MTL errors are warnings
+        }
+        results.warnings.push(...mtlValidation.warnings);
       }
-      results.warnings.push(...mtlValidation.warnings);
     }
 
     // Validate textures (optional)
@@ -127,6 +178,24 @@ export class ModelVerifier {
       });
     }
 
+    // Cross-validation: glTF external buffers are required, images are not
+    if (results.files.gltf && results.metadata.gltfInfo) {
+      const providedBufferNames = results.files.buffers.map(f => f.name);
+      const providedTextureNames = results.files.textures.map(f => f.name);
+
+      results.metadata.gltfInfo.externalBuffers.forEach(ref => {
+        if (!providedBufferNames.includes(ref)) {
+          results.valid = false;
+          results.errors.push(`glTF references buffer "${ref}" which was not provided`);
+        }
+      });
+      results.metadata.gltfInfo.externalImages.forEach(ref => {
+        if (!providedTextureNames.includes(ref)) {
+          results.warnings.push(`glTF references texture "${ref}" which was not provided`);
+        }
+      });
+    }
+
     return results;
   }
 
@@ -163,11 +232,13 @@ export class ModelVerifier {
       // Count vertices and faces
       const vertexCount = (content.match(/^v\s/gm) || []).length;
       const faceCount = (content.match(/^f\s/gm) || []).length;
+      const texCoordCount = (content.match(/^vt\s/gm) || []).length;
       const mtlReference = content.match(/^mtllib\s+(.+)$/m);
 
       result.metadata = {
         vertexCount,
         faceCount,
+        texCoordCount,
         mtlFile: mtlReference ? mtlReference[1].trim() : null
       };
 
@@ -195,6 +266,133 @@ export class ModelVerifier {
     return result;
   }
 
+  // ─────────────────────────────────────────────
+  // Validate the glTF side of an upload (scene + buffers)
+  // Fills results.files.gltf / .buffers and metadata.gltfInfo
+  // ─────────────────────────────────────────────
+  async verifyGLTFSet(sceneFiles, bufferFiles, results) {
+    if (sceneFiles.length > 1) {
+      results.valid = false;
+      results.errors.push(`Multiple glTF/GLB files found (${sceneFiles.length}). Please provide only one.`);
+      return;
+    }
+
+    const gltfValidation = await this.validateGLTFFile(sceneFiles[0]);
+    if (gltfValidation.valid) {
+      results.files.gltf = sceneFiles[0];
+      results.metadata.gltfInfo = gltfValidation.metadata;
+    } else {
+      results.valid = false;
+      results.errors.push(...gltfValidation.errors);
+    }
+    results.warnings.push(...gltfValidation.warnings);
+
+    for (const bufferFile of bufferFiles) {
+      if (bufferFile.size > this.config.maxFileSize.buffer) {
+        results.warnings.push(`Buffer ${bufferFile.name}: File too large: ${this.formatBytes(bufferFile.size)}. Max: ${this.formatBytes(this.config.maxFileSize.buffer)}`);
+        continue;
+      }
+      results.files.buffers.push(bufferFile);
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Validate a single glTF (.gltf JSON) or GLB (binary) file
+  // ─────────────────────────────────────────────
+  async validateGLTFFile(file) {
+    const result = {
+      valid: true,
+      errors: [],
+      warnings: [],
+      metadata: {}
+    };
+
+    // Check extension
+    const ext = this.getFileExtension(file.name);
+    if (!this.config.allowedExtensions.scene.includes(ext)) {
+      result.valid = false;
+      result.errors.push(`Invalid file extension: ${ext}. Expected: ${this.config.allowedExtensions.scene.join(', ')}`);
+      return result;
+    }
+
+    // Check file size
+    if (file.size > this.config.maxFileSize.scene) {
+      result.valid = false;
+      result.errors.push(`File too large: ${this.formatBytes(file.size)}. Max: ${this.formatBytes(this.config.maxFileSize.scene)}`);
+      return result;
+    }
+
+    // Read the JSON document (GLB keeps it in the first chunk)
+    let json;
+    try {
+      if (ext === '.glb') {
+        json = this.parseGLBHeader(await this.readFileAsArrayBuffer(file));
+      } else {
+        json = JSON.parse(await this.readFileAsText(file));
+      }
+    } catch (error) {
+      result.valid = false;
+      result.errors.push(`Failed to read ${ext === '.glb' ? 'GLB' : 'glTF'} file: ${error.message}`);
+      return result;
+    }
+
+    const version = String(json.asset?.version || '');
+    if (!version.startsWith('2')) {
+      result.valid = false;
+      result.errors.push(`Unsupported glTF version "${version || 'unknown'}". Only glTF 2.0 is supported.`);
+      return result;
+    }
+
+    const meshCount = json.meshes?.length || 0;
+    if (meshCount === 0) {
+      result.valid = false;
+      result.errors.push('glTF file contains no meshes');
+    }
+
+    const required = json.extensionsRequired || [];
+    required
+      .filter(name => this.config.unsupportedGLTFExtensions.includes(name))
+      .forEach(name => {
+        result.valid = false;
+        result.errors.push(`glTF requires extension ${name}, which RenderDeck cannot decode`);
+      });
+
+    // External (non data-URI) resources must be uploaded alongside a .gltf
+    const isExternal = (uri) => uri && !uri.startsWith('data:');
+
+    result.metadata = {
+      container: ext === '.glb' ? 'glb' : 'gltf',
+      meshCount,
+      materialCount: json.materials?.length || 0,
+      extensionsUsed: json.extensionsUsed || [],
+      externalBuffers: (json.buffers || []).map(b => b.uri).filter(isExternal).map(uriFileName),
+      externalImages: (json.images || []).map(i => i.uri).filter(isExternal).map(uriFileName)
+    };
+
+    return result;
+  }
+
+  // ─────────────────────────────────────────────
+  // Helper: Parse the GLB header and return its JSON chunk
+  // ─────────────────────────────────────────────
+  parseGLBHeader(buffer) {
+    const GLB_MAGIC = 0x46546C67;      // 'glTF'
+    const CHUNK_TYPE_JSON = 0x4E4F534A; // 'JSON'
+
+    if (buffer.byteLength < 20) throw new Error('File is too small to be a GLB');
+
+    const view = new DataView(buffer);
+    if (view.getUint32(0, true) !== GLB_MAGIC) throw new Error('Missing GLB magic header');
+    if (view.getUint32(4, true) !== 2) throw new Error(`Unsupported GLB container version ${view.getUint32(4, true)}`);
+    if (view.getUint32(8, true) > buffer.byteLength) throw new Error('GLB is truncated');
+
+    const chunkLength = view.getUint32(12, true);
+    if (view.getUint32(16, true) !== CHUNK_TYPE_JSON) throw new Error('First GLB chunk is not JSON');
+
+    const text = new TextDecoder().decode(new Uint8Array(buffer, 20, chunkLength));
+    return JSON.parse(text);
+  }
+
   // ─────────────────────────────────────────────
   // Validate a single MTL file
   // ─────────────────────────────────────────────
@@ -320,6 +518,142 @@ export class ModelVerifier {
     return result;
   }
 
+  // ─────────────────────────────────────────────
+  // Validate an HDR environment (Radiance .hdr or OpenEXR .exr)
+  // ─────────────────────────────────────────────
+  async validateEnvironmentFile(file) {
+    const result = {
+      valid: true,
+      errors: [],
+      warnings: [],
+      metadata: {}
+    };
+
+    // Check extension
+    const ext = this.getFileExtension(file.name);
+    if (!this.config.allowedExtensions.environment.includes(ext)) {
+      result.valid = false;
+      result.errors.push(`Invalid file extension: ${ext}. Expected: ${this.config.allowedExtensions.environment.join(', ')}`);
+      return result;
+    }
+
+    // Check file size
+    if (file.size > this.config.maxFileSize.environment) {
+      result.valid = false;
+      result.errors.push(`File too large: ${this.formatBytes(file.size)}. Max: ${this.formatBytes(this.config.maxFileSize.environment)}`);
+      return result;
+    }
+
+    // The header is enough to tell the format and size; the loader decodes the rest
+    try {
+      const header = new Uint8Array(await this.readFileAsArrayBuffer(file.slice(0, 64 * 1024)));
+      const info = ext === '.exr' ? this.parseEXRHeader(header) : this.parseRadianceHeader(header);
+      result.metadata = { format: ext.slice(1), ...info, size: file.size };
+
+      if (info.width && info.width !== info.height * 2) {
+        result.warnings.push(`Not a 2:1 equirectangular image (${info.width}×${info.height}). Lighting may look stretched.`);
+      }
+      if (info.width > this.config.maxImageDimension) {
+        result.warnings.push(`Large environment (${info.width}×${info.height}). May be slow to load.`);
+      }
+    } catch (error) {
+      result.valid = false;
+      result.errors.push(`Not a valid ${ext === '.exr' ? 'OpenEXR' : 'Radiance HDR'} file: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  // ─────────────────────────────────────────────
+  // Validate a font for text layers (TrueType/OpenType/WOFF/WOFF2)
+  // ─────────────────────────────────────────────
+  async validateFontFile(file) {
+    const result = {
+      valid: true,
+      errors: [],
+      warnings: [],
+      metadata: {}
+    };
+
+    // Check extension
+    const ext = this.getFileExtension(file.name);
+    if (!this.config.allowedExtensions.font.includes(ext)) {
+      result.valid = false;
+      result.errors.push(`Invalid file extension: ${ext}. Expected: ${this.config.allowedExtensions.font.join(', ')}`);
+      return result;
+    }
+
+    // Check file size
+    if (file.size > this.config.maxFileSize.font) {
+      result.valid = false;
+      result.errors.push(`File too large: ${this.formatBytes(file.size)}. Max: ${this.formatBytes(this.config.maxFileSize.font)}`);
+      return result;
+    }
+
+    // The first four bytes name the container, whatever the extension says
+    try {
+      const bytes = new Uint8Array(await this.readFileAsArrayBuffer(file.slice(0, 4)));
+      const tag = String.fromCharCode(...bytes);
+      const formats = { '\0\x01\0\0': 'truetype', 'true': 'truetype', 'OTTO': 'opentype', 'wOFF': 'woff', 'wOF2': 'woff2' };
+      if (!formats[tag]) throw new Error('Unrecognized font signature');
+      result.metadata = { format: formats[tag], size: file.size };
+    } catch (error) {
+      result.valid = false;
+      result.errors.push(`Not a valid font file: ${error.message}`);
+    }
+
+    return result;
+  }
+
+  // ─────────────────────────────────────────────
+  // Helper: Read width/height from a Radiance (.hdr) header
+  // ─────────────────────────────────────────────
+  parseRadianceHeader(bytes) {
+    const text = new TextDecoder('latin1').decode(bytes);
+    if (!/^#\?(RADIANCE|RGBE)/.test(text)) throw new Error('Missing #?RADIANCE signature');
+    if (!/FORMAT=32-bit_rle_(rgbe|xyze)/.test(text)) throw new Error('Missing FORMAT line');
+
+    // Resolution line follows the blank line that ends the header, e.g. "-Y 1024 +X 2048"
+    const match = text.match(/\n\n([-+][XY]) (\d+) ([-+][XY]) (\d+)\n/);
+    if (!match) throw new Error('Missing resolution line');
+    const [, axis1, n1, , n2] = match;
+    return axis1.endsWith('Y')
+      ? { width: Number(n2), height: Number(n1) }
+      : { width: Number(n1), height: Number(n2) };
+  }
+
+  // ─────────────────────────────────────────────
+  // Helper: Read width/height from an OpenEXR header
+  // ─────────────────────────────────────────────
+  parseEXRHeader(bytes) {
+    const EXR_MAGIC = 20000630;
+    if (bytes.length < 8) throw new Error('File is too small to be an EXR');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(0, true) !== EXR_MAGIC) throw new Error('Missing EXR magic number');
+    if ((view.getUint32(4, true) & 0xff) !== 2) throw new Error(`Unsupported EXR version ${view.getUint8(4)}`);
+    if (view.getUint32(4, true) & 0x1000) throw new Error('Multi-part EXR files are not supported');
+
+    // Attributes: name\0 type\0 size(int32) value, until an empty name
+    const readString = (at) => {
+      let end = at;
+      while (end < bytes.length && bytes[end] !== 0) end++;
+      return [new TextDecoder('latin1').decode(bytes.subarray(at, end)), end + 1];
+    };
+    for (let at = 8; at < bytes.length;) {
+      const [name, afterName] = readString(at);
+      if (!name) break;
+      const [, afterType] = readString(afterName);
+      const size = view.getInt32(afterType, true);
+      if (name === 'dataWindow') {
+        const box = (i) => view.getInt32(afterType + 4 + i * 4, true);
+        return { width: box(2) - box(0) + 1, height: box(3) - box(1) + 1 };
+      }
+      at = afterType + 4 + size;
+    }
+    throw new Error('Missing dataWindow attribute');
+  }
+
   // ─────────────────────────────────────────────
   // Generate a human-readable report
   // ─────────────────────────────────────────────
@@ -339,9 +673,18 @@ export class ModelVerifier {
       if (verification.metadata.objInfo) {
         report += `     - Vertices: ${verification.metadata.objInfo.vertexCount.toLocaleString()}\n`;
         report += `     - Faces: ${verification.metadata.objInfo.faceCount.toLocaleString()}\n`;
+        const { texCoordCount } = verification.metadata.objInfo;
+        report += `     - UVs: ${texCoordCount ? texCoordCount.toLocaleString() : 'none'}\n`;
+      }
+    } else if (verification.files.gltf) {
+      report += `  ✅ ${verification.metadata.gltfInfo.container.toUpperCase()}: ${verification.files.gltf.name}\n`;
+      report += `     - Meshes: ${verification.metadata.gltfInfo.meshCount}\n`;
+      report += `     - Materials: ${verification.metadata.gltfInfo.materialCount}\n`;
+      if (verification.files.buffers.length > 0) {
+        report += `     - Buffers: ${verification.files.buffers.map(b => b.name).join(', ')}\n`;
       }
     } else {
-      report += '  ❌ OBJ: Not found\n';
+      report += '  ❌ Model: Not found\n';
     }
 
     if (verification.files.mtl) {
@@ -352,7 +695,7 @@ export class ModelVerifier {
           report += `     - References: ${verification.metadata.mtlInfo.referencedTextures.join(', ')}\n`;
         }
       }
-    } else {
+    } else if (verification.metadata.format !== 'gltf') {
       report += '  ⚠️  MTL: Not provided\n';
     }
 
@@ -404,6 +747,18 @@ export class ModelVerifier {
     });
   }
 
+  // ─────────────────────────────────────────────
+  // Helper: Read file as ArrayBuffer
+  // ─────────────────────────────────────────────
+  readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
   // ─────────────────────────────────────────────
   // Helper: Load image from file
   // ─────────────────────────────────────────────
@@ -0,0 +1,371 @@
+// UVUNWRAP.JS - Automatic UVs for uploaded OBJs
+// OBJs without usable texture coordinates (no `vt`, or UVs with no area)
+// give the Design Editor nothing to paint on. These generate UVs from the
+// geometry and write them back into the OBJ, so every later step (loading,
+// the UV layout, exports) sees an ordinary UV-mapped model.
+
+export const UNWRAP_METHODS = {
+  chart: 'Chart Unwrap',
+  box: 'Box',
+  cylindrical: 'Cylindrical',
+  spherical: 'Spherical'
+};
+
+const CHART_ANGLE_LIMIT = 66;   // degrees a face may turn from its chart's average normal
+const CHART_PADDING = 0.004;    // gap between charts, of the packed square
+const BOX_PADDING = 0.02;       // of each box-projection cell
+const DEGENERATE_SHARE = 0.5;   // faces without UV area above this share = degenerate UVs
+const MIN_UV_AREA = 1e-12;
+
+/**
+ * Parse the parts of an OBJ that UVs depend on
+ * @param {string} text - OBJ file contents
+ * @returns {{lines: string[], positions: number[], texCoords: number[], faces: Array<{line: number, v: number[], vt: number[]}>}}
+ *   positions: x y z per vertex; texCoords: u v per `vt`;
+ *   faces: 0-based vertex / texCoord index per corner (vt -1 when missing)
+ */
+export function readOBJ(text) {
+  const lines = text.split(/\r?\n/);
+  const positions = [];
+  const texCoords = [];
+  const faces = [];
+  // OBJ indices are 1-based, or negative counting back from the latest element
+  const resolve = (token, count) => {
+    const i = parseInt(token, 10);
+    if (!i) return -1;
+    return i > 0 ? i - 1 : count + i;
+  };
+
+  lines.forEach((raw, line) => {
+    const parts = raw.trim().split(/\s+/);
+    switch (parts[0]) {
+      case 'v':
+        positions.push(+parts[1] || 0, +parts[2] || 0, +parts[3] || 0);
+        break;
+      case 'vt':
+        texCoords.push(+parts[1] || 0, +parts[2] || 0);
+        break;
+      case 'f': {
+        const face = { line, v: [], vt: [] };
+        parts.slice(1).forEach(token => {
+          const [v, vt] = token.split('/');
+          face.v.push(resolve(v, positions.length / 3));
+          face.vt.push(vt ? resolve(vt, texCoords.length / 2) : -1);
+        });
+        if (face.v.length >= 3 && face.v.every(i => i >= 0 && i < positions.length / 3)) faces.push(face);
+        break;
+      }
+    }
+  });
+  return { lines, positions, texCoords, faces };
+}
+
+/**
+ * Whether an OBJ's UVs are usable
+ * @param {Object} obj - From readOBJ()
+ * @returns {'missing'|'degenerate'|null} null when the UVs are fine
+ */
+export function checkOBJUVs(obj) {
+  if (obj.texCoords.length === 0 || obj.faces.every(f => f.vt.includes(-1))) return 'missing';
+
+  const { texCoords: t } = obj;
+  let bad = 0;
+  obj.faces.forEach(face => {
+    if (face.vt.includes(-1)) {
+      bad++;
+      return;
+    }
+    let area = 0; // Shoelace
+    face.vt.forEach((a, i) => {
+      const b = face.vt[(i + 1) % face.vt.length];
+      area += t[a * 2] * t[b * 2 + 1] - t[b * 2] * t[a * 2 + 1];
+    });
+    if (Math.abs(area) < MIN_UV_AREA) bad++;
+  });
+  return bad > obj.faces.length * DEGENERATE_SHARE ? 'degenerate' : null;
+}
+
+// ─────────────────────────────────────────────
+// Geometry helpers
+// ─────────────────────────────────────────────
+const point = (positions, i) => [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => {
+  const l = length(a);
+  return l > 0 ? [a[0] / l, a[1] / l, a[2] / l] : [0, 0, 0];
+};
+
+// Newell's method: works for non-planar polygons; length = 2 × area
+function faceNormal(positions, face) {
+  const n = [0, 0, 0];
+  face.v.forEach((a, i) => {
+    const p = point(positions, a);
+    const q = point(positions, face.v[(i + 1) % face.v.length]);
+    n[0] += (p[1] - q[1]) * (p[2] + q[2]);
+    n[1] += (p[2] - q[2]) * (p[0] + q[0]);
+    n[2] += (p[0] - q[0]) * (p[1] + q[1]);
+  });
+  return n;
+}
+
+function bounds(positions) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      min[k] = Math.min(min[k], positions[i + k]);
+      max[k] = Math.max(max[k], positions[i + k]);
+    }
+  }
+  const size = sub(max, min);
+  return { min, max, size, center: [(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, (min[2] + max[2]) / 2] };
+}
+
+// Collects UVs, sharing one per key so islands stay connected
+function uvBuilder() {
+  const texCoords = [];
+  const keys = new Map();
+  return {
+    texCoords,
+    add(key, u, v) {
+      if (key !== null && keys.has(key)) return keys.get(key);
+      const index = texCoords.length / 2;
+      texCoords.push(u, v);
+      if (key !== null) keys.set(key, index);
+      return index;
+    }
+  };
+}
+
+// ─────────────────────────────────────────────
+// Projections
+// ─────────────────────────────────────────────
+
+// Each face goes to the cube side its normal points at; the six sides
+// are laid out in a 3 × 2 grid at one shared scale.
+function boxProject({ positions, faces }) {
+  const { min, max, size } = bounds(positions);
+  const extent = Math.max(size[0], size[1], size[2]) || 1;
+  const scale = (1 - 2 * BOX_PADDING) / 3 / extent;
+  // Side -> (a, b) in the side's plane, seen from outside with +Y (or -Z) up
+  const project = [
+    p => [max[2] - p[2], p[1] - min[1]], // +X
+    p => [p[2] - min[2], p[1] - min[1]], // -X
+    p => [p[0] - min[0], max[2] - p[2]], // +Y
+    p => [p[0] - min[0], p[2] - min[2]], // -Y
+    p => [p[0] - min[0], p[1] - min[1]], // +Z
+    p => [max[0] - p[0], p[1] - min[1]]  // -Z
+  ];
+
+  const uvs = uvBuilder();
+  const corners = faces.map(face => {
+    const n = faceNormal(positions, face);
+    const axis = [0, 1, 2].reduce((best, k) => Math.abs(n[k]) > Math.abs(n[best]) ? k : best, 2);
+    const side = axis * 2 + (n[axis] < 0 ? 1 : 0);
+    const col = side % 3, row = Math.floor(side / 3);
+    return face.v.map(i => {
+      const [a, b] = project[side](point(positions, i));
+      return uvs.add(`${side}:${i}`,
+        col / 3 + BOX_PADDING / 3 + a * scale,
+        row / 2 + BOX_PADDING / 3 + b * scale);
+    });
+  });
+  return { texCoords: uvs.texCoords, corners, charts: 6 };
+}
+
+// Angle around the Y axis for U; height (cylindrical) or latitude
+// (spherical) for V. Faces across the seam at U = 0/1 get U > 1 on the
+// far side so they don't stretch back over the whole texture (caps that
+// go all the way round are left as they are).
+function wrapProject({ positions, faces }, spherical) {
+  const { min, size, center } = bounds(positions);
+  const height = size[1] || 1;
+  const EPSILON = 1e-9;
+
+  const uvs = uvBuilder();
+  const corners = faces.map(face => {
+    const coords = face.v.map(i => {
+      const d = sub(point(positions, i), center);
+      const radial = Math.hypot(d[0], d[2]);
+      const v = spherical
+        ? 0.5 + Math.asin(Math.max(-1, Math.min(1, d[1] / (length(d) || 1)))) / Math.PI
+        : (d[1] + center[1] - min[1]) / height;
+      return { i, u: radial > EPSILON ? Math.atan2(d[0], d[2]) / (2 * Math.PI) + 0.5 : null, v };
+    });
+
+    // On the axis (a pole) U is undefined; take the face's average
+    const defined = coords.filter(c => c.u !== null);
+    const span = (us) => us.length > 0 ? Math.max(...us) - Math.min(...us) : 0;
+    const us = defined.map(c => c.u);
+    const seam = span(us) > 0.5 && span(us.map(u => (u < 0.5 ? u + 1 : u))) < span(us);
+    // Faces across the seam run past U = 1; the app's maps use RepeatWrapping
+    // so they sample the start of the texture there
+    if (seam) defined.forEach(c => { if (c.u < 0.5) c.u += 1; });
+    const mean = defined.reduce((sum, c) => sum + c.u, 0) / (defined.length || 1);
+
+    return coords.map(c => c.u === null
+      ? uvs.add(null, mean, c.v)
+      : uvs.add(`${c.i}:${seam && c.u >= 1 ? 1 : 0}`, c.u, c.v));
+  });
+  return { texCoords: uvs.texCoords, corners, charts: 1 };
+}
+
+// ─────────────────────────────────────────────
+// Chart unwrap: grow charts of connected faces facing roughly the same
+// way, flatten each along its average normal (upright, like the model),
+// then shelf-pack them into the unit square
+// ─────────────────────────────────────────────
+function chartUnwrap({ positions, faces }) {
+  const normals = faces.map(face => faceNormal(positions, face));
+  const units = normals.map(normalize);
+
+  // Faces sharing an edge are neighbours
+  const edgeFaces = new Map();
+  faces.forEach((face, f) => face.v.forEach((a, i) => {
+    const b = face.v[(i + 1) % face.v.length];
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (!edgeFaces.has(key)) edgeFaces.set(key, []);
+    edgeFaces.get(key).push(f);
+  }));
+  const neighbours = faces.map(() => []);
+  edgeFaces.forEach(list => list.forEach(f => list.forEach(g => { if (f !== g) neighbours[f].push(g); })));
+
+  // Largest faces seed first so big flat areas become whole charts
+  const chartOf = new Int32Array(faces.length).fill(-1);
+  const charts = [];
+  const order = faces.map((_, f) => f).sort((a, b) => length(normals[b]) - length(normals[a]));
+  const limit = Math.cos((CHART_ANGLE_LIMIT * Math.PI) / 180);
+  order.forEach(seed => {
+    if (chartOf[seed] !== -1) return;
+    const chart = { faces: [seed], normal: normals[seed].slice() };
+    chartOf[seed] = charts.length;
+    for (let k = 0; k < chart.faces.length; k++) {
+      const axis = normalize(chart.normal);
+      neighbours[chart.faces[k]].forEach(g => {
+        if (chartOf[g] !== -1 || dot(units[g], axis) < limit) return;
+        chartOf[g] = charts.length;
+        chart.faces.push(g);
+        for (let c = 0; c < 3; c++) chart.normal[c] += normals[g][c];
+      });
+    }
+    charts.push(chart);
+  });
+
+  // Flatten each chart onto the plane across its normal
+  let totalArea = 0;
+  charts.forEach(chart => {
+    const n = normalize(chart.normal);
+    const up = Math.abs(n[1]) > 0.99 ? [0, 0, -1] : [0, 1, 0];
+    const tu = normalize(cross(up, n.some(Boolean) ? n : [0, 0, 1]));
+    const tv = cross(n, tu);
+    chart.coords = new Map(); // vertex -> [x, y]
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    chart.faces.forEach(f => faces[f].v.forEach(i => {
+      if (chart.coords.has(i)) return;
+      const p = point(positions, i);
+      const x = dot(p, tu), y = dot(p, tv);
+      chart.coords.set(i, [x, y]);
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }));
+    chart.min = [minX, minY];
+    chart.width = maxX - minX;
+    chart.height = maxY - minY;
+    totalArea += chart.width * chart.height;
+  });
+
+  // Shelf packing, tallest first, in model units; a few row widths are
+  // tried and the one closest to a square wins. Scaled to 0-1 at the end.
+  const side = Math.sqrt(totalArea) || 1;
+  const gap = side * CHART_PADDING;
+  // One chart per face on triangle soup: too many to spread into Math.max
+  const widest = charts.reduce((max, c) => Math.max(max, c.width + 2 * gap), 0);
+  const tallestFirst = [...charts].sort((a, b) => b.height - a.height);
+  const pack = (rowWidth) => {
+    const offsets = new Map();
+    let x = gap, y = gap, rowHeight = 0, packedWidth = 0;
+    tallestFirst.forEach(chart => {
+      if (x + chart.width + gap > rowWidth && x > gap) {
+        x = gap;
+        y += rowHeight + gap;
+        rowHeight = 0;
+      }
+      offsets.set(chart, [x, y]);
+      x += chart.width + gap;
+      rowHeight = Math.max(rowHeight, chart.height);
+      packedWidth = Math.max(packedWidth, x);
+    });
+    return { offsets, extent: Math.max(packedWidth, y + rowHeight + gap) };
+  };
+  const best = [1, 1.15, 1.3, 1.5]
+    .map(f => pack(Math.max(side * f, widest)))
+    .reduce((a, b) => (b.extent < a.extent ? b : a));
+  charts.forEach(chart => { chart.offset = best.offsets.get(chart); });
+  const scale = 1 / best.extent;
+
+  const uvs = uvBuilder();
+  const corners = faces.map((face, f) => {
+    const c = chartOf[f];
+    const chart = charts[c];
+    return face.v.map(i => {
+      const [px, py] = chart.coords.get(i);
+      return uvs.add(`${c}:${i}`,
+        (px - chart.min[0] + chart.offset[0]) * scale,
+        (py - chart.min[1] + chart.offset[1]) * scale);
+    });
+  });
+  return { texCoords: uvs.texCoords, corners, charts: charts.length };
+}
+
+/**
+ * Generate UVs for every face of a parsed OBJ
+ * @param {Object} obj - From readOBJ()
+ * @param {string} method - Key of UNWRAP_METHODS
+ * @returns {{texCoords: number[], corners: number[][], charts: number}}
+ *   corners: texCoord index per face corner, in readOBJ() face order
+ */
+export function unwrapOBJ(obj, method) {
+  switch (method) {
+    case 'box': return boxProject(obj);
+    case 'cylindrical': return wrapProject(obj, false);
+    case 'spherical': return wrapProject(obj, true);
+    case 'chart': return chartUnwrap(obj);
+    default: throw new Error(`Unknown unwrap method: ${method}`);
+  }
+}
+
+/**
+ * Write generated UVs into the OBJ text: old `vt` lines are dropped, the
+ * new ones go at the top and every face corner points at its new UV.
+ * Faces readOBJ() skipped keep their corners but lose their UV indices,
+ * which would point into the dropped `vt` lines.
+ * @param {Object} obj - From readOBJ()
+ * @param {Object} unwrap - From unwrapOBJ()
+ * @param {string} method
+ * @returns {string}
+ */
+export function writeOBJWithUVs(obj, unwrap, method) {
+  const lines = obj.lines.map((line) => {
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] !== 'f') return line;
+    return 'f ' + parts.slice(1).map((token) => {
+      const [v, , vn] = token.split('/');
+      return vn !== undefined ? `${v}//${vn}` : v;
+    }).join(' ');
+  });
+  obj.faces.forEach((face, f) => {
+    const tokens = lines[face.line].trim().split(/\s+/).slice(1);
+    lines[face.line] = 'f ' + tokens.map((token, k) => {
+      const [v, , vn] = token.split('/');
+      return vn !== undefined ? `${v}/${unwrap.corners[f][k] + 1}/${vn}` : `${v}/${unwrap.corners[f][k] + 1}`;
+    }).join(' ');
+  });
+
+  const header = [`# UVs generated by RenderDeck (${UNWRAP_METHODS[method]})`];
+  for (let i = 0; i < unwrap.texCoords.length; i += 2) {
+    header.push(`vt ${unwrap.texCoords[i].toFixed(6)} ${unwrap.texCoords[i + 1].toFixed(6)}`);
+  }
+  return [...header, ...lines.filter(l => !/^\s*vt\s/.test(l))].join('\n');
+}
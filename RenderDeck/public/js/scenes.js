@@ -3,8 +3,12 @@
 
 import * as THREE from 'three';
 import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
 import { SCENE_PATHS } from './config.js';
 
+// User-uploaded environments: name -> { blob, fileName }
+const userScenes = new Map();
+
 /**
  * Initialize HDR scenes
  * @param {Function} onLoad - Callback when scene loads: (name, texture) => void
@@ -44,6 +48,11 @@ export function initScenes(onLoad) {
  * @param {Function} onLoad - Callback when loaded
  */
 export function loadScene(name, onLoad) {
+  if (userScenes.has(name)) {
+    loadUserScene(name, onLoad);
+    return;
+  }
+
   const filename = SCENE_PATHS.ENVIRONMENTS[name];
   if (!filename) {
     console.error(`Scene not found: ${name}`);
@@ -68,10 +77,72 @@ export function loadScene(name, onLoad) {
   );
 }
 
+/**
+ * Decode a user environment from its stored file
+ * @param {string} name - Registered user scene name
+ * @param {Function} onLoad - Callback when loaded
+ */
+function loadUserScene(name, onLoad) {
+  const { blob, fileName } = userScenes.get(name);
+  const loader = fileName.toLowerCase().endsWith('.exr') ? new EXRLoader() : new RGBELoader();
+  const url = URL.createObjectURL(blob);
+
+  loader.load(
+    url,
+    (texture) => {
+      URL.revokeObjectURL(url);
+      texture.mapping = THREE.EquirectangularReflectionMapping;
+      if (onLoad) {
+        onLoad(name, texture);
+      }
+    },
+    undefined,
+    (err) => {
+      URL.revokeObjectURL(url);
+      console.error(`Failed to load user scene ${name}: ${err}`);
+    }
+  );
+}
+
+/**
+ * Make an uploaded HDR/EXR available to loadScene()
+ * @param {string} name - Display name (must not clash with SCENE_PATHS)
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Original file name (picks the loader)
+ */
+export function registerUserScene(name, blob, fileName) {
+  userScenes.set(name, { blob, fileName });
+}
+
+/**
+ * Forget an uploaded environment
+ * @param {string} name
+ */
+export function unregisterUserScene(name) {
+  userScenes.delete(name);
+}
+
 /**
  * Get all available scene names
  * @returns {string[]}
  */
 export function getSceneNames() {
   return Object.keys(SCENE_PATHS.ENVIRONMENTS);
+}
+
+/**
+ * Get uploaded scene names
+ * @returns {string[]}
+ */
+export function getUserSceneNames() {
+  return [...userScenes.keys()];
+}
+
+/**
+ * Check whether a scene name is an uploaded environment
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isUserScene(name) {
+  return userScenes.has(name);
 }
\ No newline at end of file
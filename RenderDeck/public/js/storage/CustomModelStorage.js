@@ -2,9 +2,10 @@
 // CUSTOMMODELSTORAGE.JS - Custom Model Storage (IndexedDB)
 // Stores overlay configurations WITHOUT baking textures
 // Textures are composited in real-time for editing/viewing
-// Only baked when user exports the final model
+// Only baked when user exports the final model (see utils/ModelExporter.js)
 
 import * as IDBStorage from './indexedDBStorage.js';
+import { sanitizeSVG } from '../utils/SVGImage.js';
 
 export class CustomModelStorage {
   constructor(log) {
@@ -27,43 +28,126 @@ export class CustomModelStorage {
 
     try {
       // Save overlay image blobs separately for efficiency
+      // Text layers have no image, just parameters (+ an uploaded font blob)
       const overlayKeys = [];
+      const fontKeys = [];
+      const overlayMetadata = [];
       
       if (modelData.overlayImages && modelData.overlayImages.length > 0) {
         for (let i = 0; i < modelData.overlayImages.length; i++) {
           const overlay = modelData.overlayImages[i];
           const overlayKey = `overlay:${name}:${i}`;
+          const entry = {
+            name: overlay.name,
+            position: { ...overlay.position },
+            size: { ...overlay.size },
+            rotation: overlay.rotation,
+            aspectRatio: overlay.aspectRatio,
+            visible: overlay.visible !== false,
+            locked: !!overlay.locked
+          };
+          if (overlay.decal) entry.decal = { ...overlay.decal };
+          if (overlay.wrap) entry.wrap = { ...overlay.wrap };
           
-          // Convert base64 to blob for efficient storage
-          if (overlay.imageData) {
+          if (overlay.text) {
+            entry.text = { ...overlay.text };
+            if (overlay.fontData) {
+              const fontKey = `font:${name}:${overlay.text.fontFamily}`;
+              if (!fontKeys.includes(fontKey)) {
+                await IDBStorage.put('blobs', fontKey, await IDBStorage.dataURLToBlob(overlay.fontData));
+                fontKeys.push(fontKey);
+              }
+              entry.fontKey = fontKey;
+            }
+          } else if (overlay.svg) {
+            // SVG source is kept so it can be rasterized at any size
+            // (sanitized again here, since imported files never went through the editor)
+            const { svg } = sanitizeSVG(overlay.svg);
+            await IDBStorage.put('blobs', overlayKey, new Blob([svg], { type: 'image/svg+xml' }));
+            overlayKeys.push(overlayKey);
+            entry.blobKey = overlayKey;
+            entry.format = 'svg';
+          } else if (overlay.imageData) {
+            // Convert base64 to blob for efficient storage
             const blob = await IDBStorage.dataURLToBlob(overlay.imageData);
             await IDBStorage.put('blobs', overlayKey, blob);
             overlayKeys.push(overlayKey);
+            entry.blobKey = overlayKey;
+          } else {
+            continue;
           }
+          overlayMetadata.push(entry);
+        }
+      }
+
+      // Backplate image (if any) is stored as a blob like the overlays
+      let background = null;
+      if (modelData.background) {
+        const { imageData, ...config } = modelData.background;
+        background = config;
+        if (imageData) {
+          const backgroundKey = `background:${name}`;
+          await IDBStorage.put('blobs', backgroundKey, await IDBStorage.dataURLToBlob(imageData));
+          background.blobKey = backgroundKey;
         }
       }
 
+      // Uploaded PBR maps (see MaterialManager.extractTextureMaps) are blobs too
+      const textureKeys = [];
+      let partMaterials = null;
+      if (modelData.partMaterials) {
+        partMaterials = {};
+        for (const [partKey, entry] of Object.entries(modelData.partMaterials)) {
+          const textureMaps = {};
+          for (const [slot, { imageData, ...settings }] of Object.entries(entry.textureMaps || {})) {
+            if (!imageData) continue;
+            const textureKey = `texture:${name}:${partKey}:${slot}`;
+            await IDBStorage.put('blobs', textureKey, await IDBStorage.dataURLToBlob(imageData));
+            textureMaps[slot] = { ...settings, blobKey: textureKey };
+            textureKeys.push(textureKey);
+          }
+          partMaterials[partKey] = { ...entry, textureMaps };
+        }
+      }
+
+      // Re-saving after removing a map leaves its old blob behind
+      const previous = await IDBStorage.get('models', name);
+      for (const key of previous?.textureKeys || []) {
+        if (!textureKeys.includes(key)) await IDBStorage.del('blobs', key);
+      }
+      for (const key of previous?.fontKeys || []) {
+        if (!fontKeys.includes(key)) await IDBStorage.del('blobs', key);
+      }
+      for (const key of previous?.overlayKeys || []) {
+        if (!overlayKeys.includes(key)) await IDBStorage.del('blobs', key);
+      }
+      const previousBackgroundKey = previous?.background?.blobKey;
+      if (previousBackgroundKey && previousBackgroundKey !== background?.blobKey) {
+        await IDBStorage.del('blobs', previousBackgroundKey);
+      }
+
       // Store metadata (NO baked texture)
       const metadata = {
         basedOn: modelData.basedOn,
         customName: modelData.customName,
-        materialPreset: modelData.materialPreset || 'Wood', // Save the preset!
+        // Save the preset! (null keeps a glTF base's embedded materials)
+        materialPreset: modelData.materialPreset !== undefined ? modelData.materialPreset : 'Wood',
         materialProperties: modelData.materialProperties || {}, // Save properties too
+        partMaterials: partMaterials, // { partKey: { preset, properties, textureMaps } }
+        cameraBookmarks: modelData.cameraBookmarks || [], // Named viewpoints (see main.js)
+        background: background, // { type, ...options } (see SceneManager.setBackground)
+        lightRig: modelData.lightRig || null, // [light settings] (see LightRig.serialize)
         createdDate: new Date().toISOString(),
         lastModified: new Date().toISOString(),
         version: 2, // v2 = overlay-based, not baked
         overlayKeys: overlayKeys,
-        overlayMetadata: modelData.overlayImages ? modelData.overlayImages.map(img => ({
-          name: img.name,
-          position: { ...img.position },
-          size: { ...img.size },
-          rotation: img.rotation,
-          aspectRatio: img.aspectRatio
-        })) : []
+        textureKeys: textureKeys,
+        fontKeys: fontKeys,
+        overlayMetadata: overlayMetadata // Array order = stacking order (bottom first)
       };
 
       await IDBStorage.put('models', name, metadata);
-      this.log(`✓ Custom model saved: ${name} (${overlayKeys.length} overlays)`);
+      this.log(`✓ Custom model saved: ${name} (${overlayMetadata.length} overlays)`);
       return true;
       
     } catch (error) {
@@ -78,6 +162,27 @@ export class CustomModelStorage {
     }
   }
 
+  // ─────────────────────────────────────────────
+  // Replace a custom model's camera bookmarks
+  // (metadata only - overlay blobs are left alone)
+  // ─────────────────────────────────────────────
+  async updateCameraBookmarks(name, bookmarks) {
+    if (!this.idbAvailable) return false;
+
+    try {
+      const metadata = await IDBStorage.get('models', name);
+      if (!metadata) return false;
+
+      metadata.cameraBookmarks = bookmarks;
+      metadata.lastModified = new Date().toISOString();
+      await IDBStorage.put('models', name, metadata);
+      return true;
+    } catch (error) {
+      this.log(`Failed to save bookmarks: ${error.message}`, true);
+      return false;
+    }
+  }
+
   // ─────────────────────────────────────────────
   // Load a custom model (reconstructs overlay data)
   // ─────────────────────────────────────────────
@@ -94,20 +199,37 @@ export class CustomModelStorage {
 
       // Load overlay image blobs and convert back to data URLs
       const overlayImages = [];
+      const overlayMetadata = metadata.overlayMetadata || [];
       
-      if (metadata.overlayKeys && metadata.overlayKeys.length > 0) {
-        this.log(`Loading ${metadata.overlayKeys.length} overlay images for ${name}`);
-        for (let i = 0; i < metadata.overlayKeys.length; i++) {
-          const overlayKey = metadata.overlayKeys[i];
-          const blob = await IDBStorage.get('blobs', overlayKey);
+      if (overlayMetadata.length > 0) {
+        this.log(`Loading ${overlayMetadata.length} overlays for ${name}`);
+        for (let i = 0; i < overlayMetadata.length; i++) {
+          const { blobKey, fontKey, format, ...overlay } = overlayMetadata[i];
+
+          // Text layers: parameters only, plus the font if it was uploaded
+          if (overlay.text) {
+            const fontBlob = fontKey && await IDBStorage.get('blobs', fontKey);
+            if (fontBlob) overlay.fontData = await IDBStorage.blobToDataURL(fontBlob);
+            else if (fontKey) this.log(`Missing font "${overlay.text.fontFamily}" for ${name}`, true);
+            overlayImages.push(overlay);
+            this.log(`Loaded overlay ${i + 1}: ${overlay.name} (text)`);
+            continue;
+          }
+
+          // Saves from before text layers pair overlayKeys with overlayMetadata by index
+          const overlayKey = blobKey ?? metadata.overlayKeys?.[i];
+          const blob = overlayKey && await IDBStorage.get('blobs', overlayKey);
           
-          if (blob && metadata.overlayMetadata[i]) {
+          if (blob && format === 'svg') {
+            overlayImages.push({ ...overlay, svg: await blob.text() });
+            this.log(`Loaded overlay ${i + 1}: ${overlay.name} (SVG)`);
+          } else if (blob) {
             const dataURL = await IDBStorage.blobToDataURL(blob);
             overlayImages.push({
-              ...metadata.overlayMetadata[i],
+              ...overlay,
               imageData: dataURL
             });
-            this.log(`Loaded overlay ${i + 1}: ${metadata.overlayMetadata[i].name}`);
+            this.log(`Loaded overlay ${i + 1}: ${overlay.name}`);
           } else {
             this.log(`Failed to load overlay ${i + 1}`, true);
           }
@@ -118,11 +240,37 @@ export class CustomModelStorage {
 
       this.log(`Returning ${overlayImages.length} overlay images`);
 
+      let background = metadata.background || null;
+      if (background?.blobKey) {
+        const { blobKey, ...config } = background;
+        const blob = await IDBStorage.get('blobs', blobKey);
+        background = blob ? { ...config, imageData: await IDBStorage.blobToDataURL(blob) } : null;
+      }
+
+      // Texture map blobs go back to data URLs, like the overlays
+      let partMaterials = metadata.partMaterials || null;
+      if (partMaterials) {
+        partMaterials = {};
+        for (const [partKey, entry] of Object.entries(metadata.partMaterials)) {
+          const textureMaps = {};
+          for (const [slot, { blobKey, ...settings }] of Object.entries(entry.textureMaps || {})) {
+            const blob = blobKey && await IDBStorage.get('blobs', blobKey);
+            if (blob) textureMaps[slot] = { ...settings, imageData: await IDBStorage.blobToDataURL(blob) };
+            else this.log(`Missing ${slot} texture for ${name} (${partKey})`, true);
+          }
+          partMaterials[partKey] = { ...entry, textureMaps };
+        }
+      }
+
       return {
         basedOn: metadata.basedOn,
         customName: metadata.customName,
         materialPreset: metadata.materialPreset, // Return the preset!
         materialProperties: metadata.materialProperties, // Return properties!
+        partMaterials: partMaterials,
+        cameraBookmarks: metadata.cameraBookmarks || [],
+        background: background,
+        lightRig: metadata.lightRig || null,
         createdDate: metadata.createdDate,
         lastModified: metadata.lastModified,
         overlayImages: overlayImages,
@@ -180,6 +328,15 @@ export class CustomModelStorage {
             await IDBStorage.del('blobs', overlayKey);
           }
         }
+        for (const textureKey of metadata.textureKeys || []) {
+          await IDBStorage.del('blobs', textureKey);
+        }
+        for (const fontKey of metadata.fontKeys || []) {
+          await IDBStorage.del('blobs', fontKey);
+        }
+        if (metadata.background?.blobKey) {
+          await IDBStorage.del('blobs', metadata.background.blobKey);
+        }
         
         // Delete metadata
         await IDBStorage.del('models', name);
@@ -390,7 +547,7 @@ export class CustomModelStorage {
         if (metadata) {
           stats.models.push({
             name: name,
-            overlayCount: metadata.overlayKeys?.length || 0,
+            overlayCount: metadata.overlayMetadata?.length || 0,
             lastModified: metadata.lastModified
           });
         }
@@ -0,0 +1,73 @@
+// ENVIRONMENTSTORAGE.JS - User HDR/EXR Environments (IndexedDB)
+// The original file is kept as-is in the 'blobs' store under
+// 'environment:<name>' and decoded by scenes.js when selected.
+
+import * as IDBStorage from './indexedDBStorage.js';
+
+const KEY_PREFIX = 'environment:';
+
+export class EnvironmentStorage {
+  constructor(log) {
+    this.log = log;
+    this.idbAvailable = IDBStorage.isIndexedDBAvailable();
+  }
+
+  // ─────────────────────────────────────────────
+  // Save an uploaded environment file
+  // ─────────────────────────────────────────────
+  async saveEnvironment(name, file) {
+    if (!this.idbAvailable) {
+      this.log('Cannot save environment: IndexedDB unavailable', true);
+      return false;
+    }
+
+    try {
+      // Blobs lose their name, so keep the extension for picking a loader
+      const blob = new Blob([file], { type: file.type });
+      await IDBStorage.put('blobs', KEY_PREFIX + name, { blob, fileName: file.name });
+      return true;
+    } catch (error) {
+      this.log(`Failed to save environment: ${error.message}`, true);
+      if (error.name === 'QuotaExceededError') {
+        alert('Storage full! Try deleting some user environments or custom models.');
+      }
+      return false;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Load all saved environments: [{ name, blob, fileName }]
+  // ─────────────────────────────────────────────
+  async loadAllEnvironments() {
+    if (!this.idbAvailable) return [];
+
+    try {
+      const keys = (await IDBStorage.getAllKeys('blobs'))
+        .filter(key => String(key).startsWith(KEY_PREFIX));
+      const environments = [];
+      for (const key of keys) {
+        const entry = await IDBStorage.get('blobs', key);
+        if (entry?.blob) environments.push({ name: key.slice(KEY_PREFIX.length), ...entry });
+      }
+      return environments;
+    } catch (error) {
+      this.log(`Failed to load environments: ${error.message}`, true);
+      return [];
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Delete a saved environment
+  // ─────────────────────────────────────────────
+  async deleteEnvironment(name) {
+    if (!this.idbAvailable) return false;
+
+    try {
+      await IDBStorage.del('blobs', KEY_PREFIX + name);
+      return true;
+    } catch (error) {
+      this.log(`Failed to delete environment: ${error.message}`, true);
+      return false;
+    }
+  }
+}
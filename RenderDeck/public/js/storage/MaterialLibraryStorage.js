@@ -0,0 +1,163 @@
+// MATERIALLIBRARYSTORAGE.JS - User Material Presets (IndexedDB)
+// One entry per preset in the 'materials' store:
+//   { basedOn, properties, textureMaps: { slot: { ...settings, blob } } }
+// Library files carry the maps as data URLs so they can be shared.
+
+import * as IDBStorage from './indexedDBStorage.js';
+
+const LIBRARY_TYPE = 'renderdeck-material-library';
+
+export class MaterialLibraryStorage {
+  constructor(log) {
+    this.log = log;
+    this.idbAvailable = IDBStorage.isIndexedDBAvailable();
+  }
+
+  // ─────────────────────────────────────────────
+  // Save a preset (texture map data URLs become blobs)
+  // ─────────────────────────────────────────────
+  async saveMaterial(name, preset) {
+    if (!this.idbAvailable) {
+      this.log('Cannot save material: IndexedDB unavailable', true);
+      return false;
+    }
+
+    try {
+      const textureMaps = {};
+      for (const [slot, { imageData, ...settings }] of Object.entries(preset.textureMaps || {})) {
+        if (imageData) textureMaps[slot] = { ...settings, blob: await IDBStorage.dataURLToBlob(imageData) };
+      }
+      await IDBStorage.put('materials', name, {
+        basedOn: preset.basedOn ?? null,
+        properties: preset.properties || {},
+        textureMaps,
+        lastModified: new Date().toISOString()
+      });
+      return true;
+    } catch (error) {
+      this.log(`Failed to save material: ${error.message}`, true);
+      if (error.name === 'QuotaExceededError') {
+        alert('Storage full! Try deleting some user materials or custom models.');
+      }
+      return false;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Load all presets: { name: { basedOn, properties, textureMaps } }
+  // with texture maps as data URLs (see MaterialManager.applyTextureMaps)
+  // ─────────────────────────────────────────────
+  async loadAllMaterials() {
+    if (!this.idbAvailable) return {};
+
+    try {
+      const names = await IDBStorage.getAllKeys('materials');
+      const materials = {};
+      for (const name of names) {
+        const entry = await IDBStorage.get('materials', name);
+        if (!entry) continue;
+        const textureMaps = {};
+        for (const [slot, { blob, ...settings }] of Object.entries(entry.textureMaps || {})) {
+          if (blob) textureMaps[slot] = { ...settings, imageData: await IDBStorage.blobToDataURL(blob) };
+        }
+        materials[name] = { basedOn: entry.basedOn, properties: entry.properties, textureMaps };
+      }
+      return materials;
+    } catch (error) {
+      this.log(`Failed to load materials: ${error.message}`, true);
+      return {};
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Delete a preset
+  // ─────────────────────────────────────────────
+  async deleteMaterial(name) {
+    if (!this.idbAvailable) return false;
+
+    try {
+      await IDBStorage.del('materials', name);
+      return true;
+    } catch (error) {
+      this.log(`Failed to delete material: ${error.message}`, true);
+      return false;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Export every saved preset as a library JSON
+  // ─────────────────────────────────────────────
+  async exportLibrary() {
+    try {
+      const materials = await this.loadAllMaterials();
+      const count = Object.keys(materials).length;
+      if (count === 0) {
+        this.log('No user materials to export', true);
+        return false;
+      }
+
+      const exportData = {
+        type: LIBRARY_TYPE,
+        version: 1,
+        exportDate: new Date().toISOString(),
+        materials
+      };
+
+      const json = JSON.stringify(exportData, null, 2);
+      const blob = new Blob([json], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `renderdeck-materials-${Date.now()}.json`;
+      a.click();
+
+      URL.revokeObjectURL(url);
+
+      this.log(`✓ Exported ${count} material(s)`);
+      return true;
+    } catch (error) {
+      this.log(`Failed to export materials: ${error.message}`, true);
+      return false;
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Import a library JSON
+  // isReserved(name) -> true skips names that can't be replaced (built-ins)
+  // ─────────────────────────────────────────────
+  async importLibrary(file, isReserved = () => false) {
+    try {
+      const importData = JSON.parse(await file.text());
+      if (importData.type !== LIBRARY_TYPE || !importData.materials) {
+        return { success: false, error: 'Not a RenderDeck material library' };
+      }
+
+      const existing = new Set(await IDBStorage.getAllKeys('materials'));
+      const imported = [];
+      let skippedCount = 0;
+
+      for (const [name, preset] of Object.entries(importData.materials)) {
+        if (isReserved(name)) {
+          this.log(`Skipped "${name}": a built-in preset has that name`, true);
+          skippedCount++;
+          continue;
+        }
+        if (existing.has(name) && !confirm(`Material "${name}" already exists. Overwrite?`)) {
+          skippedCount++;
+          continue;
+        }
+        if (await this.saveMaterial(name, preset)) imported.push(name);
+      }
+
+      if (imported.length === 0) {
+        return { success: false, error: `No materials imported (${skippedCount} skipped)` };
+      }
+      this.log(`✓ Imported ${imported.length} material(s), skipped ${skippedCount}`);
+      return { success: true, names: imported, skipped: skippedCount };
+    } catch (error) {
+      this.log(`Failed to import materials: ${error.message}`, true);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -1,9 +1,9 @@
 
 // INDEXEDBSTORAGE.JS - IndexedDB Wrapper for RenderDeck
-// Provides Promise-based interface for storing models and blobs
+// Provides Promise-based interface for storing models, materials and blobs
 
 const DB_NAME = 'renderdeck_db';
-const DB_VERSION = 1;
+const DB_VERSION = 2; // v2 adds the 'materials' store
 
 let dbInstance = null;
 
@@ -27,7 +27,10 @@ export function openDB() {
         db.createObjectStore('models'); // key: modelName
       }
       if (!db.objectStoreNames.contains('blobs')) {
-        db.createObjectStore('blobs'); // key: blobKey (e.g., 'texture:modelName', 'overlay:modelName:0')
+        db.createObjectStore('blobs'); // key: blobKey (e.g., 'texture:modelName', 'overlay:modelName:0', 'environment:name')
+      }
+      if (!db.objectStoreNames.contains('materials')) {
+        db.createObjectStore('materials'); // key: user material preset name
       }
       if (!db.objectStoreNames.contains('metadata')) {
         db.createObjectStore('metadata'); // for version tracking and migration flags
@@ -100,10 +100,15 @@ export class ControlsManager {
       envintSlider: document.getElementById('envint-slider'),
       envintInput: document.getElementById('envint-input'),
 
+      // Surface
+      normalstrengthSlider: document.getElementById('normalstrength-slider'),
+      normalstrengthInput: document.getElementById('normalstrength-input'),
+
       // Old model management buttons (kept for compatibility)
       uploadModelBtn: document.getElementById('upload-model-btn'),
       modelFileInput: document.getElementById('model-file-input'),
       exportBtn: document.getElementById('export-btn'),
+      exportGlbBtn: document.getElementById('export-glb-btn'),
       importBtn: document.getElementById('import-btn'),
       fileInput: document.getElementById('file-input'),
       clearCustomBtn: document.getElementById('clear-custom-btn'),
@@ -209,6 +214,11 @@ export class ControlsManager {
       el.materialSelect.addEventListener('change', e => cb.onMaterialChange?.(e.target.value));
     }
 
+    // ── Part select (which mesh / material group Setting 3 edits) ─
+    if (el.objectPartSelect) {
+      el.objectPartSelect.addEventListener('change', e => cb.onPartChange?.(e.target.value));
+    }
+
     // ──────────────────────────────────────────────────────────────
     // BASE COLOR
     this.linkColorPicker(
@@ -293,6 +303,11 @@ export class ControlsManager {
     this.linkSliderInput(el.envintSlider, el.envintInput,
       v => cb.onMaterialPropertyChange?.('envMapIntensity', v));
 
+    // ──────────────────────────────────────────────────────────────
+    // NORMAL STRENGTH (procedural and uploaded normal maps)
+    this.linkSliderInput(el.normalstrengthSlider, el.normalstrengthInput,
+      v => cb.onMaterialPropertyChange?.('normalScale', v));
+
     // ──────────────────────────────────────────────────────────────
     // DESIGN EDITOR (Setting 2)
     // UVEditor._setupInlineUI() directly owns image upload, canvas drag,
@@ -319,6 +334,9 @@ export class ControlsManager {
     if (el.exportBtn) {
       el.exportBtn.addEventListener('click', () => cb.onExport?.());
     }
+    if (el.exportGlbBtn) {
+      el.exportGlbBtn.addEventListener('click', () => cb.onExportGLB?.());
+    }
     if (el.importBtn) {
       el.importBtn.addEventListener('click', () => el.fileInput?.click());
     }
@@ -384,34 +402,81 @@ export class ControlsManager {
   /**
    * Populate the scene/environment dropdown (Setting 1)
    */
-  updateSceneSelect(sceneNames) {
+  updateSceneSelect(sceneNames, userSceneNames = []) {
     const sel = this.elements.sceneSelect;
     if (!sel) return;
-    // Keep placeholder
-    const placeholder = Array.from(sel.options).find(o => o.disabled);
+    // Keep the "Standard" and "User" group headers
+    const [standardHeader, userHeader] = Array.from(sel.options).filter(o => o.disabled);
+    const current = sel.value;
     sel.innerHTML = '';
-    if (placeholder) sel.appendChild(placeholder);
-    sceneNames.forEach(name => {
-      const o = document.createElement('option');
-      o.value = name; o.textContent = name;
-      sel.appendChild(o);
-    });
+    const addOptions = (header, names) => {
+      if (header) sel.appendChild(header);
+      names.forEach(name => {
+        const o = document.createElement('option');
+        o.value = name; o.textContent = name;
+        sel.appendChild(o);
+      });
+    };
+    addOptions(standardHeader, sceneNames);
+    addOptions(userHeader, userSceneNames);
+    if ([...sceneNames, ...userSceneNames].includes(current)) sel.value = current;
   }
 
   /**
    * Populate the material preset dropdown (Setting 3)
    */
-  updateMaterialPresetSelect(presetNames) {
+  updateMaterialPresetSelect(presetNames, userPresetNames = []) {
     const sel = this.elements.materialSelect;
     if (!sel) return;
-    const placeholder = Array.from(sel.options).find(o => o.disabled && o.selected);
+    // Keep the "Standard" and "User" group headers
+    const [standardHeader, userHeader] = Array.from(sel.options).filter(o => o.disabled);
+    const current = sel.value;
+    sel.innerHTML = '';
+    const addOptions = (header, names) => {
+      if (header) sel.appendChild(header);
+      names.forEach(name => {
+        const o = document.createElement('option');
+        o.value = name; o.textContent = name;
+        sel.appendChild(o);
+      });
+    };
+    addOptions(standardHeader, presetNames);
+    addOptions(userHeader, userPresetNames);
+    if ([...presetNames, ...userPresetNames].includes(current)) sel.value = current;
+    else sel.selectedIndex = 0;
+  }
+
+  /**
+   * Populate the part dropdown (Setting 3)
+   * @param {Array<{key: string, label: string}>} parts
+   * @param {string} selectedKey
+   */
+  updatePartSelect(parts, selectedKey) {
+    const sel = this.elements.objectPartSelect;
+    if (!sel) return;
+    const placeholder = Array.from(sel.options).find(o => o.disabled);
     sel.innerHTML = '';
     if (placeholder) sel.appendChild(placeholder);
-    presetNames.forEach(name => {
+    parts.forEach(part => {
       const o = document.createElement('option');
-      o.value = name; o.textContent = name;
+      o.value = part.key; o.textContent = part.label;
       sel.appendChild(o);
     });
+    if (selectedKey !== undefined) sel.value = selectedKey;
+    if (!sel.value && placeholder) placeholder.selected = true;
+  }
+
+  /**
+   * Show a part's preset in the material dropdown (placeholder if it has none)
+   */
+  selectMaterialPreset(name) {
+    const sel = this.elements.materialSelect;
+    if (!sel) return;
+    if (name && Array.from(sel.options).some(o => o.value === name)) {
+      sel.value = name;
+    } else {
+      sel.selectedIndex = 0;
+    }
   }
 
   /**
@@ -451,6 +516,7 @@ export class ControlsManager {
     setColor(el.emissivecolorPicker, el.emissiveHex, el.emissiveSwatch, material.emissive);
     set(el.emissiveintSlider, el.emissiveintInput, material.emissiveIntensity);
     set(el.envintSlider, el.envintInput, material.envMapIntensity);
+    set(el.normalstrengthSlider, el.normalstrengthInput, Math.abs(material.normalScale?.x ?? 1));
   }
 
   setEnabled(elementName, enabled) {
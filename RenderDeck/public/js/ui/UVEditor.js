@@ -3,19 +3,30 @@
 
 import * as THREE from 'three';
 import { ModelVerifier } from '../models/ModelVerifier.js';
+import { CONFIG, FEATURES } from '../config.js';
+import { TEXT_DEFAULTS, TEXT_FONTS, TEXT_WEIGHTS, loadFont, measureText, drawText } from '../utils/TextRenderer.js';
+import { sanitizeSVG, loadSVGImage, rasterizeSVG } from '../utils/SVGImage.js';
+import { getUVLayout, findIslandAt } from '../utils/UVLayout.js';
+import { getDesignPart, getPartMaterial } from '../models/ModelParts.js';
+import { DECAL_DEFAULTS, defaultDecal, decalFromHit, decalFrame, buildDecalMesh } from '../utils/Decals.js';
 
 export class UVEditor {
-  constructor(renderer, log, modelManager, materialManager) {
+  constructor(renderer, log, modelManager, materialManager, history = null, saveContext = null) {
     this.renderer = renderer;
     this.log = log;
     this.modelManager = modelManager;
     this.materialManager = materialManager; // used for full property extraction
+    this.history = FEATURES.ENABLE_UNDO_REDO ? history : null; // CommandHistory
 
     this.verifier = new ModelVerifier({
       maxFileSize: { texture: 20 * 1024 * 1024 },
       maxImageDimension: 8192
     });
 
+    this.fonts = new Map(); // uploaded font family -> data URL (saved with the text layers using it)
+    this.svgRasters = new WeakMap(); // SVG layer -> { key: 'w×h', canvas, pendingKey, pending } at composite size
+    this.decals = new Map(); // decal layer id -> { material, mesh } projected onto activeMesh
+
     this.activeMesh = null;
     this.activeModelName = null;
     this.customModelName = null;
@@ -24,6 +35,8 @@ export class UVEditor {
     this.nextImageId = 1;
     this.selectedImageId = null;
     this.currentMaterialPreset = 'Wood';
+    // () => { partMaterials: [{ key, preset, material }], cameraBookmarks, background, lightRig }
+    this.saveContext = saveContext; // Scene state saved along with the design
 
     this.textureCanvas = document.createElement('canvas');
     this.textureCanvas.width = 2048;
@@ -33,8 +46,14 @@ export class UVEditor {
     this.uvCanvas = null;
     this.uvCtx = null;
 
+    this.uvLayout = { show: true, fill: false }; // Mesh UV wireframe in the preview
+    this.uvLayoutCache = null; // { layout, key, canvas } — redrawn only when these change
+    this.hoverIsland = -1;
+
     this.isDragging = false;
     this.dragOffset = { x: 0, y: 0 };
+    this.dragStart = null; // { id, transform } — recorded as one move on release
+    this.dragLayerId = null; // layer being dragged in the layers list
 
     this._setupInlineUI();
   }
@@ -72,11 +91,30 @@ export class UVEditor {
       const deleteBtn = document.getElementById('delete-selected-image-btn');
       if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteSelectedImage());
 
+      const addTextBtn = document.getElementById('add-text-btn');
+      if (addTextBtn) addTextBtn.addEventListener('click', () => this.addTextLayer());
+      this._setupTextUI();
+
       // Canvas drag interactions
       this.uvCanvas.addEventListener('mousedown', (e) => this._onMouseDown(e));
       this.uvCanvas.addEventListener('mousemove', (e) => this._onMouseMove(e));
-      this.uvCanvas.addEventListener('mouseup', () => { this.isDragging = false; });
-      this.uvCanvas.addEventListener('mouseleave', () => { this.isDragging = false; });
+      this.uvCanvas.addEventListener('mouseup', () => this._endDrag());
+      this.uvCanvas.addEventListener('mouseleave', () => {
+        this._endDrag();
+        this._setHoverIsland(-1);
+      });
+
+      // UV layout toggles
+      const layoutToggle = document.getElementById('design-uv-layout-toggle');
+      const fillToggle = document.getElementById('design-uv-fill-toggle');
+      if (layoutToggle) {
+        layoutToggle.checked = this.uvLayout.show;
+        layoutToggle.addEventListener('change', () => this.setUVLayoutOptions({ show: layoutToggle.checked }));
+      }
+      if (fillToggle) {
+        fillToggle.checked = this.uvLayout.fill;
+        fillToggle.addEventListener('change', () => this.setUVLayoutOptions({ fill: fillToggle.checked }));
+      }
 
       // Transformation sliders (Tab 2 IDs)
       this._linkSlider('design-posx-slider', 'design-posx-input', v => this._setSelected('posX', v));
@@ -84,6 +122,17 @@ export class UVEditor {
       this._linkSlider('design-width-slider', 'design-width-input', v => this._setSelected('width', v));
       this._linkSlider('design-height-slider', 'design-height-input', v => this._setSelected('height', v));
       this._linkSlider('design-rotation-slider', 'design-rotation-input', v => this._setSelected('rotation', v));
+
+      // Projection: painted into UV space, or projected onto the surface as a decal
+      document.getElementById('design-projection-select')?.addEventListener('input', (e) => {
+        this.setProjection(e.target.value);
+      });
+      this._linkSlider('design-depth-slider', 'design-depth-input', v => this._setSelected('depth', v));
+      this._linkSlider('design-angle-slider', 'design-angle-input', v => this._setSelected('angle', v));
+      this._linkSlider('design-arc-slider', 'design-arc-input', v => this._setSelected('arc', v));
+      document.getElementById('design-wrap-full-toggle')?.addEventListener('change', (e) => {
+        this.setWrapFull(e.target.checked);
+      });
     };
 
     if (document.readyState === 'loading') {
@@ -108,19 +157,157 @@ export class UVEditor {
     });
   }
 
+  // ─── Text layer controls (shown while a text layer is selected) ─
+  _setupTextUI() {
+    const weightSelect = document.getElementById('text-weight-select');
+    if (weightSelect) {
+      weightSelect.innerHTML = TEXT_WEIGHTS.map(w => `<option value="${w}">${w}</option>`).join('');
+      weightSelect.addEventListener('input', () => this.setTextProperty('weight', Number(weightSelect.value)));
+    }
+    this._updateFontSelect();
+    document.getElementById('text-font-select')?.addEventListener('input', (e) => {
+      this.setTextProperty('fontFamily', e.target.value);
+    });
+
+    const fontInput = document.getElementById('text-font-input');
+    document.getElementById('text-font-upload-btn')?.addEventListener('click', () => fontInput?.click());
+    fontInput?.addEventListener('change', (e) => {
+      if (e.target.files[0]) this.handleFontUpload(e.target.files[0]);
+      e.target.value = '';
+    });
+
+    document.getElementById('text-content-input')?.addEventListener('input', (e) => {
+      this.setTextProperty('content', e.target.value);
+    });
+    document.getElementById('text-color-picker')?.addEventListener('input', (e) => {
+      this.setTextProperty('color', e.target.value);
+    });
+    document.getElementById('text-outline-color-picker')?.addEventListener('input', (e) => {
+      this.setTextProperty('outlineColor', e.target.value);
+    });
+
+    this._linkSlider('text-size-slider', 'text-size-input', v => this.setTextProperty('fontSize', Math.max(1, v)));
+    this._linkSlider('text-spacing-slider', 'text-spacing-input', v => this.setTextProperty('letterSpacing', v));
+    this._linkSlider('text-outline-slider', 'text-outline-input', v => this.setTextProperty('outlineWidth', Math.max(0, v)));
+    this._linkSlider('text-curve-slider', 'text-curve-input', v => this.setTextProperty('curve', v));
+  }
+
+  // ─── Font dropdown: built-ins, then uploaded fonts ───────────
+  _updateFontSelect() {
+    const select = document.getElementById('text-font-select');
+    if (!select) return;
+    // Uploaded family names come from file names, so build options as nodes
+    select.replaceChildren(...TEXT_FONTS.map(family => new Option(family)));
+    if (this.fonts.size > 0) {
+      const header = new Option('--- Uploaded Fonts ---', '');
+      header.disabled = true;
+      select.append(header, ...[...this.fonts.keys()].map(family => new Option(family)));
+    }
+    const img = this.overlayImages.find(i => i.id === this.selectedImageId);
+    if (img?.text) select.value = img.text.fontFamily;
+  }
+
+  // ─── Show/fill the text panel for the selected layer ─────────
+  _syncTextPanel() {
+    const panel = document.getElementById('text-layer-controls');
+    if (!panel) return;
+    const img = this.overlayImages.find(i => i.id === this.selectedImageId);
+    panel.style.display = img?.text ? '' : 'none';
+    if (!img?.text) return;
+
+    const t = img.text;
+    const set = (id, val) => {
+      const el = document.getElementById(id);
+      if (el && el !== document.activeElement) el.value = val;
+    };
+    set('text-content-input', t.content);
+    set('text-font-select', t.fontFamily);
+    set('text-weight-select', t.weight);
+    set('text-color-picker', t.color);
+    set('text-size-slider', t.fontSize); set('text-size-input', t.fontSize);
+    set('text-spacing-slider', t.letterSpacing); set('text-spacing-input', t.letterSpacing);
+    set('text-outline-color-picker', t.outlineColor);
+    set('text-outline-slider', t.outlineWidth); set('text-outline-input', t.outlineWidth);
+    set('text-curve-slider', t.curve); set('text-curve-input', t.curve);
+  }
+
   // ─── Apply transformation to selected image ───────────────────
   _setSelected(prop, value) {
     const img = this.overlayImages.find(i => i.id === this.selectedImageId);
     if (!img) return;
+    // A full-circumference wrap always spans the whole U range, unrotated
+    const fixed = img.wrap?.full && ['width', 'arc', 'rotation'].includes(prop);
+    if (img.locked || fixed) {
+      this._syncSlidersFromImage(img);
+      return;
+    }
+    const before = this._captureTransform(img);
     // Tab 2 sliders use -1 to 1 for position, 0.01-2 for size, 0-360 for rotation
-    // UVEditor internally uses 0-100 % space
+    // and for wrapped layers' angle/arc. UVEditor internally uses 0-100 % space
     switch (prop) {
       case 'posX': img.position.x = (value + 1) / 2 * 100; break;
       case 'posY': img.position.y = (value + 1) / 2 * 100; break;
       case 'width': img.size.w = value * 50; break;   // 0.01-2 → 0.5-100%
       case 'height': img.size.h = value * 50; break;
       case 'rotation': img.rotation = value; break;
+      case 'depth': if (img.decal) img.decal = { ...img.decal, depth: Math.max(0.01, value) }; break;
+      case 'angle': img.position.x = this._wrapU(value / 3.6); break;
+      case 'arc': img.size.w = Math.max(0.5, Math.min(100, value / 3.6)); break;
     }
+    if (prop === 'angle' || prop === 'arc') this._syncSlidersFromImage(img); // Position X / Width follow
+    this._recordTransform(img, before, this._captureTransform(img), `transform:${img.id}:${prop}`);
+    if (img.decal) this._updateDecal(img);
+    this._renderPreview();
+    this._renderComposite();
+  }
+
+  // ─── Undo/redo helpers ────────────────────────────────────────
+  _record(label, undo, redo, coalesceKey) {
+    if (!this.history) return;
+    this.history.push({ label, undo, redo, coalesceKey });
+  }
+
+  // `decal` and `wrap` are replaced, never mutated, so keeping the references is enough
+  _captureTransform(img) {
+    return {
+      position: { ...img.position },
+      size: { ...img.size },
+      rotation: img.rotation,
+      decal: img.decal,
+      wrap: img.wrap
+    };
+  }
+
+  _restoreTransform(img, t) {
+    img.position = { ...t.position };
+    img.size = { ...t.size };
+    img.rotation = t.rotation;
+    ['decal', 'wrap'].forEach(key => {
+      if (t[key]) img[key] = t[key];
+      else delete img[key];
+    });
+  }
+
+  _recordTransform(img, before, after, coalesceKey) {
+    // Overlay objects are looked up by id so a later delete + undo still resolves
+    const apply = (t) => () => {
+      const target = this.overlayImages.find(i => i.id === img.id);
+      if (!target) return;
+      this._restoreTransform(target, t);
+      this.selectedImageId = target.id;
+      this._refresh();
+    };
+    this._record(`Transform ${img.name}`, apply(before), apply(after), coalesceKey);
+  }
+
+  // ─── Re-render everything after a history step ────────────────
+  _refresh() {
+    const img = this.overlayImages.find(i => i.id === this.selectedImageId);
+    if (!img) this.selectedImageId = null;
+    else this._syncSlidersFromImage(img);
+    this._syncTextPanel();
+    this._updateLayersList();
+    this._syncDecals();
     this._renderPreview();
     this._renderComposite();
   }
@@ -130,14 +317,29 @@ export class UVEditor {
     const set = (sliderId, inputId, val) => {
       const s = document.getElementById(sliderId);
       const i = document.getElementById(inputId);
-      if (s) s.value = val;
-      if (i) i.value = val;
+      if (s && s !== document.activeElement) s.value = val;
+      if (i && i !== document.activeElement) i.value = val;
     };
     set('design-posx-slider', 'design-posx-input', ((img.position.x / 100) * 2 - 1).toFixed(2));
     set('design-posy-slider', 'design-posy-input', ((img.position.y / 100) * 2 - 1).toFixed(2));
     set('design-width-slider', 'design-width-input', (img.size.w / 50).toFixed(2));
     set('design-height-slider', 'design-height-input', (img.size.h / 50).toFixed(2));
     set('design-rotation-slider', 'design-rotation-input', img.rotation);
+
+    const projection = document.getElementById('design-projection-select');
+    if (projection) projection.value = this._projectionOf(img);
+    const decalControls = document.getElementById('design-decal-controls');
+    if (decalControls) decalControls.style.display = img.decal ? '' : 'none';
+    if (img.decal) set('design-depth-slider', 'design-depth-input', img.decal.depth);
+
+    const wrapControls = document.getElementById('design-wrap-controls');
+    if (wrapControls) wrapControls.style.display = img.wrap ? '' : 'none';
+    if (img.wrap) {
+      set('design-angle-slider', 'design-angle-input', (img.position.x * 3.6).toFixed(1));
+      set('design-arc-slider', 'design-arc-input', (img.size.w * 3.6).toFixed(1));
+      const full = document.getElementById('design-wrap-full-toggle');
+      if (full) full.checked = !!img.wrap.full;
+    }
   }
 
   // ─── Open editor for a mesh (called when model loads) ─────────
@@ -148,6 +350,7 @@ export class UVEditor {
       return;
     }
 
+    this._clearDecals();
     this.activeMesh = mesh;
     this.currentMaterialPreset = currentMaterialPreset;
 
@@ -161,25 +364,13 @@ export class UVEditor {
       this.currentMaterialPreset = existingCustom.materialPreset || currentMaterialPreset;
 
       if (existingCustom.overlayImages?.length > 0) {
-        this.overlayImages = [];
         this.nextImageId = 1;
-        await Promise.all(existingCustom.overlayImages.map(saved => new Promise(res => {
-          const img = new Image();
-          img.onload = () => {
-            this.overlayImages.push({
-              id: this.nextImageId++,
-              image: img,
-              name: saved.name,
-              position: { ...saved.position },
-              size: { ...saved.size },
-              rotation: saved.rotation,
-              aspectRatio: saved.aspectRatio
-            });
-            res();
-          };
-          img.onerror = res;
-          img.src = saved.imageData;
-        })));
+        // Images decode in any order; keep the saved stacking order
+        const restored = await Promise.all(existingCustom.overlayImages.map(saved => saved.text
+          ? this._restoreTextLayer(saved)
+          : this._restoreImageLayer(saved)));
+        this.overlayImages = restored.filter(Boolean);
+        this._updateFontSelect();
       }
     } else {
 
@@ -189,16 +380,72 @@ export class UVEditor {
       this.nextImageId = 1;
     }
 
-    if (mesh.material?.map) this.baseTexture = mesh.material.map;
+    const designMaterial = getPartMaterial(getDesignPart(mesh));
+    if (designMaterial?.map) this.baseTexture = designMaterial.map;
 
     // Reset live canvas texture reference for this session
     this.liveCanvasTexture = null;
 
+    this.selectedImageId = null;
+    this._syncTextPanel();
     this._updateLayersList();
+    this._syncDecals();
     this._renderPreview();
     this.log(`Design Editor active for: ${this.customModelName || this.activeModelName}`);
   }
 
+  // ─── Rebuild a saved image layer (null if it won't decode) ───
+  _restoreImageLayer(saved) {
+    const layer = (img) => ({
+      id: this.nextImageId++,
+      image: img,
+      ...(saved.svg && { svg: saved.svg }),
+      ...(saved.decal && { decal: { ...DECAL_DEFAULTS, ...saved.decal } }),
+      ...(saved.wrap && { wrap: { ...saved.wrap } }),
+      name: saved.name,
+      position: { ...saved.position },
+      size: { ...saved.size },
+      rotation: saved.rotation,
+      aspectRatio: saved.aspectRatio,
+      visible: saved.visible !== false,
+      locked: !!saved.locked
+    });
+    if (saved.svg) return loadSVGImage(saved.svg).then(layer, () => null);
+
+    return new Promise(res => {
+      const img = new Image();
+      img.onload = () => res(layer(img));
+      img.onerror = () => res(null);
+      img.src = saved.imageData;
+    });
+  }
+
+  // ─── Rebuild a saved text layer (loading its font first) ─────
+  async _restoreTextLayer(saved) {
+    const text = { ...TEXT_DEFAULTS, ...saved.text };
+    if (saved.fontData) {
+      try {
+        await loadFont(text.fontFamily, saved.fontData);
+        this.fonts.set(text.fontFamily, saved.fontData);
+      } catch (err) {
+        this.log(`Font "${text.fontFamily}" failed to load — using a fallback`, true);
+      }
+    }
+    return {
+      id: this.nextImageId++,
+      text,
+      ...(saved.decal && { decal: { ...DECAL_DEFAULTS, ...saved.decal } }),
+      ...(saved.wrap && { wrap: { ...saved.wrap } }),
+      name: saved.name,
+      position: { ...saved.position },
+      size: { ...saved.size },
+      rotation: saved.rotation,
+      aspectRatio: saved.aspectRatio,
+      visible: saved.visible !== false,
+      locked: !!saved.locked
+    };
+  }
+
   // ─── Keep old show() as alias for backward compat ────────────
   show(mesh, modelName, preset) {
     return this.open(mesh, modelName, preset);
@@ -215,39 +462,237 @@ export class UVEditor {
       return;
     }
 
+    // SVGs keep their (sanitized) source so they can be rasterized at any size
+    if (file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg')) {
+      try {
+        const { svg, removed } = sanitizeSVG(await file.text());
+        if (removed > 0) this.log(`Removed ${removed} script(s)/external reference(s) from ${file.name}`, true);
+        this._addImageLayer(file.name, await loadSVGImage(svg), svg);
+      } catch (err) {
+        this.log(`Invalid SVG: ${err.message}`, true);
+        alert(`Invalid SVG:\n${err.message}`);
+      }
+      return;
+    }
+
     const reader = new FileReader();
     reader.onload = (e) => {
       const img = new Image();
-      img.onload = () => {
-        const aspectRatio = img.width / img.height;
-        const imageData = {
-          id: this.nextImageId++,
-          image: img,
-          name: file.name,
-          position: { x: 50, y: 50 },
-          size: { w: 30, h: 30 / aspectRatio },
-          rotation: 0,
-          aspectRatio
-        };
-        this.overlayImages.push(imageData);
-        this._updateLayersList();
-        this._renderPreview();
-        this._renderComposite();
-        this.log(`Image added: ${file.name}`);
-
-        // Auto-select the new image
-        this.selectImage(imageData.id);
-      };
+      img.onload = () => this._addImageLayer(file.name, img);
       img.src = e.target.result;
     };
     reader.readAsDataURL(file);
   }
 
+  // ─── Add a decoded image (+ SVG source) as the top layer ─────
+  _addImageLayer(name, img, svg = null) {
+    const aspectRatio = img.width / img.height;
+    const imageData = {
+      id: this.nextImageId++,
+      image: img,
+      name,
+      position: { x: 50, y: 50 },
+      size: { w: 30, h: 30 / aspectRatio },
+      rotation: 0,
+      aspectRatio,
+      visible: true,
+      locked: false
+    };
+    if (svg) imageData.svg = svg;
+    this.overlayImages.push(imageData);
+    this._record(`Add ${name}`,
+      () => {
+        this.overlayImages = this.overlayImages.filter(i => i !== imageData);
+        this._refresh();
+      },
+      () => {
+        this.overlayImages.push(imageData);
+        this.selectedImageId = imageData.id;
+        this._refresh();
+      });
+    this._updateLayersList();
+    this._renderPreview();
+    this._renderComposite();
+    this.log(`Image added: ${name}`);
+
+    // Auto-select the new image
+    this.selectImage(imageData.id);
+  }
+
+  // ─── Text layers ──────────────────────────────────────────────
+  // A text layer has `text` (see TEXT_DEFAULTS) instead of `image` and is
+  // drawn as vector text wherever it's composited.
+  _textSize(text) {
+    const { width, height } = measureText(text);
+    return {
+      w: (width / CONFIG.TEXTURE.COMPOSITE_SIZE) * 100,
+      h: (height / CONFIG.TEXTURE.COMPOSITE_SIZE) * 100
+    };
+  }
+
+  addTextLayer(params = {}) {
+    const text = { ...TEXT_DEFAULTS, ...params };
+    const size = this._textSize(text);
+    const layer = {
+      id: this.nextImageId++,
+      text,
+      name: text.content,
+      position: { x: 50, y: 50 },
+      size,
+      rotation: 0,
+      aspectRatio: size.w / size.h,
+      visible: true,
+      locked: false
+    };
+    this.overlayImages.push(layer);
+    this._record(`Add text "${layer.name}"`,
+      () => {
+        this.overlayImages = this.overlayImages.filter(i => i !== layer);
+        this._refresh();
+      },
+      () => {
+        this.overlayImages.push(layer);
+        this.selectedImageId = layer.id;
+        this._refresh();
+      });
+    this._renderComposite();
+    this.selectImage(layer.id);
+    this.log(`Text added: "${layer.name}"`);
+    return layer;
+  }
+
+  _captureText(img) {
+    return { text: { ...img.text }, name: img.name, size: { ...img.size }, aspectRatio: img.aspectRatio };
+  }
+
+  // ─── Change one text parameter of the selected text layer ────
+  setTextProperty(prop, value) {
+    const img = this.overlayImages.find(i => i.id === this.selectedImageId);
+    if (!img?.text) return;
+    if (img.locked) {
+      this._syncTextPanel();
+      return;
+    }
+    if (img.text[prop] === value) return;
+
+    const before = this._captureText(img);
+    // Keep any stretch applied with the Width/Height sliders
+    const previous = this._textSize(img.text);
+    img.text = { ...img.text, [prop]: value };
+    const next = this._textSize(img.text);
+    img.size = {
+      w: next.w * (img.size.w / previous.w),
+      h: next.h * (img.size.h / previous.h)
+    };
+    img.aspectRatio = next.w / next.h;
+    if (prop === 'content') img.name = value || 'Text';
+    const after = this._captureText(img);
+
+    const apply = (state) => () => {
+      const target = this.overlayImages.find(i => i.id === img.id);
+      if (!target) return;
+      target.text = { ...state.text };
+      target.name = state.name;
+      target.size = { ...state.size };
+      target.aspectRatio = state.aspectRatio;
+      this.selectedImageId = target.id;
+      this._refresh();
+    };
+    this._record(`Edit ${img.name}`, apply(before), apply(after), `text:${img.id}:${prop}`);
+
+    this._syncSlidersFromImage(img);
+    this._updateLayersList();
+    if (img.decal) this._updateDecal(img, true);
+    this._renderPreview();
+    this._renderComposite();
+  }
+
+  // ─── Font upload (.ttf / .otf / .woff / .woff2) ──────────────
+  async handleFontUpload(file) {
+    if (!file) return;
+    const validation = await this.verifier.validateFontFile(file);
+    if (!validation.valid) {
+      this.log(`Invalid font: ${validation.errors.join(', ')}`, true);
+      alert(`Invalid font:\n${validation.errors.join('\n')}`);
+      return;
+    }
+
+    const family = file.name.replace(/\.[^.]+$/, '');
+    try {
+      const dataURL = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+      await loadFont(family, dataURL);
+      this.fonts.set(family, dataURL);
+    } catch (err) {
+      this.log(`Font failed to load: ${err.message}`, true);
+      return;
+    }
+
+    this._updateFontSelect();
+    this.log(`Font added: ${family}`);
+    this.setTextProperty('fontFamily', family);
+    this._syncTextPanel();
+  }
+
+  // ─── Draw one overlay filling a w × h box centred on the origin ─
+  // `raster` uses an SVG layer's raster at exactly w × h when it's ready
+  _drawOverlay(ctx, img, w, h, raster = false) {
+    if (img.text) {
+      drawText(ctx, img.text, w, h);
+      return;
+    }
+    const source = (raster && img.svg && this._svgRaster(img, w, h)) || img.image;
+    ctx.drawImage(source, -w / 2, -h / 2, w, h);
+  }
+
+  // ─── SVG layers: rasterize at the size they're composited at ─
+  // Returns the cached raster, or null while a new one is on its way
+  // (the composite re-renders once it lands).
+  _svgRaster(img, w, h) {
+    const key = `${Math.round(w)}×${Math.round(h)}`;
+    const entry = this.svgRasters.get(img);
+    if (entry?.key === key) return entry.canvas;
+    if (entry?.pendingKey !== key) this._loadSvgRaster(img, w, h).then(() => this._renderComposite(), () => {});
+    return null;
+  }
+
+  _loadSvgRaster(img, w, h) {
+    const key = `${Math.round(w)}×${Math.round(h)}`;
+    const entry = this.svgRasters.get(img) || {};
+    if (entry.key === key) return Promise.resolve(entry.canvas);
+    if (entry.pendingKey === key) return entry.pending;
+
+    entry.pendingKey = key;
+    entry.pending = rasterizeSVG(img.svg, w, h).then(canvas => {
+      // A newer size may have been requested while this one was drawing
+      if (entry.pendingKey === key) {
+        Object.assign(entry, { key, canvas, pendingKey: null, pending: null });
+      }
+      return canvas;
+    });
+    this.svgRasters.set(img, entry);
+    return entry.pending;
+  }
+
+  // ─── Wait for every visible SVG layer's composite-size raster ─
+  _rasterizeVectorLayers() {
+    const { width: w, height: h } = this.textureCanvas;
+    return Promise.all(this.overlayImages
+      .filter(img => img.svg && !img.decal && img.visible !== false)
+      .map(img => this._loadSvgRaster(img, (img.size.w / 100) * w, (img.size.h / 100) * h)
+        .catch(() => this.log(`${img.name} failed to rasterize — using its preview`, true))));
+  }
+
   // ─── Select an overlay image ──────────────────────────────────
   selectImage(id) {
     this.selectedImageId = id;
     const img = this.overlayImages.find(i => i.id === id);
     if (img) this._syncSlidersFromImage(img);
+    this._syncTextPanel();
     this._updateLayersList();
     this._renderPreview();
   }
@@ -255,9 +700,28 @@ export class UVEditor {
   // ─── Delete selected ──────────────────────────────────────────
   deleteSelectedImage() {
     if (!this.selectedImageId) return;
-    this.overlayImages = this.overlayImages.filter(i => i.id !== this.selectedImageId);
+    const index = this.overlayImages.findIndex(i => i.id === this.selectedImageId);
+    if (index === -1) return;
+    const removed = this.overlayImages[index];
+    if (removed.locked) {
+      this.log(`"${removed.name}" is locked — unlock it to delete`, true);
+      return;
+    }
+    this.overlayImages.splice(index, 1);
     this.selectedImageId = null;
+    this._syncTextPanel();
+    this._record(`Delete ${removed.name}`,
+      () => {
+        this.overlayImages.splice(Math.min(index, this.overlayImages.length), 0, removed);
+        this.selectedImageId = removed.id;
+        this._refresh();
+      },
+      () => {
+        this.overlayImages = this.overlayImages.filter(i => i !== removed);
+        this._refresh();
+      });
     this._updateLayersList();
+    this._syncDecals();
     this._renderPreview();
     this._renderComposite();
     this.log('Image deleted');
@@ -272,20 +736,35 @@ export class UVEditor {
       list.innerHTML = '<p class="empty-message">No images added yet</p>';
       return;
     }
-    this.overlayImages.forEach((img, i) => {
+    const ordering = FEATURES.ENABLE_LAYER_ORDERING;
+    // Top of the stack first; the number is the layer's stacking position
+    const layers = this.overlayImages.map((img, i) => ({ img, i }));
+    if (ordering) layers.reverse();
+
+    layers.forEach(({ img, i }) => {
       const item = document.createElement('div');
-      item.className = 'image-layer-item' + (img.id === this.selectedImageId ? ' selected' : '');
+      item.className = 'image-layer-item' +
+        (img.id === this.selectedImageId ? ' selected' : '') +
+        (img.visible === false ? ' hidden-layer' : '');
 
       // Thumbnail
       const thumb = document.createElement('canvas');
       thumb.width = 30; thumb.height = 30;
       thumb.style.cssText = 'width:30px;height:30px;border:1px solid #555;border-radius:2px;margin-right:8px;flex-shrink:0;';
       const tCtx = thumb.getContext('2d');
-      tCtx.drawImage(img.image, 0, 0, 30, 30);
+      if (img.text) {
+        // Fit rather than stretch, so a long word stays readable
+        const fit = Math.min(30 / img.size.w, 30 / img.size.h);
+        tCtx.translate(15, 15);
+        this._drawOverlay(tCtx, img, img.size.w * fit, img.size.h * fit);
+      } else {
+        tCtx.drawImage(img.image, 0, 0, 30, 30);
+      }
 
       const name = document.createElement('span');
       name.className = 'image-layer-name';
-      name.textContent = `${i + 1}. ${img.name}`;
+      const mode = img.decal ? ' (decal)' : img.wrap ? ' (wrap)' : '';
+      name.textContent = `${i + 1}. ${img.name}${mode}`;
 
       const del = document.createElement('button');
       del.textContent = '✕';
@@ -299,12 +778,93 @@ export class UVEditor {
 
       item.appendChild(thumb);
       item.appendChild(name);
+      if (ordering) this._addLayerControls(item, img, i);
       item.appendChild(del);
       item.addEventListener('click', () => this.selectImage(img.id));
       list.appendChild(item);
     });
   }
 
+  // ─── Layer list: reorder / hide / lock controls ──────────────
+  _addLayerControls(item, img, index) {
+    const button = (label, title, onClick) => {
+      const b = document.createElement('button');
+      b.textContent = label;
+      b.title = title;
+      b.className = 'image-layer-btn';
+      b.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      item.appendChild(b);
+    };
+    button('▲', 'Bring forward', () => this.moveLayer(img.id, index + 1));
+    button('▼', 'Send back', () => this.moveLayer(img.id, index - 1));
+    button(img.visible === false ? '◌' : '👁', img.visible === false ? 'Show' : 'Hide',
+      () => this.setLayerFlag(img.id, 'visible', img.visible === false));
+    button(img.locked ? '🔒' : '🔓', img.locked ? 'Unlock' : 'Lock',
+      () => this.setLayerFlag(img.id, 'locked', !img.locked));
+
+    // Drag-to-reorder: dropping on a layer takes its stacking position
+    item.draggable = true;
+    item.addEventListener('dragstart', (e) => {
+      this.dragLayerId = img.id;
+      e.dataTransfer.effectAllowed = 'move';
+      item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => {
+      this.dragLayerId = null;
+      item.classList.remove('dragging');
+    });
+    item.addEventListener('dragover', (e) => {
+      if (this.dragLayerId === null) return;
+      e.preventDefault();
+      item.classList.add('drop-target');
+    });
+    item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      item.classList.remove('drop-target');
+      if (this.dragLayerId !== null) this.moveLayer(this.dragLayerId, index);
+      this.dragLayerId = null;
+    });
+  }
+
+  // ─── Move a layer to a stacking position (0 = bottom) ────────
+  moveLayer(id, toIndex) {
+    const from = this.overlayImages.findIndex(i => i.id === id);
+    if (from === -1) return;
+    const to = Math.max(0, Math.min(this.overlayImages.length - 1, toIndex));
+    if (from === to) return;
+
+    const moveTo = (index) => () => {
+      const current = this.overlayImages.findIndex(i => i.id === id);
+      if (current === -1) return;
+      const [img] = this.overlayImages.splice(current, 1);
+      this.overlayImages.splice(index, 0, img);
+      this._refresh();
+    };
+    moveTo(to)();
+    this._record(`Reorder ${this.overlayImages[to].name}`, moveTo(from), moveTo(to));
+  }
+
+  // ─── Toggle a layer's visible / locked flag ───────────────────
+  setLayerFlag(id, flag, value) {
+    const img = this.overlayImages.find(i => i.id === id);
+    if (!img) return;
+
+    const set = (v) => () => {
+      const target = this.overlayImages.find(i => i.id === id);
+      if (!target) return;
+      target[flag] = v;
+      this._refresh();
+    };
+    const previous = flag === 'visible' ? img.visible !== false : !!img.locked;
+    set(value)();
+    this._record(`${flag === 'visible' ? (value ? 'Show' : 'Hide') : (value ? 'Lock' : 'Unlock')} ${img.name}`,
+      set(previous), set(value));
+  }
+
   // ─── UV Preview render ────────────────────────────────────────
   _renderPreview() {
     if (!this.uvCanvas || !this.uvCtx) return;
@@ -338,31 +898,131 @@ export class UVEditor {
       ctx.beginPath(); ctx.moveTo(0, p * h); ctx.lineTo(w, p * h); ctx.stroke();
     }
 
-    // Overlays
+    // Mesh UV layout
+    const layout = this.uvLayout.show ? getUVLayout(this.activeMesh?.geometry) : null;
+    if (layout) ctx.drawImage(this._uvLayoutImage(layout, w, h), 0, 0);
+
+    // Overlays (array order = stacking order, bottom first); decals live on the model
     this.overlayImages.forEach(img => {
+      if (img.visible === false || img.decal) return;
       const x = (img.position.x / 100) * w;
       const y = (img.position.y / 100) * h;
       const iw = (img.size.w / 100) * w;
       const ih = (img.size.h / 100) * h;
 
-      ctx.save();
-      ctx.translate(x, y);
-      ctx.rotate((img.rotation * Math.PI) / 180);
-      ctx.drawImage(img.image, -iw / 2, -ih / 2, iw, ih);
-
-      if (img.id === this.selectedImageId) {
-        ctx.strokeStyle = '#4CAF50';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(-iw / 2, -ih / 2, iw, ih);
-        // Corner handles
-        ctx.fillStyle = '#4CAF50';
-        const hs = 7;
-        [[-iw/2, -ih/2], [iw/2, -ih/2], [-iw/2, ih/2], [iw/2, ih/2]].forEach(([cx, cy]) => {
-          ctx.fillRect(cx - hs / 2, cy - hs / 2, hs, hs);
-        });
-      }
-      ctx.restore();
+      this._wrapCopies(img, w).forEach(dx => {
+        ctx.save();
+        ctx.translate(x + dx, y);
+        ctx.rotate((img.rotation * Math.PI) / 180);
+        this._drawOverlay(ctx, img, iw, ih);
+
+        if (img.id === this.selectedImageId && img.locked) {
+          ctx.strokeStyle = '#888';
+          ctx.lineWidth = 2;
+          ctx.setLineDash([6, 4]);
+          ctx.strokeRect(-iw / 2, -ih / 2, iw, ih);
+          ctx.setLineDash([]);
+        } else if (img.id === this.selectedImageId) {
+          ctx.strokeStyle = '#4CAF50';
+          ctx.lineWidth = 2;
+          ctx.strokeRect(-iw / 2, -ih / 2, iw, ih);
+          // Corner handles
+          ctx.fillStyle = '#4CAF50';
+          const hs = 7;
+          [[-iw/2, -ih/2], [iw/2, -ih/2], [-iw/2, ih/2], [iw/2, ih/2]].forEach(([cx, cy]) => {
+            ctx.fillRect(cx - hs / 2, cy - hs / 2, hs, hs);
+          });
+        }
+        ctx.restore();
+      });
     });
+
+    // Island under the cursor, drawn over the designs so it reads through them
+    const island = layout?.islands[this.hoverIsland];
+    if (island) {
+      ctx.beginPath();
+      this._traceTriangles(ctx, layout, island.triangles, w, h);
+      ctx.fillStyle = 'rgba(76, 175, 80, 0.3)';
+      ctx.fill();
+      ctx.beginPath();
+      this._traceOutline(ctx, island.outline, w, h);
+      ctx.strokeStyle = CONFIG.UV_EDITOR.SELECTION_COLOR;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+  }
+
+  // ─── UV layout (wireframe, island outlines, optional fill) ────
+  setUVLayoutOptions(options) {
+    Object.assign(this.uvLayout, options);
+    if (!this.uvLayout.show) this.hoverIsland = -1;
+    this._renderPreview();
+  }
+
+  // Canvas y of a V coordinate, matching how the design lands on the model
+  _uvToCanvasY(v, h) {
+    return (this.textureFlipY() ? 1 - v : v) * h;
+  }
+
+  _traceTriangles(ctx, layout, triangles, w, h) {
+    const { uvs } = layout;
+    triangles.forEach(t => {
+      const o = t * 6;
+      ctx.moveTo(uvs[o] * w, this._uvToCanvasY(uvs[o + 1], h));
+      ctx.lineTo(uvs[o + 2] * w, this._uvToCanvasY(uvs[o + 3], h));
+      ctx.lineTo(uvs[o + 4] * w, this._uvToCanvasY(uvs[o + 5], h));
+      ctx.closePath();
+    });
+  }
+
+  _traceOutline(ctx, outline, w, h) {
+    for (let i = 0; i < outline.length; i += 4) {
+      ctx.moveTo(outline[i] * w, this._uvToCanvasY(outline[i + 1], h));
+      ctx.lineTo(outline[i + 2] * w, this._uvToCanvasY(outline[i + 3], h));
+    }
+  }
+
+  // The static part of the layout is cached; only the hover highlight is live
+  _uvLayoutImage(layout, w, h) {
+    const key = `${w}×${h}:${this.textureFlipY()}:${this.uvLayout.fill}`;
+    const cache = this.uvLayoutCache;
+    if (cache?.layout === layout && cache.key === key) return cache.canvas;
+
+    const canvas = cache?.canvas || document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    const everything = layout.islands.flatMap(island => island.triangles);
+
+    if (this.uvLayout.fill) {
+      layout.islands.forEach((island, i) => {
+        ctx.beginPath();
+        this._traceTriangles(ctx, layout, island.triangles, w, h);
+        ctx.fillStyle = `hsla(${(i * 137.5) % 360}, 60%, 55%, 0.25)`; // Golden-angle hues keep neighbours apart
+        ctx.fill();
+      });
+    }
+
+    ctx.beginPath();
+    this._traceTriangles(ctx, layout, everything, w, h);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.18)';
+    ctx.lineWidth = 0.5;
+    ctx.stroke();
+
+    ctx.beginPath();
+    layout.islands.forEach(island => this._traceOutline(ctx, island.outline, w, h));
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.75)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    this.uvLayoutCache = { layout, key, canvas };
+    return canvas;
+  }
+
+  _setHoverIsland(index) {
+    if (index === this.hoverIsland) return;
+    this.hoverIsland = index;
+    this._renderPreview();
   }
 
   // ─── High-res composite render ────────────────────────────────
@@ -379,15 +1039,18 @@ export class UVEditor {
     }
 
     this.overlayImages.forEach(img => {
+      if (img.visible === false || img.decal) return;
       const x = (img.position.x / 100) * w;
       const y = (img.position.y / 100) * h;
       const iw = (img.size.w / 100) * w;
       const ih = (img.size.h / 100) * h;
-      ctx.save();
-      ctx.translate(x, y);
-      ctx.rotate((img.rotation * Math.PI) / 180);
-      ctx.drawImage(img.image, -iw / 2, -ih / 2, iw, ih);
-      ctx.restore();
+      this._wrapCopies(img, w).forEach(dx => {
+        ctx.save();
+        ctx.translate(x + dx, y);
+        ctx.rotate((img.rotation * Math.PI) / 180);
+        this._drawOverlay(ctx, img, iw, ih, true);
+        ctx.restore();
+      });
     });
 
 
@@ -399,10 +1062,11 @@ export class UVEditor {
 
   applyTextureToModel() {
     if (!this.activeMesh) { this.log('No model loaded', true); return; }
+    const material = this._designMaterial();
 
     // Make sure we have the base texture from the current material
-    if (!this.baseTexture && this.activeMesh.material?.map) {
-      this.baseTexture = this.activeMesh.material.map;
+    if (!this.baseTexture && material?.map) {
+      this.baseTexture = material.map;
     }
 
     // If no overlays, no need to create composite - just keep original
@@ -418,8 +1082,8 @@ export class UVEditor {
     }
 
     // Dispose previous map if it's not the original base preset texture
-    if (this.activeMesh.material?.map && this.activeMesh.material.map !== this.baseTexture) {
-      this.activeMesh.material.map.dispose();
+    if (material?.map && material.map !== this.baseTexture) {
+      material.map.dispose();
     }
 
     // Render the composite (draws base texture + overlays)
@@ -427,6 +1091,7 @@ export class UVEditor {
 
     // Create a new CanvasTexture
     const texture = new THREE.CanvasTexture(this.textureCanvas);
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping; // Unless the base says otherwise
     
     // Copy encoding/colorSpace from base texture to match exactly
     if (this.baseTexture) {
@@ -447,21 +1112,57 @@ export class UVEditor {
 
     this.liveCanvasTexture = texture;
 
-    if (this.activeMesh.material) {
-      this.activeMesh.material.map = texture;
-      this.activeMesh.material.needsUpdate = true;
+    if (material) {
+      material.map = texture;
+      material.needsUpdate = true;
     }
 
     this.log('✓ Design applied to model — drag images to reposition');
   }
 
 
+  // ─── Bake the current design into a standalone texture ───────
+  // Copies the composite so later edits don't change an export.
+  // Returns null when there is nothing to bake (decals are exported as
+  // meshes of their own).
+  async createBakedTexture() {
+    if (!this.overlayImages.some(img => !img.decal)) return null;
+
+    await this._rasterizeVectorLayers();
+    this._renderComposite();
+    const canvas = document.createElement('canvas');
+    canvas.width = this.textureCanvas.width;
+    canvas.height = this.textureCanvas.height;
+    canvas.getContext('2d').drawImage(this.textureCanvas, 0, 0);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    if (this.baseTexture) {
+      texture.flipY = this.baseTexture.flipY;
+      texture.wrapS = this.baseTexture.wrapS;
+      texture.wrapT = this.baseTexture.wrapT;
+    }
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+
   resetTexture() {
-    if (!confirm('Reset all designs? This cannot be undone.')) return;
+    const message = this.history
+      ? 'Reset all designs? (Ctrl+Z to undo)'
+      : 'Reset all designs? This cannot be undone.';
+    if (!confirm(message)) return;
+    const previous = this.overlayImages.slice();
     this.overlayImages = [];
     this.selectedImageId = null;
+    this._record('Reset design',
+      () => { this.overlayImages = previous.slice(); this._refresh(); },
+      () => { this.overlayImages = []; this._refresh(); });
     this._updateLayersList();
+    this._syncDecals();
     this._renderPreview();
+    this._renderComposite();
     this.log('Design reset');
   }
 
@@ -478,50 +1179,42 @@ export class UVEditor {
     }
 
 
-    let materialProperties = {};
-    if (this.activeMesh?.material) {
-      if (this.materialManager) {
-        materialProperties = this.materialManager.extractProperties(this.activeMesh.material);
-      } else {
+    const materialProperties = this._extractMaterialProperties(this._designMaterial());
+    const context = this.saveContext?.() || {};
 
-        const m = this.activeMesh.material;
-        materialProperties = {
-          color: m.color ? '#' + m.color.getHexString() : '#ffffff',
-          metalness: m.metalness ?? 0,
-          roughness: m.roughness ?? 0.5,
-          opacity: m.opacity ?? 1,
-          transparent: m.transparent ?? false,
-          clearcoat: m.clearcoat ?? 0,
-          clearcoatRoughness: m.clearcoatRoughness ?? 0.1,
-          specularIntensity: m.specularIntensity ?? 1,
-          specularColor: m.specularColor ? '#' + m.specularColor.getHexString() : '#ffffff',
-          transmission: m.transmission ?? 0,
-          ior: m.ior ?? 1.5,
-          thickness: m.thickness ?? 0,
-          attenuationDistance: m.attenuationDistance === Infinity ? 0 : (m.attenuationDistance ?? 0),
-          attenuationColor: m.attenuationColor ? '#' + m.attenuationColor.getHexString() : '#ffffff',
-          sheen: m.sheen ?? 0,
-          sheenRoughness: m.sheenRoughness ?? 1,
-          sheenColor: m.sheenColor ? '#' + m.sheenColor.getHexString() : '#ffffff',
-          emissive: m.emissive ? '#' + m.emissive.getHexString() : '#000000',
-          emissiveIntensity: m.emissiveIntensity ?? 0,
-          envMapIntensity: m.envMapIntensity ?? 1,
-        };
-      }
-    }
+    // One preset + property set (+ uploaded PBR maps) per part (see ModelParts.js)
+    const partMaterials = {};
+    (context.partMaterials || []).forEach(({ key, preset, material }) => {
+      partMaterials[key] = {
+        preset,
+        properties: this._extractMaterialProperties(material),
+        textureMaps: this.materialManager?.extractTextureMaps(material) || {}
+      };
+    });
 
     const serializedImages = await Promise.all(this.overlayImages.map(async img => {
-      const c = document.createElement('canvas');
-      c.width = img.image.width; c.height = img.image.height;
-      c.getContext('2d').drawImage(img.image, 0, 0);
-      return {
+      const layer = {
         name: img.name,
         position: { ...img.position },
         size: { ...img.size },
         rotation: img.rotation,
         aspectRatio: img.aspectRatio,
-        imageData: c.toDataURL('image/png')
+        visible: img.visible !== false,
+        locked: !!img.locked,
+        ...(img.decal && { decal: { ...img.decal } }),
+        ...(img.wrap && { wrap: { ...img.wrap } })
       };
+      // Text stays as parameters (plus the font file if it was uploaded)
+      if (img.text) {
+        const fontData = this.fonts.get(img.text.fontFamily);
+        return { ...layer, text: { ...img.text }, ...(fontData && { fontData }) };
+      }
+      // SVG stays as source, to be rasterized at whatever size it's composited at
+      if (img.svg) return { ...layer, svg: img.svg };
+      const c = document.createElement('canvas');
+      c.width = img.image.width; c.height = img.image.height;
+      c.getContext('2d').drawImage(img.image, 0, 0);
+      return { ...layer, imageData: c.toDataURL('image/png') };
     }));
 
     await this.modelManager.saveCustomModel(this.customModelName, {
@@ -529,7 +1222,11 @@ export class UVEditor {
       customName: this.customModelName,
       overlayImages: serializedImages,
       materialProperties,
-      materialPreset: this.currentMaterialPreset
+      materialPreset: this.currentMaterialPreset,
+      partMaterials,
+      cameraBookmarks: context.cameraBookmarks || [],
+      background: context.background || null,
+      lightRig: context.lightRig || null
     });
 
     this._renderComposite();
@@ -541,6 +1238,7 @@ export class UVEditor {
     if (THREE.sRGBEncoding) {
       texture.encoding = THREE.sRGBEncoding;
     }
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
     
     if (this.baseTexture) {
       texture.flipY = this.baseTexture.flipY;
@@ -551,12 +1249,13 @@ export class UVEditor {
       texture.anisotropy = this.baseTexture.anisotropy;
     }
     texture.needsUpdate = true;
-    if (this.activeMesh?.material) {
-      if (this.activeMesh.material.map && this.activeMesh.material.map !== this.baseTexture) {
-        this.activeMesh.material.map.dispose();
+    const material = this._designMaterial();
+    if (material) {
+      if (material.map && material.map !== this.baseTexture) {
+        material.map.dispose();
       }
-      this.activeMesh.material.map = texture;
-      this.activeMesh.material.needsUpdate = true;
+      material.map = texture;
+      material.needsUpdate = true;
     }
 
     this.log(`✓ Saved: ${this.customModelName}`);
@@ -564,38 +1263,316 @@ export class UVEditor {
     window.switchToModel?.(this.customModelName);
   }
 
+  // ─── Material the design is painted into (see getDesignPart) ──
+  _designMaterial() {
+    return getPartMaterial(getDesignPart(this.activeMesh));
+  }
+
+  // ─── Serialize a material's physical properties ──────────────
+  _extractMaterialProperties(m) {
+    if (!m || Array.isArray(m)) return {};
+    if (this.materialManager) return this.materialManager.extractProperties(m);
+
+    return {
+      color: m.color ? '#' + m.color.getHexString() : '#ffffff',
+      metalness: m.metalness ?? 0,
+      roughness: m.roughness ?? 0.5,
+      opacity: m.opacity ?? 1,
+      transparent: m.transparent ?? false,
+      clearcoat: m.clearcoat ?? 0,
+      clearcoatRoughness: m.clearcoatRoughness ?? 0.1,
+      specularIntensity: m.specularIntensity ?? 1,
+      specularColor: m.specularColor ? '#' + m.specularColor.getHexString() : '#ffffff',
+      transmission: m.transmission ?? 0,
+      ior: m.ior ?? 1.5,
+      thickness: m.thickness ?? 0,
+      attenuationDistance: m.attenuationDistance === Infinity ? 0 : (m.attenuationDistance ?? 0),
+      attenuationColor: m.attenuationColor ? '#' + m.attenuationColor.getHexString() : '#ffffff',
+      sheen: m.sheen ?? 0,
+      sheenRoughness: m.sheenRoughness ?? 1,
+      sheenColor: m.sheenColor ? '#' + m.sheenColor.getHexString() : '#ffffff',
+      emissive: m.emissive ? '#' + m.emissive.getHexString() : '#000000',
+      emissiveIntensity: m.emissiveIntensity ?? 0,
+      envMapIntensity: m.envMapIntensity ?? 1,
+    };
+  }
+
   _onMouseDown(e) {
     if (!this.uvCanvas) return;
     const rect = this.uvCanvas.getBoundingClientRect();
     const x = ((e.clientX - rect.left) / rect.width) * 100;
     const y = ((e.clientY - rect.top) / rect.height) * 100;
 
+    // Topmost first; hidden and locked layers let clicks through
     for (let i = this.overlayImages.length - 1; i >= 0; i--) {
       const img = this.overlayImages[i];
+      if (img.visible === false || img.locked || img.decal) continue;
       const hw = img.size.w / 2, hh = img.size.h / 2;
-      if (x >= img.position.x - hw && x <= img.position.x + hw &&
-          y >= img.position.y - hh && y <= img.position.y + hh) {
+      // Wrapped layers can also be grabbed by the part across the seam
+      const cx = this._wrapCopies(img, 100).map(dx => img.position.x + dx)
+        .find(px => x >= px - hw && x <= px + hw);
+      if (cx !== undefined && y >= img.position.y - hh && y <= img.position.y + hh) {
         this.selectImage(img.id);
         this.isDragging = true;
-        this.dragOffset = { x: x - img.position.x, y: y - img.position.y };
+        this.dragOffset = { x: x - cx, y: y - img.position.y };
+        this.dragStart = { id: img.id, transform: this._captureTransform(img) };
         break;
       }
     }
   }
 
   _onMouseMove(e) {
-    if (!this.isDragging || !this.selectedImageId || !this.uvCanvas) return;
+    if (!this.uvCanvas) return;
     const rect = this.uvCanvas.getBoundingClientRect();
     const x = ((e.clientX - rect.left) / rect.width) * 100;
     const y = ((e.clientY - rect.top) / rect.height) * 100;
 
+    if (this.uvLayout.show) {
+      const layout = getUVLayout(this.activeMesh?.geometry);
+      const v = this.textureFlipY() ? 1 - y / 100 : y / 100;
+      this._setHoverIsland(findIslandAt(layout, x / 100, v));
+    }
+    if (!this.isDragging || !this.selectedImageId) return;
+
     const img = this.overlayImages.find(i => i.id === this.selectedImageId);
     if (img) {
-      img.position.x = Math.max(0, Math.min(100, x - this.dragOffset.x));
+      img.position.x = img.wrap
+        ? this._wrapU(x - this.dragOffset.x)
+        : Math.max(0, Math.min(100, x - this.dragOffset.x));
       img.position.y = Math.max(0, Math.min(100, y - this.dragOffset.y));
       this._syncSlidersFromImage(img);
       this._renderPreview();
       this._renderComposite();
     }
   }
+
+  _endDrag() {
+    this.isDragging = false;
+    if (!this.dragStart) return;
+    const { id, transform } = this.dragStart;
+    this.dragStart = null;
+
+    const img = this.overlayImages.find(i => i.id === id);
+    if (!img) return;
+    if (img.position.x === transform.position.x && img.position.y === transform.position.y &&
+        img.decal === transform.decal) return;
+    this._recordTransform(img, transform, this._captureTransform(img));
+  }
+
+  // ─── Placement from the 3D viewport (see main.js) ────────────
+  getSelectedImage() {
+    return this.overlayImages.find(i => i.id === this.selectedImageId) || null;
+  }
+
+  // Whether the design canvas's top row is V = 1 (three's default) or V = 0 (glTF)
+  textureFlipY() {
+    return (this.liveCanvasTexture || this.baseTexture)?.flipY ?? true;
+  }
+
+  // Canvas position (%) of a mesh UV, wrapped like a repeating texture
+  uvToPosition(uv) {
+    const u = uv.x - Math.floor(uv.x);
+    const v = uv.y - Math.floor(uv.y);
+    return { x: u * 100, y: (this.textureFlipY() ? 1 - v : v) * 100 };
+  }
+
+  /**
+   * Start moving the selected layer from the viewport (one undo step per drag)
+   * @returns {boolean} false if no unlocked, visible layer is selected
+   */
+  beginPlacement() {
+    const img = this.getSelectedImage();
+    if (!img || img.locked || img.visible === false) return false;
+    // Show the design on the model so it follows the drag
+    if (!img.decal && !this.liveCanvasTexture) this.applyTextureToModel();
+    this.dragStart = { id: img.id, transform: this._captureTransform(img) };
+    return true;
+  }
+
+  /**
+   * Centre the selected layer on a mesh UV
+   * @param {THREE.Vector2} uv
+   */
+  placeSelectedAt(uv) {
+    const img = this.getSelectedImage();
+    if (!img || img.locked) return;
+    img.position = this.uvToPosition(uv);
+    this._syncSlidersFromImage(img);
+    this._renderPreview();
+    this._renderComposite();
+  }
+
+  /**
+   * Project the selected decal layer from a surface hit
+   * @param {THREE.Intersection} hit - Hit on the active mesh
+   * @param {THREE.Vector3} [viewDirection] - World view direction (see decalFromHit)
+   */
+  placeSelectedDecal(hit, viewDirection = null) {
+    const img = this.getSelectedImage();
+    if (!img?.decal || img.locked || hit.object !== this.activeMesh) return;
+    img.decal = { ...img.decal, ...decalFromHit(hit, viewDirection) };
+    this._updateDecal(img);
+  }
+
+  /**
+   * World-space projector box of a decal layer, for the placement cursor
+   * @param {Object} img - Decal layer
+   * @param {THREE.Intersection} [hit] - Where it would go instead of where it is
+   * @param {THREE.Vector3} [viewDirection]
+   * @returns {Object|null} See decalFrame() in Decals.js
+   */
+  getDecalFrame(img, hit = null, viewDirection = null) {
+    if (!img?.decal || !this.activeMesh) return null;
+    const decal = hit ? { ...img.decal, ...decalFromHit(hit, viewDirection) } : img.decal;
+    return decalFrame(this.activeMesh, decal, img.size, img.rotation);
+  }
+
+  endPlacement() {
+    this._endDrag();
+  }
+
+  // ─── Cylindrical wrap ─────────────────────────────────────────
+  // A layer with `wrap` ({ full }) continues across U = 0/1 instead of
+  // being clipped at the canvas edge: on a cylinder's UVs (U once around
+  // the axis) that's straight on round the back. Its angle and arc are
+  // U in degrees, 360° being the whole U range.
+
+  // Horizontal offsets (in units of `width`) to draw a layer at
+  _wrapCopies(img, width) {
+    return img.wrap ? [-width, 0, width] : [0];
+  }
+
+  // Position X (%) folded back into 0-100
+  _wrapU(x) {
+    return ((x % 100) + 100) % 100;
+  }
+
+  /**
+   * Stretch the selected wrapped layer round the whole circumference
+   * (one continuous band, unrotated), or release it
+   * @param {boolean} full
+   */
+  setWrapFull(full) {
+    const img = this.getSelectedImage();
+    if (!img?.wrap || !!img.wrap.full === full) return;
+    if (img.locked) {
+      this._syncSlidersFromImage(img);
+      return;
+    }
+    const before = this._captureTransform(img);
+    img.wrap = { ...img.wrap, full };
+    if (full) {
+      img.size = { ...img.size, w: 100 };
+      img.rotation = 0;
+    }
+    this._recordTransform(img, before, this._captureTransform(img));
+    this._refresh();
+  }
+
+  // ─── Projected decals ─────────────────────────────────────────
+  // A layer with `decal` ({ point, normal, depth }, see Decals.js) is
+  // projected onto the active mesh instead of drawn into its UV texture.
+  // Its size is in % of the model size and its rotation turns it about
+  // the projection direction.
+
+  _projectionOf(img) {
+    return img.decal ? 'decal' : img.wrap ? 'wrap' : 'uv';
+  }
+
+  /**
+   * Switch the selected layer between UV space, a cylindrical wrap
+   * and a projected decal
+   * @param {'uv'|'wrap'|'decal'} mode
+   */
+  setProjection(mode) {
+    const img = this.getSelectedImage();
+    if (!img || mode === this._projectionOf(img) || (mode === 'decal' && !this.activeMesh)) return;
+    if (img.locked) {
+      this._syncSlidersFromImage(img);
+      return;
+    }
+    const before = this._captureTransform(img);
+    delete img.decal;
+    delete img.wrap;
+    if (mode === 'decal') img.decal = defaultDecal(this.activeMesh);
+    if (mode === 'wrap') img.wrap = { full: false };
+    this._recordTransform(img, before, this._captureTransform(img));
+    this._refresh();
+    this.log({
+      decal: `${img.name} is now a decal — use Place on Model to position it`,
+      wrap: `${img.name} now wraps around the seam — place it by angle`,
+      uv: `${img.name} is back in UV space`
+    }[mode]);
+  }
+
+  _decalMaterial(img) {
+    // Longest side at DECAL_SIZE; the decal's UVs stretch it over the box
+    const aspect = img.size.w / img.size.h;
+    const max = CONFIG.TEXTURE.DECAL_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(aspect >= 1 ? max : max * aspect));
+    canvas.height = Math.max(1, Math.round(aspect >= 1 ? max / aspect : max));
+    const ctx = canvas.getContext('2d');
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    this._drawOverlay(ctx, img, canvas.width, canvas.height);
+
+    const map = new THREE.CanvasTexture(canvas);
+    map.colorSpace = THREE.SRGBColorSpace;
+    const base = this._designMaterial();
+    return new THREE.MeshPhysicalMaterial({
+      map,
+      transparent: true,
+      depthWrite: false,
+      polygonOffset: true, // Sit on the surface without z-fighting it
+      polygonOffsetFactor: -4,
+      roughness: base?.roughness ?? 0.5,
+      metalness: base?.metalness ?? 0,
+      clearcoat: base?.clearcoat ?? 0
+    });
+  }
+
+  // Rebuild one decal's geometry (and its texture when `redraw`)
+  _updateDecal(img, redraw = false) {
+    const active = img.decal && img.visible !== false && this.activeMesh;
+    if (!active || redraw) this._removeDecal(img.id);
+    if (!active) return;
+
+    let entry = this.decals.get(img.id);
+    if (entry?.mesh) {
+      entry.mesh.removeFromParent();
+      entry.mesh.geometry.dispose();
+    }
+    if (!entry) {
+      entry = { material: this._decalMaterial(img), mesh: null };
+      this.decals.set(img.id, entry);
+    }
+    entry.mesh = buildDecalMesh(this.activeMesh, decalFrame(this.activeMesh, img.decal, img.size, img.rotation), entry.material);
+    if (!entry.mesh) return; // Projector box misses the surface
+    entry.mesh.renderOrder = 1 + this.overlayImages.indexOf(img); // Upper layers draw on top
+    this.activeMesh.add(entry.mesh);
+  }
+
+  _removeDecal(id) {
+    const entry = this.decals.get(id);
+    if (!entry) return;
+    if (entry.mesh) {
+      entry.mesh.removeFromParent();
+      entry.mesh.geometry.dispose();
+    }
+    entry.material.map?.dispose();
+    entry.material.dispose();
+    this.decals.delete(id);
+  }
+
+  _clearDecals() {
+    [...this.decals.keys()].forEach(id => this._removeDecal(id));
+  }
+
+  // Rebuild every decal (after undo/redo, reordering or reloading)
+  _syncDecals() {
+    this._clearDecals();
+    this.overlayImages.forEach(img => {
+      if (img.decal) this._updateDecal(img);
+    });
+  }
 }
\ No newline at end of file
@@ -0,0 +1,75 @@
+// COMMANDHISTORY.JS - Undo/Redo Command Stack
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Bounded undo/redo stack.
+ * A command is { label, undo(), redo(), coalesceKey? }. Commands pushed with
+ * the same coalesceKey within CONFIG.HISTORY.COALESCE_MS of each other merge
+ * into one entry, so a slider drag undoes in a single step.
+ */
+export class CommandHistory {
+  constructor({ limit = CONFIG.HISTORY.MAX_ENTRIES, coalesceMs = CONFIG.HISTORY.COALESCE_MS } = {}) {
+    this.limit = limit;
+    this.coalesceMs = coalesceMs;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a command that has already been applied
+   * @param {Object} command - { label, undo, redo, coalesceKey? }
+   */
+  push(command) {
+    const now = Date.now();
+    const top = this.undoStack[this.undoStack.length - 1];
+
+    if (command.coalesceKey && top?.coalesceKey === command.coalesceKey &&
+        now - top.time <= this.coalesceMs) {
+      // Keep the oldest undo, take the newest redo
+      top.redo = command.redo;
+      top.time = now;
+    } else {
+      this.undoStack.push({ ...command, time: now });
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+    }
+
+    this.redoStack = [];
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {string|null} Label of the undone command
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    this.redoStack.push(command);
+    return command.label;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {string|null} Label of the redone command
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return null;
+    command.redo();
+    // Redone commands never coalesce with the next edit
+    this.undoStack.push({ ...command, time: 0 });
+    return command.label;
+  }
+
+  canUndo() { return this.undoStack.length > 0; }
+  canRedo() { return this.redoStack.length > 0; }
+
+  /**
+   * Drop all history (e.g. when a different model is loaded)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
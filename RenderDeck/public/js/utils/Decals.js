@@ -0,0 +1,130 @@
+// DECALS.JS - Projected Decals for the Design Editor
+// A decal layer is projected onto the surface along a direction instead of
+// being painted into UV space, so it lands where it's placed even on meshes
+// with overlapping or missing UVs. Placement is kept in the mesh's local
+// space ({ point, normal, depth }) so it is saved with the model and
+// follows it around the scene.
+
+import * as THREE from 'three';
+import { DecalGeometry } from 'three/addons/geometries/DecalGeometry.js';
+
+export const DECAL_DEFAULTS = {
+  depth: 0.2 // Projection depth, in model sizes (half in front of the point, half behind)
+};
+
+const ORIGIN = new THREE.Vector3();
+const WORLD_UP = new THREE.Vector3(0, 1, 0);
+const WORLD_BACK = new THREE.Vector3(0, 0, -1);
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Largest dimension of a mesh in world units; decal sizes are % of this
+ * @param {THREE.Mesh} mesh
+ * @returns {number}
+ */
+export function modelSize(mesh) {
+  const geometry = mesh.geometry;
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  const scale = new THREE.Vector3();
+  mesh.getWorldScale(scale);
+  return Math.max(size.x * Math.abs(scale.x), size.y * Math.abs(scale.y), size.z * Math.abs(scale.z)) || 1;
+}
+
+/**
+ * Decal placement from a raycast hit on the mesh
+ * @param {THREE.Intersection} hit - Hit with `face`
+ * @param {THREE.Vector3} [viewDirection] - World ray direction; flips normals facing away from it
+ * @returns {{point: number[], normal: number[]}} In the mesh's local space
+ */
+export function decalFromHit(hit, viewDirection = null) {
+  const mesh = hit.object;
+  const point = mesh.worldToLocal(hit.point.clone());
+  const normal = hit.face.normal.clone();
+  // Back faces of double-sided meshes: project from the side being looked at
+  if (viewDirection && normal.clone().transformDirection(mesh.matrixWorld).dot(viewDirection) > 0) {
+    normal.negate();
+  }
+  return { point: point.toArray(), normal: normal.toArray() };
+}
+
+/**
+ * Starting placement for a new decal: the front of the mesh (+Z),
+ * straight through the middle of its bounding box
+ * @param {THREE.Mesh} mesh
+ * @returns {{point: number[], normal: number[], depth: number}}
+ */
+export function defaultDecal(mesh) {
+  mesh.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(mesh);
+  const center = box.getCenter(new THREE.Vector3());
+  const origin = new THREE.Vector3(center.x, center.y, box.max.z + 1);
+  const raycaster = new THREE.Raycaster(origin, WORLD_BACK.clone());
+  const hit = raycaster.intersectObject(mesh, false)[0];
+  if (hit) return { ...decalFromHit(hit, WORLD_BACK), depth: DECAL_DEFAULTS.depth };
+
+  const localFront = WORLD_BACK.clone().negate().transformDirection(mesh.matrixWorld.clone().invert());
+  return {
+    point: mesh.worldToLocal(new THREE.Vector3(center.x, center.y, box.max.z)).toArray(),
+    normal: localFront.toArray(),
+    depth: DECAL_DEFAULTS.depth
+  };
+}
+
+/**
+ * World-space projector box of a decal. Its +Z is the surface normal, +Y
+ * the top of the design; `rotation` turns it clockwise as seen from the front.
+ * @param {THREE.Mesh} mesh
+ * @param {{point: number[], normal: number[], depth: number}} decal
+ * @param {{w: number, h: number}} size - % of modelSize()
+ * @param {number} rotation - Degrees
+ * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion, width: number, height: number, depth: number}}
+ */
+export function decalFrame(mesh, decal, size, rotation = 0) {
+  mesh.updateMatrixWorld(true);
+  const position = mesh.localToWorld(new THREE.Vector3().fromArray(decal.point));
+  const normal = new THREE.Vector3().fromArray(decal.normal).transformDirection(mesh.matrixWorld);
+
+  // Keep the design upright; on horizontal surfaces its top faces away (-Z)
+  const up = Math.abs(normal.dot(WORLD_UP)) > 0.999 ? WORLD_BACK : WORLD_UP;
+  const quaternion = new THREE.Quaternion()
+    .setFromRotationMatrix(new THREE.Matrix4().lookAt(normal, ORIGIN, up))
+    .multiply(new THREE.Quaternion().setFromAxisAngle(AXIS_Z, (-rotation * Math.PI) / 180));
+
+  const scale = modelSize(mesh);
+  return {
+    position,
+    quaternion,
+    width: (size.w / 100) * scale,
+    height: (size.h / 100) * scale,
+    depth: (decal.depth ?? DECAL_DEFAULTS.depth) * scale
+  };
+}
+
+/**
+ * Build the decal's geometry from the mesh, in the mesh's local space
+ * (add the result as a child of the mesh)
+ * @param {THREE.Mesh} mesh
+ * @param {Object} frame - From decalFrame()
+ * @param {THREE.Material} material
+ * @returns {THREE.Mesh|null} null when the projector box misses the surface
+ */
+export function buildDecalMesh(mesh, frame, material) {
+  if (!mesh.geometry.attributes.normal) return null;
+  const orientation = new THREE.Euler().setFromQuaternion(frame.quaternion);
+  const geometry = new DecalGeometry(mesh, frame.position, orientation,
+    new THREE.Vector3(frame.width, frame.height, frame.depth));
+  if (geometry.attributes.position.count === 0) {
+    geometry.dispose();
+    return null;
+  }
+  geometry.applyMatrix4(mesh.matrixWorld.clone().invert());
+
+  const decal = new THREE.Mesh(geometry, material);
+  decal.name = 'Decal';
+  decal.userData.isDecal = true;
+  decal.raycast = () => {}; // Picking goes through to the surface underneath
+  decal.castShadow = false;
+  decal.receiveShadow = mesh.receiveShadow;
+  return decal;
+}
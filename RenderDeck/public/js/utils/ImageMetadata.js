@@ -0,0 +1,184 @@
+// IMAGEMETADATA.JS - Embed render settings in exported images
+// PNG: iTXt chunk, JPEG: COM segment, WebP: XMP chunk (via VP8X).
+// The payload is the same JSON string in every format.
+
+import { crc32 } from './helpers.js';
+
+const KEYWORD = 'RenderDeck';
+
+/**
+ * Return a copy of an encoded image with a JSON metadata block added
+ * @param {Blob} blob - Output of canvas.toBlob()
+ * @param {Object} metadata - Serializable settings
+ * @returns {Promise<Blob>} The tagged image, or the original blob if the
+ *   container isn't recognised
+ */
+export async function embedMetadata(blob, metadata) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const text = JSON.stringify(metadata);
+
+  let tagged = null;
+  if (blob.type === 'image/png') tagged = embedPNG(bytes, text);
+  else if (blob.type === 'image/jpeg') tagged = embedJPEG(bytes, text);
+  else if (blob.type === 'image/webp') tagged = embedWebP(bytes, text);
+
+  return tagged ? new Blob([tagged], { type: blob.type }) : blob;
+}
+
+// ─── PNG ──────────────────────────────────────────────────────────
+
+function embedPNG(bytes, text) {
+  // IEND is always the last 12 bytes
+  const iendAt = bytes.length - 12;
+  if (iendAt < 8 || ascii(bytes, iendAt + 4, 4) !== 'IEND') return null;
+
+  // iTXt: keyword\0 compression(0) method(0) language\0 translated\0 text (UTF-8)
+  const data = concat(
+    latin1(KEYWORD), [0, 0, 0, 0, 0],
+    new TextEncoder().encode(text)
+  );
+  const chunk = pngChunk('iTXt', data);
+  const software = pngChunk('tEXt', concat(latin1('Software'), [0], latin1(KEYWORD)));
+
+  return concat(bytes.subarray(0, iendAt), software, chunk, bytes.subarray(iendAt));
+}
+
+function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(latin1(type), 4);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+// ─── JPEG ─────────────────────────────────────────────────────────
+
+function embedJPEG(bytes, text) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  const payload = new TextEncoder().encode(`${KEYWORD} ${text}`);
+  if (payload.length > 0xfffd) return null; // Segment length is 16-bit
+  const segment = new Uint8Array(4 + payload.length);
+  segment[0] = 0xff;
+  segment[1] = 0xfe; // COM
+  new DataView(segment.buffer).setUint16(2, payload.length + 2);
+  segment.set(payload, 4);
+
+  // After the APPn segments (JFIF APP0, Exif APP1, ICC APP2…), which
+  // readers expect straight after SOI
+  let at = 2;
+  while (at + 4 <= bytes.length && bytes[at] === 0xff && bytes[at + 1] >= 0xe0 && bytes[at + 1] <= 0xef) {
+    at += 2 + ((bytes[at + 2] << 8) | bytes[at + 3]);
+  }
+  at = Math.min(at, bytes.length);
+  return concat(bytes.subarray(0, at), segment, bytes.subarray(at));
+}
+
+// ─── WebP ─────────────────────────────────────────────────────────
+
+function embedWebP(bytes, text) {
+  if (ascii(bytes, 0, 4) !== 'RIFF' || ascii(bytes, 8, 4) !== 'WEBP') return null;
+
+  const chunks = [];
+  for (let at = 12; at + 8 <= bytes.length;) {
+    const size = new DataView(bytes.buffer, bytes.byteOffset + at + 4, 4).getUint32(0, true);
+    chunks.push({ type: ascii(bytes, at, 4), bytes: bytes.subarray(at, at + 8 + size + (size & 1)) });
+    at += 8 + size + (size & 1);
+  }
+
+  const xmp = riffChunk('XMP ', new TextEncoder().encode(xmpPacket(text)));
+  let header;
+  let rest;
+
+  if (chunks[0]?.type === 'VP8X') {
+    header = chunks[0].bytes.slice();
+    header[8] |= 0x04; // XMP present
+    rest = chunks.slice(1).map(c => c.bytes);
+  } else {
+    // Simple format (single VP8/VP8L chunk) → extended format
+    const size = webpCanvasSize(chunks[0]);
+    if (!size) return null;
+    const data = new Uint8Array(10);
+    data[0] = 0x04 | (size.alpha ? 0x10 : 0);
+    writeUint24(data, 4, size.width - 1);
+    writeUint24(data, 7, size.height - 1);
+    header = riffChunk('VP8X', data);
+    rest = chunks.map(c => c.bytes);
+  }
+
+  const body = concat(latin1('WEBP'), header, ...rest, xmp);
+  const out = concat(latin1('RIFF'), new Uint8Array(4), body);
+  new DataView(out.buffer).setUint32(4, body.length, true);
+  return out;
+}
+
+function webpCanvasSize(chunk) {
+  if (!chunk) return null;
+  const b = chunk.bytes;
+  if (chunk.type === 'VP8 ') {
+    // Frame header: 3-byte tag, start code, then 14-bit width/height
+    const view = new DataView(b.buffer, b.byteOffset + 8 + 6, 4);
+    return {
+      width: view.getUint16(0, true) & 0x3fff,
+      height: view.getUint16(2, true) & 0x3fff,
+      alpha: false
+    };
+  }
+  if (chunk.type === 'VP8L') {
+    // 1-byte signature, then 14-bit width-1, 14-bit height-1, 1-bit alpha hint
+    const bits = new DataView(b.buffer, b.byteOffset + 9, 4).getUint32(0, true);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+      alpha: !!((bits >> 28) & 1)
+    };
+  }
+  return null;
+}
+
+function xmpPacket(text) {
+  const escaped = text
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  return '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+    '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/"' +
+    ` xmp:CreatorTool="${KEYWORD}">` +
+    `<xmp:Label>${escaped}</xmp:Label>` +
+    '</rdf:Description></rdf:RDF></x:xmpmeta>';
+}
+
+function riffChunk(type, data) {
+  const pad = data.length & 1;
+  const out = new Uint8Array(8 + data.length + pad);
+  out.set(latin1(type), 0);
+  new DataView(out.buffer).setUint32(4, data.length, true);
+  out.set(data, 8);
+  return out;
+}
+
+// ─── Byte helpers ─────────────────────────────────────────────────
+
+function writeUint24(bytes, at, value) {
+  bytes[at] = value & 0xff;
+  bytes[at + 1] = (value >> 8) & 0xff;
+  bytes[at + 2] = (value >> 16) & 0xff;
+}
+
+function ascii(bytes, at, length) {
+  return String.fromCharCode(...bytes.subarray(at, at + length));
+}
+
+function latin1(str) {
+  return Uint8Array.from(str, c => c.charCodeAt(0) & 0xff);
+}
+
+function concat(...parts) {
+  const arrays = parts.map(p => (p instanceof Uint8Array ? p : Uint8Array.from(p)));
+  const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0));
+  let at = 0;
+  arrays.forEach(a => { out.set(a, at); at += a.length; });
+  return out;
+}
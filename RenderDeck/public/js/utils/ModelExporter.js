@@ -0,0 +1,90 @@
+// MODELEXPORTER.JS - Baked Model Export (GLB)
+
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { CONFIG } from '../config.js';
+import { log } from './logger.js';
+import { downloadFile } from './helpers.js';
+
+export class ModelExporter {
+  /**
+   * Export a model as a self-contained binary glTF (.glb) and download it.
+   * MeshPhysicalMaterial settings are written by GLTFExporter as glTF
+   * extensions (KHR_materials_clearcoat, _transmission, _volume, _ior,
+   * _specular, _sheen, _emissive_strength).
+   * @param {THREE.Object3D} object - Model to export (left untouched)
+   * @param {Object} options
+   * @param {string} options.filename - Download name (default: model.glb)
+   * @param {Map<THREE.Mesh, THREE.Texture>} options.mapOverrides - Baked maps keyed by source mesh
+   * @returns {Promise<boolean>}
+   */
+  static async exportGLB(object, { filename = 'model.glb', mapOverrides = new Map() } = {}) {
+    if (!object) return false;
+
+    const exportRoot = ModelExporter.prepareExportCopy(object, mapOverrides);
+
+    try {
+      const exporter = new GLTFExporter();
+      const glb = await exporter.parseAsync(exportRoot, {
+        binary: true,
+        onlyVisible: true,
+        maxTextureSize: CONFIG.TEXTURE.MAX_SIZE
+      });
+
+      downloadFile(filename, glb, 'model/gltf-binary');
+      log(`Exported GLB: ${filename} (${(glb.byteLength / 1024).toFixed(0)} KB)`);
+      return true;
+    } catch (error) {
+      log(`GLB export failed: ${error.message}`, true);
+      return false;
+    } finally {
+      ModelExporter.disposeExportCopy(exportRoot);
+    }
+  }
+
+  /**
+   * Clone a model for export. Object3D.clone() shares materials, so each
+   * mesh gets its own material copy before baked maps are swapped in.
+   * @param {THREE.Object3D} object
+   * @param {Map<THREE.Mesh, THREE.Texture>} mapOverrides
+   * @returns {THREE.Object3D}
+   */
+  static prepareExportCopy(object, mapOverrides) {
+    const exportRoot = object.clone(true);
+
+    const sourceMeshes = [];
+    const copyMeshes = [];
+    object.traverse(child => { if (child.isMesh) sourceMeshes.push(child); });
+    exportRoot.traverse(child => { if (child.isMesh) copyMeshes.push(child); });
+
+    copyMeshes.forEach((copy, i) => {
+      const source = sourceMeshes[i];
+      const cloneMaterial = (material) => {
+        const m = material.clone();
+        m.envMap = null;          // The HDR belongs to the scene, not the asset
+        m.wireframe = false;
+        return m;
+      };
+      copy.material = Array.isArray(source.material)
+        ? source.material.map(cloneMaterial)
+        : cloneMaterial(source.material);
+
+      const baked = mapOverrides.get(source);
+      if (baked && !Array.isArray(copy.material)) {
+        copy.material.map = baked;
+      }
+    });
+
+    return exportRoot;
+  }
+
+  /**
+   * Dispose the cloned materials (textures are shared with the live scene)
+   * @param {THREE.Object3D} exportRoot
+   */
+  static disposeExportCopy(exportRoot) {
+    exportRoot.traverse(child => {
+      if (!child.isMesh) return;
+      [].concat(child.material).forEach(m => m.dispose());
+    });
+  }
+}
@@ -0,0 +1,125 @@
+// SVGIMAGE.JS - Vector Overlays for the Design Editor
+// Uploaded SVGs are sanitized once and kept as source text, then rasterized
+// at the size they're composited at so logos stay sharp at any resolution.
+
+// Anything that can run code or pull in another document
+const BLOCKED_ELEMENTS = new Set(['script', 'foreignobject', 'iframe', 'embed', 'object', 'audio', 'video']);
+
+// References that stay inside the file: fragment ids and embedded bitmaps
+const SAFE_REFERENCE = /^(#|data:image\/(png|jpe?g|gif|webp)[;,])/i;
+const CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMPORT = /@import[^;]*;?/gi;
+
+const cleanCSS = (css) => css
+  .replace(CSS_IMPORT, '')
+  .replace(CSS_URL, (match, quote, ref) => SAFE_REFERENCE.test(ref.trim()) ? match : 'none');
+
+const isReference = (name) => name === 'href' || name === 'src' || name.endsWith(':href');
+
+/**
+ * Strip scripts, event handlers and external references from an SVG
+ * and make sure it has both a viewBox and an intrinsic size
+ * @param {string} source - SVG file contents
+ * @returns {{svg: string, width: number, height: number, removed: number}}
+ */
+export function sanitizeSVG(source) {
+  const doc = new DOMParser().parseFromString(source, 'image/svg+xml');
+  const root = doc.documentElement;
+  if (doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'svg') {
+    throw new Error('Not a valid SVG document');
+  }
+
+  let removed = 0;
+  for (const el of [root, ...root.querySelectorAll('*')]) {
+    const tag = el.localName.toLowerCase();
+    // <set>/<animate> can swap an href for javascript: after sanitizing
+    const animatesReference = (tag === 'set' || tag.startsWith('animate')) &&
+      isReference((el.getAttribute('attributeName') || '').toLowerCase());
+    if (BLOCKED_ELEMENTS.has(tag) || animatesReference) {
+      el.remove();
+      removed++;
+      continue;
+    }
+    if (tag === 'style') el.textContent = cleanCSS(el.textContent);
+
+    for (const attr of [...el.attributes]) {
+      const name = attr.name.toLowerCase();
+      if (name.startsWith('on') || (isReference(name) && !SAFE_REFERENCE.test(attr.value.trim()))) {
+        el.removeAttributeNode(attr);
+        removed++;
+      } else if (/url\(|@import/i.test(attr.value)) {
+        const cleaned = cleanCSS(attr.value);
+        if (cleaned !== attr.value) {
+          attr.value = cleaned;
+          removed++;
+        }
+      }
+    }
+  }
+
+  // Percentages and physical units don't give a pixel size; fall back to the viewBox
+  const pixels = (value) => /^\s*[\d.]+(px)?\s*$/.test(value || '') ? parseFloat(value) : 0;
+  const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const hasViewBox = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+  let width = pixels(root.getAttribute('width'));
+  let height = pixels(root.getAttribute('height'));
+  if (hasViewBox) {
+    if (!width && !height) width = viewBox[2];
+    width = width || (height * viewBox[2]) / viewBox[3];
+    height = height || (width * viewBox[3]) / viewBox[2];
+  }
+  width = width || 512;
+  height = height || 512;
+  if (!hasViewBox) root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+
+  return { svg: new XMLSerializer().serializeToString(doc), width, height, removed };
+}
+
+/**
+ * Decode SVG source into an image at its intrinsic size
+ * @param {string} svg - Sanitized SVG source
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadSVGImage(svg) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('SVG failed to decode'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Rasterize SVG source at an exact pixel size, stretched to fill it
+ * like a bitmap overlay would be
+ * @param {string} svg - Sanitized SVG source
+ * @param {number} width
+ * @param {number} height
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function rasterizeSVG(svg, width, height) {
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+
+  const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+  const root = doc.documentElement;
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.setAttribute('preserveAspectRatio', 'none');
+  const img = await loadSVGImage(new XMLSerializer().serializeToString(doc));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+  return canvas;
+}
@@ -0,0 +1,139 @@
+// TEXTRENDERER.JS - Text Layers for the Design Editor
+// Text overlays are kept as parameters and drawn as vector text at whatever
+// size they're composited at, so they stay editable and sharp.
+
+export const TEXT_DEFAULTS = {
+  content: 'Text',
+  fontFamily: 'Arial',
+  fontSize: 160,        // px on a CONFIG.TEXTURE.COMPOSITE_SIZE texture
+  color: '#ffffff',
+  weight: 700,
+  letterSpacing: 0,     // px, added after every character
+  outlineColor: '#000000',
+  outlineWidth: 0,      // px
+  curve: 0              // degrees of arc; > 0 arches up, < 0 sags down
+};
+
+export const TEXT_FONTS = [
+  'Arial', 'Helvetica', 'Verdana', 'Tahoma', 'Trebuchet MS',
+  'Georgia', 'Times New Roman', 'Courier New', 'Impact', 'Comic Sans MS'
+];
+
+export const TEXT_WEIGHTS = [300, 400, 600, 700, 900];
+
+const ASCENT = 0.8;   // of the font size, for the box around each character
+const DESCENT = 0.25;
+
+let measureCtx = null;
+const loadedFonts = new Map(); // family -> Promise<FontFace>
+
+const fontString = (p) => `${p.weight} ${p.fontSize}px "${p.fontFamily}", sans-serif`;
+
+/**
+ * Register an uploaded font with the document (once per family)
+ * @param {string} family - Name the text layers refer to
+ * @param {string} source - Font file as a data URL
+ * @returns {Promise<FontFace>}
+ */
+export function loadFont(family, source) {
+  if (!loadedFonts.has(family)) {
+    const loading = new FontFace(family, `url(${source})`).load()
+      .then(face => {
+        document.fonts.add(face);
+        return face;
+      })
+      .catch(err => {
+        loadedFonts.delete(family);
+        throw err;
+      });
+    loadedFonts.set(family, loading);
+  }
+  return loadedFonts.get(family);
+}
+
+// ─────────────────────────────────────────────
+// Lay out each character along a line or an arc, centred on the origin.
+// Returns { glyphs: [{ char, x, y, angle }], width, height }
+// ─────────────────────────────────────────────
+function layoutText(params) {
+  const p = { ...TEXT_DEFAULTS, ...params };
+  if (!measureCtx) measureCtx = document.createElement('canvas').getContext('2d');
+  measureCtx.font = fontString(p);
+
+  const chars = Array.from(p.content || ' ');
+  const advances = chars.map(c => measureCtx.measureText(c).width + p.letterSpacing);
+  const length = Math.max(1, advances.reduce((sum, a) => sum + a, 0) - p.letterSpacing);
+  const arc = (p.curve * Math.PI) / 180;
+
+  // Straight text is an arc of infinite radius
+  let along = 0;
+  const glyphs = chars.map((char, i) => {
+    const mid = along + (advances[i] - p.letterSpacing) / 2 - length / 2;
+    along += advances[i];
+    if (Math.abs(arc) < 1e-3) return { char, x: mid, y: 0, angle: 0 };
+    const radius = length / arc; // negative for a downward curve
+    const angle = mid / radius;
+    return { char, x: radius * Math.sin(angle), y: radius * (1 - Math.cos(angle)), angle };
+  });
+
+  // Bounds of every character's box, padded by the outline
+  const pad = p.outlineWidth / 2;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  glyphs.forEach((g, i) => {
+    const hw = (advances[i] - p.letterSpacing) / 2 + pad;
+    const cos = Math.cos(g.angle), sin = Math.sin(g.angle);
+    [[-hw, -ASCENT * p.fontSize - pad], [hw, -ASCENT * p.fontSize - pad],
+     [-hw, DESCENT * p.fontSize + pad], [hw, DESCENT * p.fontSize + pad]].forEach(([cx, cy]) => {
+      const x = g.x + cx * cos - cy * sin;
+      const y = g.y + cx * sin + cy * cos;
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    });
+  });
+
+  const cx = (minX + maxX) / 2, cy = (minY + maxY) / 2;
+  glyphs.forEach(g => { g.x -= cx; g.y -= cy; });
+  return { glyphs, width: maxX - minX, height: maxY - minY, params: p };
+}
+
+/**
+ * Natural size of a text layer in px (at its font size)
+ * @param {Object} params - See TEXT_DEFAULTS
+ * @returns {{width: number, height: number}}
+ */
+export function measureText(params) {
+  const { width, height } = layoutText(params);
+  return { width, height };
+}
+
+/**
+ * Draw a text layer stretched to fill a w × h box centred on the origin
+ * (call after translating/rotating to the overlay's position)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Object} params - See TEXT_DEFAULTS
+ * @param {number} w
+ * @param {number} h
+ */
+export function drawText(ctx, params, w, h) {
+  const { glyphs, width, height, params: p } = layoutText(params);
+  ctx.save();
+  ctx.scale(w / width, h / height);
+  ctx.font = fontString(p);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.lineJoin = 'round';
+  ctx.fillStyle = p.color;
+  ctx.strokeStyle = p.outlineColor;
+  ctx.lineWidth = p.outlineWidth;
+
+  glyphs.forEach(g => {
+    ctx.save();
+    ctx.translate(g.x, g.y);
+    ctx.rotate(g.angle);
+    // Outline first so the fill keeps the glyph's full weight
+    if (p.outlineWidth > 0) ctx.strokeText(g.char, 0, 0);
+    ctx.fillText(g.char, 0, 0);
+    ctx.restore();
+  });
+  ctx.restore();
+}
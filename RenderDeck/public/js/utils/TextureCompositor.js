@@ -4,12 +4,14 @@
 import * as THREE from 'three';
 import { CONFIG } from '../config.js';
 import { log } from './logger.js';
+import { loadFont, drawText } from './TextRenderer.js';
+import { rasterizeSVG } from './SVGImage.js';
 
 export class TextureCompositor {
   /**
    * Create composite texture from base texture and overlay images
    * @param {THREE.Texture} baseTexture - Base texture (Wood/Metal/Glass/Plastic)
-   * @param {Array} overlayImages - Array of {imageData, position, size, rotation}
+   * @param {Array} overlayImages - Array of {imageData | svg | text (+ fontData), position, size, rotation, visible, wrap?}, bottom layer first
    * @returns {Promise<THREE.CanvasTexture>}
    */
   static async createCompositeTexture(baseTexture, overlayImages) {
@@ -19,6 +21,9 @@ export class TextureCompositor {
       canvas.height = CONFIG.TEXTURE.COMPOSITE_SIZE;
       const ctx = canvas.getContext('2d');
 
+      // Hidden layers are kept in saved data but never drawn; decals are meshes, not paint
+      overlayImages = (overlayImages || []).filter(overlay => overlay.visible !== false && !overlay.decal);
+
       const drawComposite = () => {
         log(`Drawing composite with ${overlayImages ? overlayImages.length : 0} overlays`);
         
@@ -43,13 +48,32 @@ export class TextureCompositor {
         if (!overlayImages || overlayImages.length === 0) {
           const texture = new THREE.CanvasTexture(canvas);
           texture.encoding = THREE[CONFIG.TEXTURE.ENCODING];
+          texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
           texture.needsUpdate = true;
           resolve(texture);
           return;
         }
         
-        // Load all overlay images
+        // Load all overlay images (text layers only need their font)
         const imageLoadPromises = overlayImages.map(overlay => {
+          if (overlay.text) {
+            const font = overlay.fontData
+              ? loadFont(overlay.text.fontFamily, overlay.fontData)
+                .catch(() => console.warn(`Failed to load font: ${overlay.text.fontFamily}`))
+              : Promise.resolve();
+            return font.then(() => ({ img: null, overlay }));
+          }
+          // SVG is rasterized at exactly the size it covers on this canvas
+          if (overlay.svg) {
+            const w = (overlay.size.w / 100) * canvas.width;
+            const h = (overlay.size.h / 100) * canvas.height;
+            return rasterizeSVG(overlay.svg, w, h)
+              .then(img => ({ img, overlay }))
+              .catch(() => {
+                console.warn(`Failed to rasterize overlay: ${overlay.name}`);
+                return null;
+              });
+          }
           return new Promise((resolveImg) => {
             const img = new Image();
             img.onload = () => resolveImg({ img, overlay });
@@ -81,16 +105,22 @@ export class TextureCompositor {
               
               log(`Drawing overlay ${index + 1} at x:${Math.round(x)}, y:${Math.round(y)}, w:${Math.round(w)}, h:${Math.round(h)}`);
               
-              ctx.save();
-              ctx.translate(x, y);
-              ctx.rotate((overlay.rotation * Math.PI) / 180);
-              ctx.drawImage(img, -w/2, -h/2, w, h);
-              ctx.restore();
+              // Wrapped layers carry on across U = 0/1 (see UVEditor)
+              const copies = overlay.wrap ? [-canvas.width, 0, canvas.width] : [0];
+              copies.forEach(dx => {
+                ctx.save();
+                ctx.translate(x + dx, y);
+                ctx.rotate((overlay.rotation * Math.PI) / 180);
+                if (overlay.text) drawText(ctx, overlay.text, w, h);
+                else ctx.drawImage(img, -w/2, -h/2, w, h);
+                ctx.restore();
+              });
             });
             
             // Create texture
             const texture = new THREE.CanvasTexture(canvas);
             texture.encoding = THREE[CONFIG.TEXTURE.ENCODING];
+            texture.wrapS = texture.wrapT = THREE.RepeatWrapping; // See UVUnwrap.js wrapProject
             texture.needsUpdate = true;
             
             resolve(texture);
@@ -0,0 +1,133 @@
+// UVLAYOUT.JS - UV islands of a mesh, for the Design Editor preview
+// Triangles that share a UV edge (same UVs at both ends) belong to the same
+// island; edges used by only one triangle are the island's outline.
+
+const QUANTIZE = 1e5; // UVs closer than 1e-5 count as the same point
+
+const layouts = new WeakMap(); // uv attribute -> { version, layout }
+
+/**
+ * Build (or reuse) the UV layout of a geometry
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {{uvs: Float32Array, islandOf: Int32Array, islands: Array<{triangles: number[], outline: number[], bounds: number[]}>}|null}
+ *   uvs: 6 numbers (u0 v0 u1 v1 u2 v2) per triangle; islandOf: island per triangle (-1 = no UV area);
+ *   outline: 4 numbers (u v u v) per edge;
+ *   bounds: [minU, minV, maxU, maxV]. null if the geometry has no UVs.
+ */
+export function getUVLayout(geometry) {
+  const uv = geometry?.attributes?.uv;
+  if (!uv) return null;
+  const cached = layouts.get(uv);
+  if (cached && cached.version === uv.version) return cached.layout;
+
+  const layout = buildUVLayout(geometry);
+  layouts.set(uv, { version: uv.version, layout });
+  return layout;
+}
+
+function buildUVLayout(geometry) {
+  const uv = geometry.attributes.uv;
+  const index = geometry.index;
+  const count = index ? index.count : uv.count;
+  const triangleCount = Math.floor(count / 3);
+  const vertexAt = (i) => (index ? index.getX(i) : i);
+
+  const uvs = new Float32Array(triangleCount * 6);
+  for (let i = 0; i < triangleCount * 3; i++) {
+    const v = vertexAt(i);
+    uvs[i * 2] = uv.getX(v);
+    uvs[i * 2 + 1] = uv.getY(v);
+  }
+
+  // Union-find over triangles
+  const parent = new Int32Array(triangleCount).map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const pointKey = (c) => `${Math.round(uvs[c] * QUANTIZE)},${Math.round(uvs[c + 1] * QUANTIZE)}`;
+  const edges = new Map(); // 'a|b' -> { triangle, corners: [c0, c1], uses }
+  const collapsed = new Uint8Array(triangleCount); // No area in UV space: left out of every island
+  for (let t = 0; t < triangleCount; t++) {
+    const keys = [0, 1, 2].map(k => pointKey(t * 6 + k * 2));
+    if (keys[0] === keys[1] || keys[1] === keys[2] || keys[0] === keys[2]) {
+      collapsed[t] = 1;
+      continue;
+    }
+    for (let k = 0; k < 3; k++) {
+      const a = keys[k], b = keys[(k + 1) % 3];
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+      const edge = edges.get(key);
+      if (edge) {
+        edge.uses++;
+        parent[find(t)] = find(edge.triangle);
+      } else {
+        edges.set(key, { triangle: t, corners: [t * 6 + k * 2, t * 6 + ((k + 1) % 3) * 2], uses: 1 });
+      }
+    }
+  }
+
+  const islandOf = new Int32Array(triangleCount).fill(-1);
+  const islands = [];
+  const rootIsland = new Map();
+  for (let t = 0; t < triangleCount; t++) {
+    if (collapsed[t]) continue;
+    const root = find(t);
+    if (!rootIsland.has(root)) {
+      rootIsland.set(root, islands.length);
+      islands.push({ triangles: [], outline: [], bounds: [Infinity, Infinity, -Infinity, -Infinity] });
+    }
+    const island = islands[rootIsland.get(root)];
+    islandOf[t] = rootIsland.get(root);
+    island.triangles.push(t);
+    for (let k = 0; k < 3; k++) {
+      const u = uvs[t * 6 + k * 2], v = uvs[t * 6 + k * 2 + 1];
+      island.bounds[0] = Math.min(island.bounds[0], u);
+      island.bounds[1] = Math.min(island.bounds[1], v);
+      island.bounds[2] = Math.max(island.bounds[2], u);
+      island.bounds[3] = Math.max(island.bounds[3], v);
+    }
+  }
+
+  edges.forEach(({ triangle, corners: [a, b], uses }) => {
+    if (uses === 1) islands[islandOf[triangle]].outline.push(uvs[a], uvs[a + 1], uvs[b], uvs[b + 1]);
+  });
+
+  return { uvs, islandOf, islands };
+}
+
+/**
+ * Island containing a UV point (topmost triangle wins where islands overlap)
+ * @param {Object} layout - From getUVLayout
+ * @param {number} u
+ * @param {number} v
+ * @returns {number} Island index, or -1
+ */
+export function findIslandAt(layout, u, v) {
+  if (!layout) return -1;
+  const { uvs, islandOf, islands } = layout;
+  for (let i = islands.length - 1; i >= 0; i--) {
+    const [minU, minV, maxU, maxV] = islands[i].bounds;
+    if (u < minU || u > maxU || v < minV || v > maxV) continue;
+    for (const t of islands[i].triangles) {
+      const o = t * 6;
+      if (pointInTriangle(u, v, uvs[o], uvs[o + 1], uvs[o + 2], uvs[o + 3], uvs[o + 4], uvs[o + 5])) {
+        return islandOf[t];
+      }
+    }
+  }
+  return -1;
+}
+
+function pointInTriangle(px, py, ax, ay, bx, by, cx, cy) {
+  const d1 = (px - bx) * (ay - by) - (ax - bx) * (py - by);
+  const d2 = (px - cx) * (by - cy) - (bx - cx) * (py - cy);
+  const d3 = (px - ax) * (cy - ay) - (cx - ax) * (py - ay);
+  const negative = d1 < 0 || d2 < 0 || d3 < 0;
+  const positive = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(negative && positive);
+}
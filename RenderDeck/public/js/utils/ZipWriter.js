@@ -0,0 +1,90 @@
+// ZIPWRITER.JS - Minimal store-only ZIP archive builder
+// Used for PNG frame sequences. PNGs are already deflated, so entries are
+// stored uncompressed; the archive is assembled as Blob parts to avoid
+// copying every frame into one large buffer.
+
+import { crc32 } from './helpers.js';
+
+export class ZipWriter {
+  constructor() {
+    this.parts = [];    // Local headers + file data, in order
+    this.entries = [];  // Central directory records
+    this.offset = 0;
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive
+   * @param {Blob} blob - File contents
+   */
+  async add(name, blob) {
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(data);
+    const { time, date } = ZipWriter.dosDateTime(new Date());
+
+    const local = new Uint8Array(30 + nameBytes.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);   // Local file header signature
+    lv.setUint16(4, 20, true);           // Version needed
+    lv.setUint16(6, 0x0800, true);       // UTF-8 names
+    lv.setUint16(8, 0, true);            // Stored
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true); // Compressed size
+    lv.setUint32(22, data.length, true); // Uncompressed size
+    lv.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+
+    this.entries.push({ nameBytes, crc, size: data.length, time, date, offset: this.offset });
+    this.parts.push(local, blob);
+    this.offset += local.length + data.length;
+  }
+
+  /**
+   * Finish the archive
+   * @returns {Blob} application/zip
+   */
+  toBlob() {
+    const central = [];
+    let centralSize = 0;
+
+    this.entries.forEach(e => {
+      const rec = new Uint8Array(46 + e.nameBytes.length);
+      const v = new DataView(rec.buffer);
+      v.setUint32(0, 0x02014b50, true);  // Central directory signature
+      v.setUint16(4, 20, true);          // Version made by
+      v.setUint16(6, 20, true);          // Version needed
+      v.setUint16(8, 0x0800, true);
+      v.setUint16(10, 0, true);
+      v.setUint16(12, e.time, true);
+      v.setUint16(14, e.date, true);
+      v.setUint32(16, e.crc, true);
+      v.setUint32(20, e.size, true);
+      v.setUint32(24, e.size, true);
+      v.setUint16(28, e.nameBytes.length, true);
+      v.setUint32(42, e.offset, true);
+      rec.set(e.nameBytes, 46);
+      central.push(rec);
+      centralSize += rec.length;
+    });
+
+    const end = new Uint8Array(22);
+    const ev = new DataView(end.buffer);
+    ev.setUint32(0, 0x06054b50, true);   // End of central directory
+    ev.setUint16(8, this.entries.length, true);
+    ev.setUint16(10, this.entries.length, true);
+    ev.setUint32(12, centralSize, true);
+    ev.setUint32(16, this.offset, true);
+
+    return new Blob([...this.parts, ...central, end], { type: 'application/zip' });
+  }
+
+  static dosDateTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+}
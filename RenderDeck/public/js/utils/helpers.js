@@ -187,4 +187,27 @@ export function deepClone(obj) {
     }
   }
   return clonedObj;
-}
\ No newline at end of file
+}
+
+// ─── CRC-32 ───────────────────────────────────────────────────────
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE), as used by PNG chunks and ZIP entries
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}